@@ -2,160 +2,1106 @@
  * Control D Quick Switcher - Background Service Worker
  *
  * Handles:
- * - Temporary rule expiration via Chrome alarms
+ * - Temporary rule expiration via Chrome alarms (restoring any overridden rule), per profile
+ * - Ending rules tied to a tab when it closes or leaves the site
+ * - Turning scheduled rules on and off at their window boundaries
+ * - Focus sessions that block a named domain list for a while
+ * - Refreshing the proxy list in the background, and flagging saved redirects via retired proxies
  * - Rule re-application after temporary removal
+ * - Extending, cancelling or making permanent pending overrides (from the dashboard)
+ * - Retrying failed expire / re-apply operations with backoff
+ * - Reconciling pending overrides with the profile on startup and update
+ * - Toolbar badge showing the rule status of the active tab
+ * - Context menu entries that set a rule on a page's or link's hostname
+ * - Keyboard shortcuts and "cd" omnibox commands
+ * - Recording the hostnames each tab contacts, for the popup's page host list
+ * - Counting hosts that failed to load the way blocked ones do, and bypassing them on request
  * - Background API interactions
  */
 
-// Simple logger for service worker (constants.js not available in service worker context)
-const log = {
-  info: (context, message, data) => console.info(`[Control D] [INFO] [${context}]`, message, data || ''),
-  error: (context, message, error) => console.error(`[Control D] [ERROR] [${context}]`, message, error || ''),
-  warn: (context, message, data) => console.warn(`[Control D] [WARN] [${context}]`, message, data || '')
-};
+import {
+  AlarmName,
+  AlarmPrefix,
+  Cache,
+  CommandName,
+  ErrorMessages,
+  JobType,
+  Logger as log,
+  MessageType,
+  OverrideKind,
+  RuleAction,
+  StorageKeys,
+  StoragePrefix,
+  UI
+} from './constants.js';
+import { ControlDClient, ruleVia } from './api.js';
+import { updateActiveBadges, updateBadge } from './badge.js';
+import { isSameSite } from './domains.js';
+import { createFocusId, getFocusLists, getFocusSession } from './focus.js';
+import { createContextMenus, handleContextMenuClick, updateRedirectMenu } from './menus.js';
+import { applyRule, findExactRule, snapshotRule } from './overrides.js';
+import {
+  describeOmniboxCommand,
+  escapeDescription,
+  getOmniboxSuggestions,
+  parseOmniboxCommand
+} from './omnibox.js';
+import {
+  findReplacementProxy,
+  formatProxyLabel,
+  getCachedProxies,
+  getProxyId,
+  getStarredProxies,
+  isProxyRetired,
+  refreshProxyList,
+  saveStarredProxies
+} from './proxies.js';
+import {
+  clearFailedHosts,
+  forgetTab,
+  getFailedHosts,
+  getPageHosts,
+  recordFailure,
+  recordRequest
+} from './pageHosts.js';
+import {
+  getProfiles,
+  getTargetProfileIds,
+  parseRecordScope,
+  recordScope,
+  resolveTargets
+} from './profiles.js';
+import { applyQuickRule, getWebHostname, reportFailure } from './quickActions.js';
+import { refreshRuleIndex, updateIndexEntries } from './ruleIndex.js';
+import { dismissJob, enqueueJob, processQueue, updateJobs } from './queue.js';
+import { getActiveWindow, getNextWindowStart, getSchedules, saveSchedules } from './schedules.js';
 
 // Listen for alarms to expire temporary rules and re-apply removed rules
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   log.info('AlarmListener', 'Alarm triggered', { name: alarm.name });
 
-  if (alarm.name.startsWith('expire_rule_')) {
-    const domain = alarm.name.replace('expire_rule_', '');
-    log.info('AlarmListener', 'Expiring rule for domain', { domain });
-    await removeRule(domain);
-  } else if (alarm.name.startsWith('reapply_rule_')) {
-    const domain = alarm.name.replace('reapply_rule_', '');
-    log.info('AlarmListener', 'Re-applying rule for domain', { domain });
-    await reapplyRule(domain);
+  if (alarm.name.startsWith(AlarmPrefix.EXPIRE_RULE)) {
+    const scope = alarm.name.substring(AlarmPrefix.EXPIRE_RULE.length);
+    log.info('AlarmListener', 'Expiring rule for domain', { scope });
+    await expireOverrides(scope);
+  } else if (alarm.name.startsWith(AlarmPrefix.REAPPLY_RULE)) {
+    const scope = alarm.name.substring(AlarmPrefix.REAPPLY_RULE.length);
+    log.info('AlarmListener', 'Re-applying rule for domain', { scope });
+    await runOrQueue(createJob(JobType.REAPPLY, scope));
+  } else if (alarm.name === AlarmName.RETRY_QUEUE) {
+    await processQueue(executeJob);
+  } else if (alarm.name === AlarmName.BADGE_REFRESH) {
+    await updateActiveBadges();
+  } else if (alarm.name === AlarmName.RULE_INDEX_SYNC) {
+    await refreshRuleIndex();
+  } else if (alarm.name.startsWith(AlarmPrefix.SCHEDULE_START) || alarm.name === AlarmName.SCHEDULE_SYNC) {
+    await syncSchedules();
+  } else if (alarm.name === AlarmName.FOCUS_END) {
+    // The session's overrides expire through their own alarms
+    await chrome.storage.local.remove([StorageKeys.FOCUS_SESSION]);
+  } else if (alarm.name === AlarmName.PROXY_REFRESH) {
+    await refreshProxies();
   }
 });
 
-// Function to remove a rule via Control D API
-async function removeRule(domain) {
-  const data = await chrome.storage.sync.get(['apiKey', 'profileId']);
-  const { apiKey, profileId } = data;
+// Keep the toolbar badge in step with the active tab
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  // The tab (or its window) may already have closed
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab) return;
+  await updateBadge(tab);
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.url) {
+    await endTabOverrides(tabId, getWebHostname(changeInfo.url));
+  }
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    await updateBadge(tab);
+  }
+});
+
+// Record the hostnames each tab contacts
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  recordRequest(details);
+}, { urls: ['http://*/*', 'https://*/*'] });
+
+// Count hosts that look blocked on the tab's badge
+async function onRequestFinished(details) {
+  if (await recordFailure(details)) {
+    const tab = await chrome.tabs.get(details.tabId).catch(() => null);
+    await updateBadge(tab);
+  }
+}
+
+chrome.webRequest.onErrorOccurred.addListener(onRequestFinished, { urls: ['http://*/*', 'https://*/*'] });
+chrome.webRequest.onCompleted.addListener(onRequestFinished, { urls: ['http://*/*', 'https://*/*'] });
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  forgetTab(tabId);
+  endTabOverrides(tabId, null);
+});
 
-  if (!apiKey || !profileId) {
-    log.warn('removeRule', 'Missing credentials, cannot remove rule', { domain });
+// Overrides starting, ending or changing, and index refreshes, all change what the badge shows
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes[StorageKeys.FAVOURITE_PROXY]) {
+    updateRedirectMenu();
+    return;
+  }
+  if (area === 'sync' && changes[StorageKeys.SCHEDULES]) {
+    syncSchedules();
     return;
   }
+  if (area === 'sync' && changes[StorageKeys.PROFILE_ID]) {
+    // The badge follows the default profile
+    updateActiveBadges();
+    return;
+  }
+  if (area !== 'local') return;
+  if (changes[Cache.PROXY_LIST_KEY]) {
+    // Refreshed here or by a page: check saved redirects against the new list
+    checkStaleProxies();
+  }
+  const relevant = Object.keys(changes).some(key =>
+    key.startsWith(StoragePrefix.OVERRIDE) ||
+    key.startsWith(StoragePrefix.RULE) ||
+    key === StorageKeys.CACHED_RULE_INDEX
+  );
+  if (relevant) updateActiveBadges();
+});
+
+// Retry everything still pending as soon as the network is back
+self.addEventListener('online', () => {
+  log.info('OnlineListener', 'Browser back online, retrying queued operations');
+  processQueue(executeJob, { force: true });
+});
+
+// Alarms don't fire while the browser is closed and can be lost on reload or update,
+// so check every pending override against the profile whenever the worker starts fresh
+chrome.runtime.onStartup.addListener(() => {
+  log.info('StartupListener', 'Browser started, reconciling overrides');
+  scheduleBackgroundTasks();
+  reconcileOverrides().then(syncSchedules);
+  refreshProxies();
+});
+
+chrome.runtime.onInstalled.addListener((details) => {
+  log.info('InstalledListener', 'Extension installed or updated, reconciling overrides', { reason: details.reason });
+  scheduleBackgroundTasks();
+  createContextMenus();
+  reconcileOverrides().then(syncSchedules);
+  refreshProxies();
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab);
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+  await handleShortcut(command, activeTab);
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const { proxies } = await getCachedProxies();
+  chrome.omnibox.setDefaultSuggestion({
+    description: escapeDescription(describeOmniboxCommand(parseOmniboxCommand(text, proxies)))
+  });
+  suggest(await getOmniboxSuggestions(text));
+});
 
-  try {
-    log.info('removeRule', 'Attempting to remove rule', { domain, profileId });
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+  const { proxies } = await getCachedProxies();
+  const command = parseOmniboxCommand(text, proxies);
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-    const response = await fetch(`https://api.controld.com/profiles/${profileId}/rules`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        hostnames: [domain]
-      })
+  if (command.error) {
+    log.warn('Omnibox', 'Invalid command', { text, error: command.error });
+    await reportFailure(tab, command.error);
+    return;
+  }
+
+  const result = await applyQuickRule(command.hostname, command);
+  if (!result.success) await reportFailure(tab, result.error || ErrorMessages.API_ERROR);
+});
+
+// Create the periodic alarms the worker relies on
+function scheduleBackgroundTasks() {
+  chrome.alarms.create(AlarmName.BADGE_REFRESH, { periodInMinutes: UI.BADGE_REFRESH_MINUTES });
+  chrome.alarms.create(AlarmName.RULE_INDEX_SYNC, { periodInMinutes: Cache.RULE_INDEX_SYNC_MINUTES });
+  // Besides the alarm for each schedule's next window, so a lost alarm or a timezone change
+  // is caught up with
+  chrome.alarms.create(AlarmName.SCHEDULE_SYNC, { periodInMinutes: UI.SCHEDULE_SYNC_MINUTES });
+  // Keeps the cached proxy list warm, so pages open on it without waiting for the API
+  chrome.alarms.create(AlarmName.PROXY_REFRESH, { periodInMinutes: Cache.PROXY_REFRESH_MINUTES });
+}
+
+// Handle override changes and bypass fallbacks managed from the dashboard page (addressed by record scope),
+// and the popup asking for a tab's hosts, starting and ending focus sessions or replacing a retired proxy
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handlers = {
+    [MessageType.EXTEND_OVERRIDE]: () => extendOverride(message.kind, message.scope, message.minutes),
+    [MessageType.CANCEL_OVERRIDE]: () => cancelOverride(message.kind, message.scope),
+    [MessageType.MAKE_OVERRIDE_PERMANENT]: () => makeOverridePermanent(message.kind, message.scope),
+    [MessageType.RETRY_JOB]: () => processQueue(executeJob, { id: message.id }),
+    [MessageType.DISMISS_JOB]: () => dismissJob(message.id),
+    [MessageType.DISMISS_DRIFT]: () => dismissDrift(message.kind, message.scope),
+    [MessageType.GET_PAGE_HOSTS]: () => getPageHosts(message.tabId),
+    [MessageType.BYPASS_FAILED_HOSTS]: () => bypassFailedHosts(message.tabId),
+    [MessageType.START_FOCUS]: () => startFocus(message.listId),
+    [MessageType.END_FOCUS]: () => endFocus(),
+    [MessageType.REPLACE_STALE_PROXY]: () => replaceStaleProxy(message.proxyId, message.replacement),
+    [MessageType.REVERT_BYPASS_FALLBACK]: () => revertBypassFallback(message.scope),
+    [MessageType.DISMISS_BYPASS_FALLBACK]: () => dismissBypassFallback(message.scope)
+  };
+
+  const handler = handlers[message?.type];
+  if (!handler) return false;
+
+  log.info('MessageListener', 'Message received', message);
+  handler()
+    .then(data => sendResponse({ success: true, data }))
+    .catch((error) => {
+      log.error('MessageListener', 'Failed to handle message', { message, error: error.message });
+      sendResponse({ success: false, error: error.message });
     });
 
-    if (response.ok) {
-      log.info('removeRule', 'Rule removed successfully', { domain, status: response.status });
+  // Keep the channel open for the async response
+  return true;
+});
+
+// Keyboard shortcuts act on the active tab's hostname, on the popup's target profiles
+async function handleShortcut(command, tab) {
+  const hostname = getWebHostname(tab?.url);
+  log.info('handleShortcut', 'Shortcut pressed', { command, hostname });
+
+  let result;
+  if (command === CommandName.TOGGLE_BYPASS) {
+    // Pressing it again while our bypass is active ends it early and restores the previous rule
+    const scopes = hostname ? (await getTargetProfileIds()).map(profileId => recordScope(profileId, hostname)) : [];
+    const stored = await chrome.storage.local.get(scopes.map(scope => `${StoragePrefix.OVERRIDE}${scope}`));
+    const bypassed = scopes.filter((scope) => {
+      const stack = stored[`${StoragePrefix.OVERRIDE}${scope}`] || [];
+      return stack.length > 0 && stack[stack.length - 1].action === RuleAction.BYPASS;
+    });
+    if (bypassed.length > 0) {
+      for (const scope of bypassed) {
+        await cancelOverride(OverrideKind.EXPIRE, scope);
+      }
+      return;
+    }
+    result = await applyQuickRule(hostname, { action: RuleAction.BYPASS, duration: UI.SHORTCUT_BYPASS_MINUTES });
+  } else if (command === CommandName.BLOCK_SITE) {
+    result = await applyQuickRule(hostname, { action: RuleAction.BLOCK });
+  } else {
+    return;
+  }
+
+  if (!result.success) await reportFailure(tab, result.error || ErrorMessages.API_ERROR);
+}
+
+// Temporarily bypass every host that failed to load in a tab, through the usual override
+// records and expiry alarms. Hosts that were bypassed stop counting as failed.
+async function bypassFailedHosts(tabId) {
+  const hostnames = await getFailedHosts(tabId);
+  const bypassed = [];
+  const failures = [];
+
+  for (const hostname of hostnames) {
+    const result = await applyQuickRule(hostname, {
+      action: RuleAction.BYPASS,
+      duration: UI.UNBREAK_BYPASS_MINUTES
+    });
+    if (result.success) {
+      bypassed.push(hostname);
     } else {
-      log.error('removeRule', 'Failed to remove rule', {
-        domain,
-        status: response.status,
-        statusText: response.statusText
+      failures.push({ hostname, error: result.error || ErrorMessages.API_ERROR });
+    }
+  }
+
+  log.info('bypassFailedHosts', 'Bypassed failed hosts', { tabId, bypassed, failures });
+  await clearFailedHosts(tabId, bypassed);
+  await updateBadge(await chrome.tabs.get(tabId).catch(() => null));
+  return { bypassed, failures };
+}
+
+// Block every hostname on a focus list on the popup's target profiles, as temporary overrides
+// tagged with the session so their expiry restores the rules they replaced
+async function startFocus(listId) {
+  if (await getFocusSession()) throw new Error(ErrorMessages.FOCUS_ACTIVE);
+
+  const list = (await getFocusLists()).find(candidate => candidate.id === listId);
+  if (!list) throw new Error('Focus list not found');
+
+  const profileIds = await getTargetProfileIds();
+  if (profileIds.length === 0) throw new Error(ErrorMessages.MISSING_CREDENTIALS);
+
+  const startedAt = Date.now();
+  const session = {
+    id: createFocusId(),
+    listId: list.id,
+    name: list.name,
+    hostnames: list.hostnames,
+    startedAt,
+    endsAt: startedAt + UI.FOCUS_MINUTES * 60 * 1000,
+    scopes: []
+  };
+  const failures = [];
+
+  for (const profileId of profileIds) {
+    const client = await ControlDClient.fromStorage(profileId);
+    if (!client) throw new Error(ErrorMessages.MISSING_CREDENTIALS);
+
+    for (const hostname of list.hostnames) {
+      const previous = snapshotRule(await findExactRule(client, hostname), hostname);
+      const result = await applyRule(client, hostname, {
+        action: RuleAction.BLOCK,
+        duration: UI.FOCUS_MINUTES,
+        previous,
+        focus: session.id
       });
+      if (result.success) {
+        session.scopes.push(recordScope(profileId, hostname));
+      } else {
+        failures.push({ hostname, error: result.error || ErrorMessages.API_ERROR });
+      }
     }
-  } catch (error) {
-    log.error('removeRule', 'Error removing rule', { domain, error: error.message });
   }
+
+  if (session.scopes.length === 0) throw new Error(failures[0]?.error || ErrorMessages.API_ERROR);
+
+  await chrome.storage.local.set({ [StorageKeys.FOCUS_SESSION]: session });
+  await chrome.alarms.create(AlarmName.FOCUS_END, { when: session.endsAt });
+  log.info('startFocus', 'Focus session started', { list: list.name, scopes: session.scopes, failures });
+  return { session, failures };
 }
 
-// Function to re-apply a temporarily removed rule
-async function reapplyRule(domain) {
-  const data = await chrome.storage.sync.get(['apiKey', 'profileId']);
-  const { apiKey, profileId } = data;
+// End the focus session early, unwinding only the overrides it applied
+async function endFocus() {
+  const session = await getFocusSession();
+  await chrome.alarms.clear(AlarmName.FOCUS_END);
+  await chrome.storage.local.remove([StorageKeys.FOCUS_SESSION]);
+  if (!session) return;
 
-  if (!apiKey || !profileId) {
-    log.warn('reapplyRule', 'Missing credentials, cannot re-apply rule', { domain });
-    return;
+  for (const scope of session.scopes) {
+    const key = `${StoragePrefix.OVERRIDE}${scope}`;
+    const stored = await chrome.storage.local.get([key]);
+    const stack = stored[key] || [];
+    if (!stack.some(entry => entry.focus === session.id)) continue;
+
+    stack.forEach((entry) => {
+      if (entry.focus === session.id) entry.expiresAt = 0;
+    });
+    await chrome.storage.local.set({ [key]: stack });
+    await expireOverrides(scope);
   }
+  log.info('endFocus', 'Focus session ended early', { list: session.name });
+}
 
-  try {
-    // Get stored rule info
-    const ruleKey = `rule_${domain}`;
-    const ruleData = await chrome.storage.local.get([ruleKey]);
-    const ruleInfo = ruleData[ruleKey];
+// Run a background operation
+async function executeJob(job) {
+  // Jobs queued before profiles existed only carry the domain
+  const scope = job.scope || job.domain;
+  switch (job.type) {
+    case JobType.RESTORE:
+      return restoreRule(scope, job.snapshot);
+    case JobType.REMOVE:
+      return removeRule(scope);
+    case JobType.REAPPLY:
+      return reapplyRule(scope);
+    default:
+      log.warn('executeJob', 'Unknown job type, dropping', job);
+      return { success: true, skipped: true };
+  }
+}
 
-    if (!ruleInfo) {
-      log.warn('reapplyRule', 'No stored rule info found', { domain, ruleKey });
-      return;
+// Describe a background operation on a record scope (the bare domain is kept for display)
+function createJob(type, scope, extra = {}) {
+  return { type, scope, domain: parseRecordScope(scope).domain, ...extra };
+}
+
+// Run a background operation, queueing it for retry if it fails
+async function runOrQueue(job) {
+  const result = await executeJob(job);
+  if (!result.success) {
+    await enqueueJob(job, result);
+  }
+  return result;
+}
+
+// Bring pending overrides back in line with reality: expire those that came due while the
+// browser was closed, recreate missing alarms, and record drift where the rule on the
+// profile no longer matches what the extension expects
+async function reconcileOverrides() {
+  const [stored, alarms] = await Promise.all([
+    chrome.storage.local.get(null),
+    chrome.alarms.getAll()
+  ]);
+  const alarmTimes = new Map(alarms.map(alarm => [alarm.name, alarm.scheduledTime]));
+  const now = Date.now();
+  const drift = [];
+
+  // One client per profile with pending records
+  const clients = new Map();
+  const clientFor = async (profileId) => {
+    if (!clients.has(profileId)) clients.set(profileId, await ControlDClient.fromStorage(profileId));
+    return clients.get(profileId);
+  };
+
+  for (const [key, value] of Object.entries(stored)) {
+    if (key.startsWith(StoragePrefix.OVERRIDE)) {
+      const scope = key.substring(StoragePrefix.OVERRIDE.length);
+      const stack = value || [];
+      if (stack.length === 0) continue;
+
+      // Overrides tied to a tab end with it; tabs don't survive a browser restart
+      for (const entry of stack) {
+        if (entry.tab && !(await isTabOnSite(entry.tab))) entry.expiresAt = 0;
+      }
+
+      const alarmName = `${AlarmPrefix.EXPIRE_RULE}${scope}`;
+      const nextExpiry = Math.min(...stack.map(entry => entry.expiresAt));
+
+      if (nextExpiry <= now) {
+        log.info('reconcileOverrides', 'Override came due while inactive, expiring', { scope });
+        await chrome.alarms.clear(alarmName);
+        await chrome.storage.local.set({ [key]: stack });
+        await expireOverrides(scope);
+        continue;
+      }
+
+      if (alarmTimes.get(alarmName) !== nextExpiry) {
+        log.info('reconcileOverrides', 'Recreating missing expiry alarm', { scope });
+        await chrome.alarms.create(alarmName, { when: nextExpiry });
+      }
+
+      const top = stack[stack.length - 1];
+      const { profileId, domain } = parseRecordScope(scope);
+      const client = await clientFor(profileId);
+      const issue = client ? await checkDrift(client, domain, top) : null;
+      if (issue) drift.push({ kind: OverrideKind.EXPIRE, scope, domain, ...issue });
+    } else if (key.startsWith(StoragePrefix.RULE)) {
+      const scope = key.substring(StoragePrefix.RULE.length);
+      const alarmName = `${AlarmPrefix.REAPPLY_RULE}${scope}`;
+      // Records written before expiresAt was stored fall back to their alarm, or are due now
+      let dueAt = value?.expiresAt || alarmTimes.get(alarmName) || now;
+      if (value?.tab && !(await isTabOnSite(value.tab))) dueAt = now;
+
+      if (dueAt <= now) {
+        log.info('reconcileOverrides', 'Re-apply came due while inactive, re-applying', { scope });
+        await chrome.alarms.clear(alarmName);
+        await runOrQueue(createJob(JobType.REAPPLY, scope));
+        continue;
+      }
+
+      if (!alarmTimes.has(alarmName)) {
+        log.info('reconcileOverrides', 'Recreating missing re-apply alarm', { scope });
+        await chrome.alarms.create(alarmName, { when: dueAt });
+      }
+
+      // While the rule is temporarily removed, the hostname should have no rule
+      const { profileId, domain } = parseRecordScope(scope);
+      const client = await clientFor(profileId);
+      const issue = client ? await checkDrift(client, domain, null) : null;
+      if (issue) drift.push({ kind: OverrideKind.REAPPLY, scope, domain, ...issue });
     }
+  }
+
+  await chrome.storage.local.set({ [StorageKeys.OVERRIDE_DRIFT]: drift });
+  if (drift.length > 0) {
+    log.warn('reconcileOverrides', 'Rules changed outside the extension', drift);
+  }
 
-    const { action, proxyId } = ruleInfo;
+  // Anything queued before the browser closed is worth another try now
+  await processQueue(executeJob, { force: true });
+}
 
-    if (action === null || action === undefined) {
-      log.warn('reapplyRule', 'Invalid action in stored rule, removing', { domain, ruleInfo });
-      await chrome.storage.local.remove([ruleKey]);
-      return;
+// Compare the rule on the profile with the one an override expects to be in place.
+// Returns a drift description, or null if they match (or the profile can't be reached).
+async function checkDrift(client, domain, expected) {
+  const result = await client.getRule(domain);
+  if (!result.success) {
+    log.warn('checkDrift', 'Could not look up rule', { domain, error: result.error });
+    return null;
+  }
+
+  const describe = (rule) => rule
+    ? { action: rule.action, proxyId: ruleVia(rule.action, rule.via ?? rule.proxyId) }
+    : null;
+  const expectedState = describe(expected);
+  const actualState = describe(result.data);
+
+  const matches = expectedState === null
+    ? actualState === null
+    : actualState !== null && actualState.action === expectedState.action && actualState.proxyId === expectedState.proxyId;
+
+  return matches ? null : { expected: expectedState, actual: actualState, detectedAt: Date.now() };
+}
+
+// Whether a tab a rule is tied to ({ id, host }) is still open on the same site
+async function isTabOnSite(tab) {
+  const current = await chrome.tabs.get(tab.id).catch(() => null);
+  const hostname = getWebHostname(current?.url);
+  return !!hostname && isSameSite(hostname, tab.host);
+}
+
+// End the overrides and removals tied to a tab once it closes (hostname null) or navigates
+// to another site, through the same unwinding as when their alarms fire
+async function endTabOverrides(tabId, hostname) {
+  const bound = await chrome.storage.local.get([StorageKeys.TAB_BOUND_TABS]);
+  const tabIds = bound[StorageKeys.TAB_BOUND_TABS] || [];
+  if (!tabIds.includes(tabId)) return;
+
+  const ends = (tab) => tab?.id === tabId && !(hostname && isSameSite(hostname, tab.host));
+  const stored = await chrome.storage.local.get(null);
+  let stillBound = false;
+
+  for (const [key, value] of Object.entries(stored)) {
+    if (key.startsWith(StoragePrefix.OVERRIDE)) {
+      const stack = value || [];
+      stillBound ||= stack.some(entry => entry.tab?.id === tabId && !ends(entry.tab));
+      if (!stack.some(entry => ends(entry.tab))) continue;
+
+      const scope = key.substring(StoragePrefix.OVERRIDE.length);
+      log.info('endTabOverrides', 'Tab closed or left the site, ending its override', { tabId, scope });
+      stack.forEach((entry) => {
+        if (ends(entry.tab)) entry.expiresAt = 0;
+      });
+      await chrome.storage.local.set({ [key]: stack });
+      await expireOverrides(scope);
+    } else if (key.startsWith(StoragePrefix.RULE) && value?.tab?.id === tabId) {
+      if (!ends(value.tab)) {
+        stillBound = true;
+        continue;
+      }
+
+      const scope = key.substring(StoragePrefix.RULE.length);
+      log.info('endTabOverrides', 'Tab closed or left the site, re-applying its removed rule', { tabId, scope });
+      await chrome.alarms.clear(`${AlarmPrefix.REAPPLY_RULE}${scope}`);
+      await runOrQueue(createJob(JobType.REAPPLY, scope));
     }
+  }
+
+  if (!stillBound) {
+    await chrome.storage.local.set({ [StorageKeys.TAB_BOUND_TABS]: tabIds.filter(id => id !== tabId) });
+  }
+}
 
-    log.info('reapplyRule', 'Re-applying rule', { domain, action, proxyId });
+// Reconcile schedules one run at a time, so overlapping triggers never apply a window twice
+let scheduleSync = Promise.resolve();
+function syncSchedules() {
+  scheduleSync = scheduleSync
+    .then(reconcileSchedules)
+    .catch(error => log.error('syncSchedules', 'Failed to reconcile schedules', { error: error.message }));
+  return scheduleSync;
+}
 
-    // Re-apply the rule
-    const url = `https://api.controld.com/profiles/${profileId}/rules`;
-    const body = {
-      hostnames: [domain],
-      do: action
-    };
+// Put every schedule's rules in the state they should be in right now, and arm an alarm for
+// each schedule's next window. A window's rules are temporary overrides tagged with the
+// schedule and ending with the window, so the expiry alarm turns them off and restores what
+// was there before. Each schedule remembers the scopes it has applied in its current window,
+// so a rule cancelled from the dashboard stays cancelled until the next window.
+async function reconcileSchedules() {
+  const [schedules, { profiles, defaultProfileId }, stored] = await Promise.all([
+    getSchedules(),
+    getProfiles(),
+    chrome.storage.local.get([StorageKeys.SCHEDULE_RUNS])
+  ]);
+  const previousRuns = stored[StorageKeys.SCHEDULE_RUNS] || {};
+  const runs = {};
+  const expected = new Map();   // "<schedule id>|<window>|<scope>" -> when the override should end
+  const now = new Date();
 
-    // Action 3 = Redirect (requires proxy ID)
-    if (action === 3 && proxyId) {
-      body.via = proxyId;
+  for (const schedule of schedules) {
+    const alarmName = `${AlarmPrefix.SCHEDULE_START}${schedule.id}`;
+    const next = schedule.enabled ? getNextWindowStart(schedule, now) : null;
+    if (next) {
+      await chrome.alarms.create(alarmName, { when: next.getTime() });
+    } else {
+      await chrome.alarms.clear(alarmName);
     }
 
-    // Try POST first, then PUT
-    let response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(body)
+    const active = schedule.enabled ? getActiveWindow(schedule, now) : null;
+    if (!active) continue;
+
+    // Flagged in the stale proxy report; the window opens once a replacement is picked
+    if (schedule.action === RuleAction.REDIRECT && await isProxyRetired(schedule.via)) {
+      log.warn('reconcileSchedules', 'Schedule redirects via a retired proxy, skipping', { id: schedule.id, via: schedule.via });
+      continue;
+    }
+
+    // Changing the rule a schedule sets starts its window afresh
+    const window = `${active.key}|${schedule.action}|${schedule.via || ''}`;
+    const run = previousRuns[schedule.id]?.window === window ? previousRuns[schedule.id] : { window, scopes: [] };
+    runs[schedule.id] = run;
+
+    for (const profileId of resolveTargets(schedule.profiles || [], profiles, defaultProfileId)) {
+      const client = await ControlDClient.fromStorage(profileId);
+      if (!client) continue;
+
+      for (const hostname of schedule.hostnames) {
+        const scope = recordScope(profileId, hostname);
+        expected.set(`${schedule.id}|${window}|${scope}`, active.end.getTime());
+        if (run.scopes.includes(scope)) continue;
+
+        log.info('reconcileSchedules', 'Schedule window open, applying rule', { id: schedule.id, scope });
+        const previous = snapshotRule(await findExactRule(client, hostname), hostname);
+        const result = await applyRule(client, hostname, {
+          action: schedule.action,
+          via: schedule.via,
+          duration: Math.max(1, Math.ceil((active.end - Date.now()) / 60000)),
+          previous,
+          schedule: { id: schedule.id, window }
+        });
+        if (result.success) {
+          run.scopes.push(scope);
+        } else {
+          // Tried again on the next sync
+          log.warn('reconcileSchedules', 'Failed to apply scheduled rule', { id: schedule.id, scope, error: result.error });
+        }
+      }
+    }
+  }
+
+  await chrome.storage.local.set({ [StorageKeys.SCHEDULE_RUNS]: runs });
+  await retimeScheduledOverrides(expected);
+}
+
+// Make scheduled overrides end when their window now ends: exactly at the window's end, or
+// straight away if the schedule was changed, disabled or deleted, or the window moved
+// (e.g. the timezone changed) so that it is no longer open
+async function retimeScheduledOverrides(expected) {
+  const stored = await chrome.storage.local.get(null);
+  const now = Date.now();
+
+  for (const [key, value] of Object.entries(stored)) {
+    if (!key.startsWith(StoragePrefix.OVERRIDE)) continue;
+    const scope = key.substring(StoragePrefix.OVERRIDE.length);
+    const stack = value || [];
+
+    let changed = false;
+    stack.forEach((entry) => {
+      if (!entry.schedule) return;
+      const endsAt = expected.get(`${entry.schedule.id}|${entry.schedule.window}|${scope}`) ?? now;
+      if (entry.expiresAt !== endsAt) {
+        entry.expiresAt = endsAt;
+        changed = true;
+      }
     });
+    if (!changed) continue;
 
-    // If POST fails, try PUT
-    if (!response.ok) {
-      log.info('reapplyRule', 'POST failed, trying PUT', {
-        domain,
-        postStatus: response.status
-      });
+    log.info('retimeScheduledOverrides', 'Scheduled override end moved', { scope });
+    await chrome.storage.local.set({ [key]: stack });
+    const nextExpiry = Math.min(...stack.map(entry => entry.expiresAt));
+    if (nextExpiry <= now) {
+      await expireOverrides(scope);
+    } else {
+      await chrome.alarms.create(`${AlarmPrefix.EXPIRE_RULE}${scope}`, { when: nextExpiry });
+    }
+  }
+}
 
-      response = await fetch(url, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(body)
-      });
+// Refresh the cached proxy list (the storage listener then checks saved redirects against it)
+async function refreshProxies() {
+  const client = await ControlDClient.fromStorage();
+  if (client) await refreshProxyList(client);
+}
+
+// Find saved redirects that point at a proxy no longer on the list: removed rules waiting to
+// be re-applied, rules an override will restore, queued restores, schedules and starred
+// proxies. Each retired proxy is reported once, with how often it is used and a replacement
+// in the same country if there is one.
+async function checkStaleProxies() {
+  const [{ proxies }, stored, schedules, starred] = await Promise.all([
+    getCachedProxies(),
+    chrome.storage.local.get(null),
+    getSchedules(),
+    getStarredProxies()
+  ]);
+  if (!proxies?.length) return;
+
+  const live = new Set(proxies.map(getProxyId));
+  const uses = new Map();   // Retired proxy ID -> number of saved redirects using it
+  const note = (action, proxyId) => {
+    if (action === RuleAction.REDIRECT && proxyId && !live.has(proxyId)) {
+      uses.set(proxyId, (uses.get(proxyId) || 0) + 1);
     }
+  };
 
-    if (response.ok) {
-      log.info('reapplyRule', 'Rule re-applied successfully', {
-        domain,
-        action,
-        status: response.status
+  for (const [key, value] of Object.entries(stored)) {
+    if (key.startsWith(StoragePrefix.RULE)) {
+      note(value?.action, value?.proxyId);
+    } else if (key.startsWith(StoragePrefix.OVERRIDE)) {
+      (value || []).forEach(entry => note(entry.previous?.action, entry.previous?.proxyId));
+    }
+  }
+  (stored[StorageKeys.RETRY_QUEUE] || []).forEach(job => note(job.snapshot?.action, job.snapshot?.proxyId));
+  schedules.forEach(schedule => note(schedule.action, schedule.via));
+  starred.forEach(proxyId => note(RuleAction.REDIRECT, proxyId));
+
+  const retired = stored[Cache.RETIRED_PROXIES_KEY] || {};
+  const stale = [...uses.entries()].map(([proxyId, count]) => {
+    const replacement = findReplacementProxy(proxyId, proxies, retired);
+    return {
+      proxyId,
+      label: retired[proxyId]?.label || proxyId.toUpperCase(),
+      uses: count,
+      replacement: replacement ? getProxyId(replacement) : null,
+      replacementLabel: replacement ? formatProxyLabel(replacement) : null
+    };
+  });
+
+  await chrome.storage.local.set({ [StorageKeys.STALE_PROXIES]: stale });
+  if (stale.length > 0) {
+    log.warn('checkStaleProxies', 'Saved redirects point at retired proxies', stale);
+  }
+}
+
+// Point every saved redirect via a retired proxy at another one, then retry the operations
+// that failed because of it
+async function replaceStaleProxy(proxyId, replacement) {
+  const { proxies } = await getCachedProxies();
+  if (!proxies?.some(proxy => getProxyId(proxy) === replacement)) {
+    throw new Error(`Unknown proxy ${replacement}`);
+  }
+
+  const swap = (rule) => {
+    if (rule?.action !== RuleAction.REDIRECT || rule.proxyId !== proxyId) return false;
+    rule.proxyId = replacement;
+    return true;
+  };
+
+  const stored = await chrome.storage.local.get(null);
+  const updates = {};
+  for (const [key, value] of Object.entries(stored)) {
+    if (key.startsWith(StoragePrefix.RULE) && swap(value)) {
+      updates[key] = value;
+    } else if (key.startsWith(StoragePrefix.OVERRIDE)) {
+      const stack = value || [];
+      let changed = false;
+      stack.forEach((entry) => {
+        if (swap(entry.previous)) changed = true;
       });
-      await chrome.storage.local.remove([ruleKey]);
+      if (changed) updates[key] = stack;
+    }
+  }
+  await chrome.storage.local.set(updates);
+
+  const retryIds = [];
+  await updateJobs((job) => {
+    const snapshot = job.snapshot ? { ...job.snapshot } : null;
+    const affected = swap(snapshot) || (job.type === JobType.REAPPLY && updates[`${StoragePrefix.RULE}${job.scope || job.domain}`]);
+    if (!affected) return job;
+    retryIds.push(job.id);
+    return snapshot ? { ...job, snapshot } : job;
+  });
+
+  const schedules = await getSchedules();
+  if (schedules.some(schedule => schedule.action === RuleAction.REDIRECT && schedule.via === proxyId)) {
+    await saveSchedules(schedules.map(schedule => schedule.action === RuleAction.REDIRECT && schedule.via === proxyId
+      ? { ...schedule, via: replacement }
+      : schedule));
+  }
+
+  const starred = await getStarredProxies();
+  if (starred.includes(proxyId)) {
+    await saveStarredProxies([...new Set(starred.map(id => id === proxyId ? replacement : id))]);
+  }
+
+  log.info('replaceStaleProxy', 'Retired proxy replaced', { proxyId, replacement, records: Object.keys(updates).length, jobs: retryIds.length });
+  for (const id of retryIds) {
+    await processQueue(executeJob, { id });
+  }
+  await checkStaleProxies();
+}
+
+// Forget a reported drift entry
+async function dismissDrift(kind, scope) {
+  const stored = await chrome.storage.local.get([StorageKeys.OVERRIDE_DRIFT]);
+  const drift = (stored[StorageKeys.OVERRIDE_DRIFT] || []).filter(entry => entry.kind !== kind || (entry.scope || entry.domain) !== scope);
+  await chrome.storage.local.set({ [StorageKeys.OVERRIDE_DRIFT]: drift });
+}
+
+// Put back the rule a bypass fallback replaced (or remove the bypass if there was none). A failed
+// attempt is left to the retry queue, so the fallback is forgotten either way.
+async function revertBypassFallback(scope) {
+  const stored = await chrome.storage.local.get([StorageKeys.BYPASS_FALLBACKS]);
+  const fallback = (stored[StorageKeys.BYPASS_FALLBACKS] || []).find(entry => entry.scope === scope);
+  if (!fallback) throw new Error(`No bypass fallback for ${scope}`);
+
+  log.info('revertBypassFallback', 'Reverting bypass fallback', { scope, previous: fallback.previous });
+  const result = fallback.previous
+    ? await runOrQueue(createJob(JobType.RESTORE, scope, { snapshot: fallback.previous }))
+    : await runOrQueue(createJob(JobType.REMOVE, scope));
+  await dismissBypassFallback(scope);
+  if (!result.success) throw new Error(result.error || ErrorMessages.API_ERROR);
+}
+
+// Keep a bypass fallback's rule and forget what it replaced
+async function dismissBypassFallback(scope) {
+  const stored = await chrome.storage.local.get([StorageKeys.BYPASS_FALLBACKS]);
+  const fallbacks = (stored[StorageKeys.BYPASS_FALLBACKS] || []).filter(entry => entry.scope !== scope);
+  await chrome.storage.local.set({ [StorageKeys.BYPASS_FALLBACKS]: fallbacks });
+}
+
+// Push back the end of a pending override by the given number of minutes
+async function extendOverride(kind, scope, minutes) {
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('Invalid extension duration');
+  }
+  const extraMs = minutes * 60 * 1000;
+
+  if (kind === OverrideKind.REAPPLY) {
+    const alarmName = `${AlarmPrefix.REAPPLY_RULE}${scope}`;
+    const alarm = await chrome.alarms.get(alarmName);
+    if (!alarm) throw new Error(`No pending re-apply for ${scope}`);
+
+    const when = Math.max(alarm.scheduledTime, Date.now()) + extraMs;
+    await chrome.alarms.create(alarmName, { when });
+
+    const ruleKey = `${StoragePrefix.RULE}${scope}`;
+    const ruleData = await chrome.storage.local.get([ruleKey]);
+    if (ruleData[ruleKey]) {
+      await chrome.storage.local.set({ [ruleKey]: { ...ruleData[ruleKey], expiresAt: when } });
+    }
+    log.info('extendOverride', 'Re-apply postponed', { scope, minutes });
+    return;
+  }
+
+  const key = `${StoragePrefix.OVERRIDE}${scope}`;
+  const stored = await chrome.storage.local.get([key]);
+  const stack = stored[key] || [];
+  if (stack.length === 0) throw new Error(`No pending override for ${scope}`);
+
+  // Only the active (top) override is extended; buried ones keep their own expiry.
+  // An extended scheduled or focus override no longer follows its schedule's window or session.
+  const top = stack[stack.length - 1];
+  top.expiresAt = Math.max(top.expiresAt, Date.now()) + extraMs;
+  delete top.schedule;
+  delete top.focus;
+
+  await chrome.storage.local.set({ [key]: stack });
+  const nextExpiry = Math.min(...stack.map(entry => entry.expiresAt));
+  await chrome.alarms.create(`${AlarmPrefix.EXPIRE_RULE}${scope}`, { when: nextExpiry });
+  log.info('extendOverride', 'Override extended', { scope, minutes, expiresAt: top.expiresAt });
+}
+
+// End a pending override immediately, reverting to the state it will revert to on expiry
+async function cancelOverride(kind, scope) {
+  if (kind === OverrideKind.REAPPLY) {
+    // A failed re-apply is queued for retry, so the alarm is only dropped once the job is safe
+    const result = await runOrQueue(createJob(JobType.REAPPLY, scope));
+    await chrome.alarms.clear(`${AlarmPrefix.REAPPLY_RULE}${scope}`);
+    if (!result.success) throw new Error(`${result.error || ErrorMessages.API_ERROR} (queued for retry)`);
+    return;
+  }
+
+  const key = `${StoragePrefix.OVERRIDE}${scope}`;
+  const stored = await chrome.storage.local.get([key]);
+  const stack = stored[key] || [];
+
+  await chrome.alarms.clear(`${AlarmPrefix.EXPIRE_RULE}${scope}`);
+  if (stack.length > 0) {
+    stack[stack.length - 1].expiresAt = 0;
+    await chrome.storage.local.set({ [key]: stack });
+  }
+  await expireOverrides(scope);
+}
+
+// Keep the current state of the domain and forget about reverting it
+async function makeOverridePermanent(kind, scope) {
+  if (kind === OverrideKind.REAPPLY) {
+    await chrome.alarms.clear(`${AlarmPrefix.REAPPLY_RULE}${scope}`);
+    await chrome.storage.local.remove([`${StoragePrefix.RULE}${scope}`]);
+  } else {
+    await chrome.alarms.clear(`${AlarmPrefix.EXPIRE_RULE}${scope}`);
+    await chrome.storage.local.remove([`${StoragePrefix.OVERRIDE}${scope}`]);
+  }
+  await dismissDrift(kind, scope);
+  log.info('makeOverridePermanent', 'Pending override discarded, current rule kept', { kind, scope });
+}
+
+// Unwind expired temporary overrides for a domain on one profile, restoring whatever rule they
+// replaced. Overrides are stored as a stack in `override_${scope}`; each entry carries the rule
+// that was active before it was applied (`previous`), or null if the hostname had no rule.
+async function expireOverrides(scope) {
+  const key = `${StoragePrefix.OVERRIDE}${scope}`;
+  const stored = await chrome.storage.local.get([key]);
+  const stack = stored[key] || [];
+
+  if (stack.length === 0) {
+    // Alarm scheduled without an override record: nothing to restore
+    await runOrQueue(createJob(JobType.REMOVE, scope));
+    return;
+  }
+
+  // Alarms never fire early, but allow a little slack for entries expiring together
+  const now = Date.now() + 1000;
+  const remaining = [];
+  let restoreTarget;
+  let topExpired = false;
+
+  stack.forEach((entry, index) => {
+    if (entry.expiresAt > now) {
+      remaining.push(entry);
+      return;
+    }
+
+    if (index < stack.length - 1) {
+      // A buried override expired: the one above it now restores what this one replaced
+      stack[index + 1].previous = entry.previous;
     } else {
-      log.error('reapplyRule', 'Failed to re-apply rule', {
-        domain,
-        action,
-        status: response.status,
-        statusText: response.statusText
-      });
+      topExpired = true;
+      restoreTarget = entry.previous;
+    }
+  });
+
+  log.info('expireOverrides', 'Unwinding overrides', {
+    scope,
+    expired: stack.length - remaining.length,
+    remaining: remaining.length,
+    restoring: topExpired ? (restoreTarget || 'no rule') : 'nothing (top override still active)'
+  });
+
+  if (topExpired) {
+    if (restoreTarget) {
+      await runOrQueue(createJob(JobType.RESTORE, scope, { snapshot: restoreTarget }));
+    } else {
+      await runOrQueue(createJob(JobType.REMOVE, scope));
     }
-  } catch (error) {
-    log.error('reapplyRule', 'Error re-applying rule', {
-      domain,
-      error: error.message
+  }
+
+  if (remaining.length > 0) {
+    await chrome.storage.local.set({ [key]: remaining });
+    const nextExpiry = Math.min(...remaining.map(entry => entry.expiresAt));
+    await chrome.alarms.create(`${AlarmPrefix.EXPIRE_RULE}${scope}`, { when: nextExpiry });
+  } else {
+    // Unwound early (not by its alarm firing): the alarm would otherwise find no record and remove the rule
+    await chrome.alarms.clear(`${AlarmPrefix.EXPIRE_RULE}${scope}`);
+    await chrome.storage.local.remove([key]);
+  }
+}
+
+// Put back a rule snapshot taken before an override was applied
+async function restoreRule(scope, snapshot) {
+  const { profileId, domain } = parseRecordScope(scope);
+  const client = await ControlDClient.fromStorage(profileId);
+  if (!client) {
+    log.warn('restoreRule', 'Missing credentials, cannot restore rule', { scope });
+    return { success: false, status: null, error: ErrorMessages.MISSING_CREDENTIALS };
+  }
+
+  const { action, proxyId } = snapshot;
+  const hostnames = snapshot.hostnames && snapshot.hostnames.length > 0 ? snapshot.hostnames : [domain];
+
+  if (action === RuleAction.REDIRECT && await isProxyRetired(proxyId)) {
+    log.warn('restoreRule', 'Previous rule redirects via a retired proxy, not restoring', { scope, proxyId });
+    return { success: false, status: null, error: `${ErrorMessages.RETIRED_PROXY} (${proxyId.toUpperCase()})` };
+  }
+
+  log.info('restoreRule', 'Restoring previous rule', { scope, action, proxyId });
+
+  const result = await client.upsertRule({
+    hostnames,
+    action,
+    via: ruleVia(action, proxyId)
+  });
+
+  if (result.success) {
+    log.info('restoreRule', 'Previous rule restored', { scope, action, status: result.status });
+    await updateIndexEntries(hostnames, { action, via: proxyId }, client.profileId);
+  } else {
+    log.error('restoreRule', 'Failed to restore previous rule', {
+      scope,
+      action,
+      status: result.status,
+      error: result.error
+    });
+  }
+  return result;
+}
+
+// Function to remove a rule via Control D API
+async function removeRule(scope) {
+  const { profileId, domain } = parseRecordScope(scope);
+  const client = await ControlDClient.fromStorage(profileId);
+  if (!client) {
+    log.warn('removeRule', 'Missing credentials, cannot remove rule', { scope });
+    return { success: false, status: null, error: ErrorMessages.MISSING_CREDENTIALS };
+  }
+
+  log.info('removeRule', 'Attempting to remove rule', { scope });
+
+  const result = await client.deleteRule([domain]);
+
+  if (result.success) {
+    log.info('removeRule', 'Rule removed successfully', { scope, status: result.status });
+    await updateIndexEntries([domain], null, client.profileId);
+  } else {
+    log.error('removeRule', 'Failed to remove rule', {
+      scope,
+      status: result.status,
+      error: result.error
+    });
+  }
+  return result;
+}
+
+// Function to re-apply a temporarily removed rule
+async function reapplyRule(scope) {
+  const { profileId, domain } = parseRecordScope(scope);
+  const client = await ControlDClient.fromStorage(profileId);
+  if (!client) {
+    log.warn('reapplyRule', 'Missing credentials, cannot re-apply rule', { scope });
+    return { success: false, status: null, error: ErrorMessages.MISSING_CREDENTIALS };
+  }
+
+  // Get stored rule info
+  const ruleKey = `${StoragePrefix.RULE}${scope}`;
+  const ruleData = await chrome.storage.local.get([ruleKey]);
+  const ruleInfo = ruleData[ruleKey];
+
+  if (!ruleInfo) {
+    log.warn('reapplyRule', 'No stored rule info found', { scope, ruleKey });
+    return { success: true, skipped: true };
+  }
+
+  const { action, proxyId } = ruleInfo;
+
+  if (action === null || action === undefined) {
+    log.warn('reapplyRule', 'Invalid action in stored rule, removing', { scope, ruleInfo });
+    await chrome.storage.local.remove([ruleKey]);
+    return { success: true, skipped: true };
+  }
+
+  if (action === RuleAction.REDIRECT && await isProxyRetired(proxyId)) {
+    log.warn('reapplyRule', 'Removed rule redirects via a retired proxy, not re-applying', { scope, proxyId });
+    return { success: false, status: null, error: `${ErrorMessages.RETIRED_PROXY} (${proxyId.toUpperCase()})` };
+  }
+
+  log.info('reapplyRule', 'Re-applying rule', { scope, action, proxyId });
+
+  const result = await client.upsertRule({
+    hostnames: [domain],
+    action,
+    via: ruleVia(action, proxyId)
+  });
+
+  if (result.success) {
+    log.info('reapplyRule', 'Rule re-applied successfully', {
+      scope,
+      action,
+      status: result.status
+    });
+    await updateIndexEntries([domain], { action, via: proxyId }, client.profileId);
+    await chrome.storage.local.remove([ruleKey]);
+  } else {
+    log.error('reapplyRule', 'Failed to re-apply rule', {
+      scope,
+      action,
+      status: result.status,
+      error: result.error
     });
   }
-}
\ No newline at end of file
+  return result;
+}
@@ -0,0 +1,333 @@
+/**
+ * Control D Quick Switcher - API Client
+ *
+ * Single client for the Control D REST API, shared by the popup, the extension pages and the
+ * background service worker. Every method resolves to a normalised result and never throws
+ * for HTTP or network failures:
+ *
+ *   { success: true,  status, data }
+ *   { success: false, status, error }   // status is 0 when the request never got a response
+ */
+
+import {
+    API,
+    ErrorMessages,
+    HttpStatus,
+    Logger,
+    RuleAction,
+    RuleActionLabels
+} from './constants.js';
+import { isIPv6 } from './domains.js';
+
+// =============================================================================
+// Rule Targets
+// =============================================================================
+
+/**
+ * Whether rules with this action carry a `via` value: the proxy ID of a Redirect,
+ * or the IP address / hostname a Spoof points at
+ * @param {number} action - RuleAction value
+ * @returns {boolean}
+ */
+export function actionUsesVia(action) {
+    return action === RuleAction.REDIRECT || action === RuleAction.SPOOF;
+}
+
+/**
+ * The `via` value to store or send for a rule, dropping stale values for actions without one
+ * @param {number} action - RuleAction value
+ * @param {string|null} via - Proxy ID or spoof target
+ * @returns {string|null}
+ */
+export function ruleVia(action, via) {
+    return actionUsesVia(action) ? via || null : null;
+}
+
+/**
+ * Describe a rule for display (e.g. "Block", "Redirect via LAX", "Spoof to 10.0.0.5")
+ * @param {number} action - RuleAction value
+ * @param {string|null} via - Proxy ID or spoof target
+ * @returns {string}
+ */
+export function describeRule(action, via) {
+    const label = RuleActionLabels[action] || `Action ${action}`;
+    if (action === RuleAction.REDIRECT && via) return `${label} via ${via.toUpperCase()}`;
+    if (action === RuleAction.SPOOF && via) return `${label} to ${via}`;
+    return label;
+}
+
+// =============================================================================
+// Response Normalisation
+// =============================================================================
+
+/**
+ * Read a rule action value from any of the shapes the API has returned it in
+ * @param {Object} raw - Rule object as returned by the API
+ * @returns {number|null} Rule action or null if it cannot be determined
+ */
+function readRuleAction(raw) {
+    if (raw.action?.do !== undefined) {
+        return raw.action.do;
+    }
+    if (raw.do !== undefined) {
+        if (typeof raw.do === 'number') return raw.do;
+        return raw.do?.value !== undefined ? raw.do.value : null;
+    }
+    if (raw.action !== undefined) {
+        if (typeof raw.action === 'number') return raw.action;
+        return raw.action?.value !== undefined ? raw.action.value : null;
+    }
+    return null;
+}
+
+/**
+ * Normalise a rule object into a consistent shape
+ * @param {Object} raw - Rule object as returned by the API
+ * @returns {{hostname: string, action: number|null, via: string|null, status: number|null, raw: Object}}
+ */
+export function normaliseRule(raw) {
+    const hostname = raw.PK || raw.hostname || (Array.isArray(raw.hostnames) ? raw.hostnames[0] : null);
+    return {
+        hostname,
+        action: readRuleAction(raw),
+        via: raw.action?.via || raw.via || raw.action?.via_v6 || raw.via_v6 || null,
+        status: raw.action?.status ?? raw.status ?? null,
+        raw
+    };
+}
+
+/**
+ * Extract the list of rules from a rules response body
+ * @param {Object|Array} payload - Parsed JSON response
+ * @returns {Array<Object>} Normalised rules
+ */
+function extractRules(payload) {
+    const rules = payload?.body?.rules || payload?.body || payload?.rules || payload;
+    let list = [];
+
+    if (Array.isArray(rules)) {
+        list = rules;
+    } else if (rules && typeof rules === 'object') {
+        list = Object.values(rules).filter(rule => rule && typeof rule === 'object');
+    }
+
+    return list.map(normaliseRule).filter(rule => rule.hostname);
+}
+
+/**
+ * Extract the list of proxies from a proxies response body
+ * @param {Object|Array} payload - Parsed JSON response
+ * @returns {Array<Object>} Proxy objects as returned by the API
+ */
+function extractProxies(payload) {
+    if (payload?.body) {
+        if (Array.isArray(payload.body.proxies)) return payload.body.proxies;
+        if (Array.isArray(payload.body)) return payload.body;
+        if (typeof payload.body === 'object') {
+            const list = Object.values(payload.body).find(value => Array.isArray(value));
+            if (list) return list;
+        }
+        return [];
+    }
+    if (Array.isArray(payload)) return payload;
+    if (Array.isArray(payload?.data)) return payload.data;
+    return [];
+}
+
+/**
+ * Extract the list of profiles from a profiles response body
+ * @param {Object|Array} payload - Parsed JSON response
+ * @returns {Array<{id: string, name: string}>} Profiles, named by their ID when they have no name
+ */
+function extractProfiles(payload) {
+    const profiles = payload?.body?.profiles || payload?.profiles || payload?.body || payload;
+    if (!Array.isArray(profiles)) return [];
+
+    return profiles
+        .map(profile => ({ id: profile.PK || profile.id, name: profile.name || profile.PK || profile.id }))
+        .filter(profile => profile.id);
+}
+
+/**
+ * Build a readable error message from an API error response
+ * @param {Response} res - Fetch response
+ * @param {Object|string|null} payload - Parsed response body, if any
+ * @returns {string} Error message
+ */
+export function parseErrorMessage(res, payload) {
+    const fallback = `HTTP ${res.status}: ${res.statusText}`;
+    if (!payload) return fallback;
+
+    if (typeof payload === 'string') return payload;
+    if (payload.error) {
+        if (typeof payload.error === 'string') return payload.error;
+        if (payload.error.message) {
+            return payload.error.code
+                ? `${payload.error.message} (Code: ${payload.error.code})`
+                : payload.error.message;
+        }
+        return JSON.stringify(payload.error);
+    }
+    if (payload.message) return payload.message;
+    if (payload.detail) return payload.detail;
+
+    return JSON.stringify(payload).substring(0, 200) || fallback;
+}
+
+// =============================================================================
+// Client
+// =============================================================================
+
+export class ControlDClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - Control D API key
+     * @param {string} [options.profileId] - Profile the rule methods operate on
+     * @param {string} [options.baseUrl] - API base URL (defaults to API.BASE_URL)
+     * @param {Function} [options.fetchImpl] - fetch implementation (defaults to the global fetch)
+     */
+    constructor({ apiKey, profileId = null, baseUrl = API.BASE_URL, fetchImpl = null }) {
+        this.apiKey = apiKey;
+        this.profileId = profileId;
+        this.baseUrl = baseUrl;
+        this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Create a client from the credentials saved in chrome.storage.sync
+     * @param {string|null} [profileId] - Profile to manage (defaults to the saved default profile)
+     * @returns {Promise<ControlDClient|null>} Client, or null if credentials are missing
+     */
+    static async fromStorage(profileId = null) {
+        const stored = await chrome.storage.sync.get(['apiKey', 'profileId']);
+        const apiKey = stored.apiKey?.trim();
+        profileId = (profileId || stored.profileId)?.trim();
+
+        if (!apiKey || !profileId) {
+            return null;
+        }
+        return new ControlDClient({ apiKey, profileId });
+    }
+
+    /**
+     * Send a request and normalise the response
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the base URL
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<{success: boolean, status: number, data?: *, error?: string}>}
+     */
+    async request(method, path, body = undefined) {
+        const headers = { 'Authorization': `Bearer ${this.apiKey}` };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        let res;
+        try {
+            res = await this.fetchImpl(this.baseUrl + path, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (err) {
+            Logger.error('ControlDClient', 'Network error', { method, path, error: err.message });
+            return { success: false, status: 0, error: err.message || ErrorMessages.NETWORK_ERROR };
+        }
+
+        const text = await res.text().catch(() => '');
+        let payload = null;
+        if (text) {
+            try {
+                payload = JSON.parse(text);
+            } catch (parseErr) {
+                if (res.ok) {
+                    return { success: false, status: res.status, error: `Invalid response format: ${text.substring(0, 100)}` };
+                }
+                payload = text.substring(0, 200);
+            }
+        }
+
+        if (!res.ok || payload?.success === false) {
+            const error = res.status === HttpStatus.UNAUTHORIZED
+                ? ErrorMessages.INVALID_API_KEY
+                : parseErrorMessage(res, payload);
+            return { success: false, status: res.status, error, data: payload };
+        }
+
+        return { success: true, status: res.status, data: payload };
+    }
+
+    /**
+     * List every custom rule in the profile
+     * @returns {Promise<Object>} Result whose data is an array of normalised rules
+     */
+    async listRules() {
+        const result = await this.request('GET', API.ENDPOINTS.RULES(this.profileId));
+        return result.success ? { ...result, data: extractRules(result.data) } : result;
+    }
+
+    /**
+     * Look up the rule for an exact hostname
+     * @param {string} hostname - Hostname to look up
+     * @returns {Promise<Object>} Result whose data is the normalised rule, or null if none exists
+     */
+    async getRule(hostname) {
+        const result = await this.request('GET', API.ENDPOINTS.RULE_QUERY(this.profileId, hostname));
+        if (!result.success) return result;
+
+        const rule = extractRules(result.data).find(r => r.hostname === hostname) || null;
+        return { ...result, data: rule };
+    }
+
+    /**
+     * Create rules, or update them if they already exist (POST, then PUT)
+     * @param {Object} rule
+     * @param {Array<string>} rule.hostnames - Hostnames the rule applies to
+     * @param {number} rule.action - RuleAction value
+     * @param {string|null} [rule.via] - Proxy ID for redirect rules, or the target of spoof rules
+     * @returns {Promise<Object>} Result
+     */
+    async upsertRule({ hostnames, action, via = null }) {
+        const path = API.ENDPOINTS.RULES(this.profileId);
+        const body = { hostnames, do: action };
+        if (via) {
+            // The API takes IPv6 spoof targets in a field of their own
+            body[action === RuleAction.SPOOF && isIPv6(via) ? 'via_v6' : 'via'] = via;
+        }
+
+        const created = await this.request('POST', path, body);
+        if (created.success || created.status === 0) {
+            return created;
+        }
+
+        Logger.info('ControlDClient', 'POST failed, trying PUT', { hostnames, status: created.status });
+        return this.request('PUT', path, body);
+    }
+
+    /**
+     * Delete the rules for the given hostnames
+     * @param {Array<string>} hostnames - Hostnames whose rules should be removed
+     * @returns {Promise<Object>} Result
+     */
+    async deleteRule(hostnames) {
+        return this.request('DELETE', API.ENDPOINTS.RULES(this.profileId), { hostnames });
+    }
+
+    /**
+     * List the profiles on the account. Needs only an API key, so it doubles as a credential check.
+     * @returns {Promise<Object>} Result whose data is an array of { id, name }
+     */
+    async listProfiles() {
+        const result = await this.request('GET', API.ENDPOINTS.PROFILES);
+        return result.success ? { ...result, data: extractProfiles(result.data) } : result;
+    }
+
+    /**
+     * List the proxy locations available for redirect rules
+     * @returns {Promise<Object>} Result whose data is an array of proxy objects
+     */
+    async listProxies() {
+        const result = await this.request('GET', API.ENDPOINTS.PROXIES);
+        return result.success ? { ...result, data: extractProxies(result.data) } : result;
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Control D Quick Switcher - Toolbar Badge
+ *
+ * Shows the rule status of each tab's hostname on the extension's toolbar icon:
+ * B (Block), BY (Bypass) or the proxy code (Redirect) for permanent rules, and the time
+ * remaining for temporary overrides. Status comes from the cached rule index and the
+ * pending override records, never from a per-tab API request. With several profiles saved,
+ * the badge shows the default profile. While hosts on the page have failed to load the way
+ * blocked ones do, the badge counts them instead (the rule status stays in the tooltip).
+ */
+
+import {
+    BadgeText,
+    Logger,
+    RuleAction,
+    StorageKeys,
+    StoragePrefix,
+    UI
+} from './constants.js';
+import { describeRule } from './api.js';
+import { getDomainVariations } from './domains.js';
+import { getFailedHosts } from './pageHosts.js';
+import { recordScope } from './profiles.js';
+import { getRuleIndex, lookupRule } from './ruleIndex.js';
+
+/**
+ * Format the time left on a temporary override so it fits on the badge
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string} Short countdown (e.g. "9m", "3h", "2d")
+ */
+function formatBadgeCountdown(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h`;
+    return `${Math.floor(hours / 24)}d`;
+}
+
+/**
+ * Work out what the badge should show for a hostname
+ * @param {string} hostname - Tab hostname
+ * @returns {Promise<Object|null>} { action, via, hostname, endsAt, tabBound } or null if no rule applies
+ */
+async function resolveStatus(hostname) {
+    const { [StorageKeys.PROFILE_ID]: profileId } = await chrome.storage.sync.get([StorageKeys.PROFILE_ID]);
+    // Rules may be set on the www variant, the registrable domain or a wildcard, most specific first.
+    // Records written before profiles existed are unscoped and belong to the default profile.
+    const candidates = getDomainVariations(hostname).flatMap(variation => [
+        { hostname: variation, scope: recordScope(profileId?.trim(), variation) },
+        { hostname: variation, scope: variation }
+    ]);
+    const stored = await chrome.storage.local.get(candidates.flatMap(({ scope }) =>
+        [`${StoragePrefix.OVERRIDE}${scope}`, `${StoragePrefix.RULE}${scope}`]));
+
+    // Pending overrides are authoritative for their hostname, even before the index catches up
+    const overridden = candidates.find(({ scope }) => stored[`${StoragePrefix.OVERRIDE}${scope}`]?.length > 0);
+    if (overridden) {
+        const stack = stored[`${StoragePrefix.OVERRIDE}${overridden.scope}`];
+        const top = stack[stack.length - 1];
+        return { hostname: overridden.hostname, action: top.action, via: top.proxyId, endsAt: top.expiresAt, tabBound: !!top.tab };
+    }
+
+    const removed = candidates.find(({ scope }) => stored[`${StoragePrefix.RULE}${scope}`]?.expiresAt);
+    if (removed) {
+        const record = stored[`${StoragePrefix.RULE}${removed.scope}`];
+        return { hostname: removed.hostname, action: null, via: null, endsAt: record.expiresAt, tabBound: !!record.tab };
+    }
+
+    const rule = lookupRule(await getRuleIndex(), hostname);
+    return rule ? { ...rule, endsAt: null } : null;
+}
+
+/**
+ * Update the badge for one tab
+ * @param {chrome.tabs.Tab} tab - Tab to update
+ */
+export async function updateBadge(tab) {
+    if (!tab || tab.id === undefined) return;
+
+    let hostname = null;
+    try {
+        const url = new URL(tab.url || '');
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+            hostname = url.hostname;
+        }
+    } catch (e) {
+        // Not a parsable URL (e.g. a blank tab): clear the badge
+    }
+
+    const status = hostname ? await resolveStatus(hostname) : null;
+    const failedCount = hostname ? (await getFailedHosts(tab.id)).length : 0;
+
+    if (!status && failedCount === 0) {
+        await chrome.action.setBadgeText({ tabId: tab.id, text: '' });
+        await chrome.action.setTitle({ tabId: tab.id, title: 'Control D Switcher' });
+        return;
+    }
+
+    let text = '';
+    let color;
+    let title = 'Control D: ';
+
+    if (status) {
+        const detail = status.action === null
+            ? 'Rule removed'
+            : describeRule(status.action, status.via);
+        title += `${detail} (${status.hostname})`;
+
+        if (status.tabBound) {
+            // Tied to a tab: it ends when the tab closes, not at a time worth counting down to
+            text = BadgeText.TAB;
+            color = UI.STATUS_COLORS.TEMPORARY;
+            title += status.action === null ? ', re-applies when the tab closes' : ', until the tab is closed';
+        } else if (status.endsAt) {
+            text = formatBadgeCountdown(status.endsAt - Date.now());
+            color = UI.STATUS_COLORS.TEMPORARY;
+            title += status.action === null ? `, re-applies in ${text}` : `, expires in ${text}`;
+        } else {
+            text = status.action === RuleAction.REDIRECT
+                ? (status.via || 'R').toUpperCase().substring(0, 4)
+                : BadgeText[status.action] || '?';
+            color = UI.STATUS_COLORS.ACTIVE;
+        }
+    }
+
+    if (failedCount > 0) {
+        const failed = `${failedCount} host${failedCount === 1 ? '' : 's'} failed to load (possibly blocked)`;
+        title = status ? `${title}. ${failed}` : `${title}${failed}`;
+        text = failedCount > 99 ? '99+' : String(failedCount);
+        color = UI.STATUS_COLORS.FAILED;
+    }
+
+    await chrome.action.setBadgeText({ tabId: tab.id, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color });
+    await chrome.action.setTitle({ tabId: tab.id, title });
+}
+
+/**
+ * Update the badge of the active tab in every window
+ */
+export async function updateActiveBadges() {
+    try {
+        const tabs = await chrome.tabs.query({ active: true });
+        await Promise.all(tabs.map(updateBadge));
+    } catch (error) {
+        Logger.error('updateActiveBadges', 'Failed to update badges', { error: error.message });
+    }
+}
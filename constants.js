@@ -2,6 +2,7 @@
  * Control D Quick Switcher - Constants
  *
  * Centralized configuration and constant values for the extension.
+ * Loaded as an ES module by the popup, the extension pages and the service worker.
  */
 
 // =============================================================================
@@ -11,21 +12,41 @@
 /**
  * Rule action types supported by Control D API
  */
-const RuleAction = {
+export const RuleAction = {
     BLOCK: 0,      // Block the domain completely
     BYPASS: 1,     // Bypass filtering for the domain
+    SPOOF: 2,      // Resolve the domain to a custom IP address or hostname
     REDIRECT: 3    // Redirect traffic through a proxy
 };
 
 /**
  * Human-readable labels for rule actions
  */
-const RuleActionLabels = {
+export const RuleActionLabels = {
     [RuleAction.BLOCK]: 'Block',
     [RuleAction.BYPASS]: 'Bypass',
+    [RuleAction.SPOOF]: 'Spoof',
     [RuleAction.REDIRECT]: 'Redirect'
 };
 
+/**
+ * Which hostname a rule is set on, relative to the current page's host
+ */
+export const DomainScope = {
+    EXACT: 'exact',              // Only the host itself (e.g. static.cdn.example.co.uk)
+    REGISTRABLE: 'registrable',  // The registrable domain (e.g. example.co.uk)
+    WILDCARD: 'wildcard'         // Every subdomain of the registrable domain (e.g. *.example.co.uk)
+};
+
+/**
+ * Human-readable labels for domain scopes
+ */
+export const DomainScopeLabels = {
+    [DomainScope.EXACT]: 'Exact host',
+    [DomainScope.REGISTRABLE]: 'Registrable domain',
+    [DomainScope.WILDCARD]: 'All subdomains'
+};
+
 // =============================================================================
 // API Configuration
 // =============================================================================
@@ -33,10 +54,11 @@ const RuleActionLabels = {
 /**
  * Control D API endpoints
  */
-const API = {
+export const API = {
     BASE_URL: 'https://api.controld.com',
     ENDPOINTS: {
         PROXIES: '/proxies',
+        PROFILES: '/profiles',
         RULES: (profileId) => `/profiles/${profileId}/rules`,
         RULE_QUERY: (profileId, hostname) => `/profiles/${profileId}/rules?hostname=${encodeURIComponent(hostname)}`
     }
@@ -49,10 +71,15 @@ const API = {
 /**
  * Cache settings for data persistence
  */
-const Cache = {
+export const Cache = {
     PROXY_LIST_TTL: 60 * 60 * 1000,  // 1 hour in milliseconds
     PROXY_LIST_KEY: 'cached_proxy_list',
-    PROXY_LIST_TIMESTAMP_KEY: 'cached_proxy_list_timestamp'
+    PROXY_LIST_TIMESTAMP_KEY: 'cached_proxy_list_timestamp',
+    PROXY_REFRESH_MINUTES: 30,       // Background proxy list refresh interval
+    RETIRED_PROXIES_KEY: 'retired_proxies',   // Proxies that dropped off the list, with their country
+    RULE_INDEX_TTL: 5 * 60 * 1000,   // 5 minutes in milliseconds
+    RULE_INDEX_KEY: 'cached_rule_index',
+    RULE_INDEX_SYNC_MINUTES: 10      // Background full sync interval
 };
 
 // =============================================================================
@@ -62,11 +89,38 @@ const Cache = {
 /**
  * Chrome storage keys used throughout the extension
  */
-const StorageKeys = {
+export const StorageKeys = {
     API_KEY: 'apiKey',
     PROFILE_ID: 'profileId',
     CACHED_PROXIES: Cache.PROXY_LIST_KEY,
-    CACHED_PROXIES_TIMESTAMP: Cache.PROXY_LIST_TIMESTAMP_KEY
+    CACHED_PROXIES_TIMESTAMP: Cache.PROXY_LIST_TIMESTAMP_KEY,
+    CACHED_RULE_INDEX: Cache.RULE_INDEX_KEY,
+    RETRY_QUEUE: 'retry_queue',
+    OVERRIDE_DRIFT: 'drift_report',
+    FAVOURITE_PROXY: 'favouriteProxyId',   // Newest starred proxy, used by the context menu, in sync storage
+    PROFILES: 'profiles',                  // Named profiles ({ id, name }), in sync storage
+    TARGET_PROFILES: 'targetProfiles',     // Profiles new rules apply to, in sync storage
+    PAGE_HOSTS: 'page_hosts',              // Hostnames each tab has contacted, in session storage
+    WORKDAY_END: 'workdayEnd',             // End of the workday (HH:MM), in sync storage
+    TAB_BOUND_TABS: 'tab_bound_tabs',      // Tabs with overrides that end when the tab closes
+    SCHEDULES: 'schedules',                // Recurring rule schedules, in sync storage
+    SCHEDULE_RUNS: 'schedule_runs',        // Scopes each schedule has applied in its current window
+    FOCUS_LISTS: 'focusLists',             // Named domain lists for focus sessions, in sync storage
+    FOCUS_SESSION: 'focus_session',        // The running focus session, if any
+    STARRED_PROXIES: 'starredProxyIds',    // Starred proxies, newest first, in sync storage
+    RECENT_PROXIES: 'recent_proxies',      // Proxies last used for redirects, newest first
+    DOMAIN_PROXIES: 'domain_proxies',      // Proxy last chosen for each domain
+    STALE_PROXIES: 'stale_proxies',        // Retired proxies still used by saved redirects, with replacements
+    BYPASS_FALLBACKS: 'bypass_fallbacks'   // Rules set to Bypass because they couldn't be deleted, with what they replaced
+};
+
+/**
+ * Chrome storage key prefixes for per-domain records, suffixed with the record scope
+ * ("<profileId>/<domain>", or just the domain for records written before profiles existed)
+ */
+export const StoragePrefix = {
+    RULE: 'rule_',           // Rule snapshot awaiting re-application
+    OVERRIDE: 'override_'    // Stack of pending temporary overrides
 };
 
 // =============================================================================
@@ -76,15 +130,114 @@ const StorageKeys = {
 /**
  * UI timing and display settings
  */
-const UI = {
+export const UI = {
     MESSAGE_TIMEOUT: 3000,           // Message display duration in ms
     PROXY_LOAD_DELAY: 150,           // Delay before loading proxies in ms
     RECHECK_DELAY: 2000,             // Delay before rechecking rule status in ms
     STATUS_COLORS: {
         READY: '#10b981',            // Emerald
         ACTIVE: '#ef4444',           // Red
-        TEMPORARY: '#fbbf24'         // Yellow/Amber
-    }
+        TEMPORARY: '#fbbf24',        // Yellow/Amber
+        FAILED: '#f97316',           // Orange, for hosts that failed to load
+        IDLE: '#64748b'              // Slate, while no hostname can be managed
+    },
+    BADGE_REFRESH_MINUTES: 1,        // How often badge countdowns are updated
+    RULES_PAGE_SIZE: 25,             // Rules per page in the rules manager
+    IMPORT_BATCH_SIZE: 50,           // Hostnames per API request when importing rules
+    MENU_BYPASS_MINUTES: 10,         // Duration of the context menu's temporary bypass
+    SHORTCUT_BYPASS_MINUTES: 5,      // Duration of the keyboard shortcut's temporary bypass
+    OMNIBOX_SUGGESTIONS: 6,          // Maximum omnibox suggestions shown at once
+    PAGE_HOSTS_LIMIT: 150,           // Hostnames recorded per tab
+    PAGE_HOSTS_SAVE_DELAY: 1000,     // Batching delay for saving recorded hostnames in ms
+    UNBREAK_BYPASS_MINUTES: 15,      // Duration of the popup's bypass for hosts that failed to load
+    TAB_RULE_MAX_MINUTES: 1440,      // Rules tied to a tab still end after this long
+    SCHEDULE_SYNC_MINUTES: 15,       // How often schedules are re-checked (catches timezone changes)
+    FOCUS_MINUTES: 50,               // Length of a focus session
+    RECENT_PROXIES_LIMIT: 5,         // Recently used proxies pinned in the proxy picker
+    DOMAIN_PROXIES_LIMIT: 200,       // Domains whose last proxy is remembered
+    MAX_DURATION_MINUTES: 365 * 1440 // Longest custom duration accepted (365 days)
+};
+
+/**
+ * Rule durations offered in the popup (minutes, 0 for permanent)
+ */
+export const DurationOptions = [
+    { minutes: 0, label: 'Permanent' },
+    { minutes: 1, label: '1 Minute' },
+    { minutes: 5, label: '5 Minutes' },
+    { minutes: 10, label: '10 Minutes' },
+    { minutes: 30, label: '30 Minutes' },
+    { minutes: 60, label: '1 Hour' },
+    { minutes: 1440, label: '24 Hours' }
+];
+
+/**
+ * Duration preselected in the popup (minutes)
+ */
+export const DEFAULT_DURATION_MINUTES = 1;
+
+/**
+ * Open-ended durations offered in the popup after the fixed ones (the select's value for each)
+ */
+export const DurationMode = {
+    CUSTOM: 'custom',                    // Typed length, e.g. "90m" or "2h30m"
+    UNTIL_TIME: 'untilTime',             // Until the next HH:MM
+    END_OF_WORKDAY: 'endOfWorkday',      // Until the workday end time set in the settings
+    UNTIL_TAB_CLOSED: 'untilTabClosed'   // Until the tab is closed or leaves the site
+};
+
+/**
+ * Labels for the open-ended durations
+ */
+export const DurationModeLabels = {
+    [DurationMode.CUSTOM]: 'Custom...',
+    [DurationMode.UNTIL_TIME]: 'Until a time...',
+    [DurationMode.END_OF_WORKDAY]: 'Until end of workday',
+    [DurationMode.UNTIL_TAB_CLOSED]: 'Until this tab is closed'
+};
+
+/**
+ * Workday end time used until one is set (24-hour HH:MM)
+ */
+export const DEFAULT_WORKDAY_END = '17:00';
+
+/**
+ * Domain lists offered for focus sessions until some are saved
+ */
+export const DEFAULT_FOCUS_LISTS = [
+    { id: 'distractions', name: 'Distractions', hostnames: ['reddit.com', 'youtube.com', 'x.com'] }
+];
+
+/**
+ * Short day names, indexed like Date.getDay() (Sunday first)
+ */
+export const WeekdayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Toolbar badge text per rule action (redirects show the proxy code instead)
+ */
+export const BadgeText = {
+    [RuleAction.BLOCK]: 'B',
+    [RuleAction.BYPASS]: 'BY',
+    [RuleAction.SPOOF]: 'SP',
+    TAB: 'TAB'                   // Temporary rule that ends when its tab closes
+};
+
+/**
+ * How a request that Control D blocked shows up in webRequest: the hostname doesn't resolve,
+ * or it resolves to a sinkhole address
+ */
+export const BlockedRequest = {
+    ERRORS: ['net::ERR_NAME_NOT_RESOLVED', 'net::ERR_ADDRESS_INVALID'],
+    SINKHOLE_IPS: ['0.0.0.0', '::']
+};
+
+/**
+ * Optional permissions, requested when the feature needing them is first used
+ */
+export const OptionalPermissions = {
+    // webRequest only reports requests to hosts the extension may access
+    PAGE_HOSTS: { origins: ['<all_urls>'] }
 };
 
 // =============================================================================
@@ -94,14 +247,27 @@ const UI = {
 /**
  * Standardized error messages
  */
-const ErrorMessages = {
+export const ErrorMessages = {
     MISSING_CREDENTIALS: 'Missing API Key or Profile ID. Please configure in settings.',
     INVALID_API_KEY: 'Invalid API Key. Please check your credentials.',
+    INVALID_PROFILE_ID: 'Invalid Profile ID. It should look like p12345.',
     NETWORK_ERROR: 'Network error. Please check your connection.',
     API_ERROR: 'API error occurred. Please try again.',
     NO_DOMAIN: 'Unable to detect domain from current page.',
     MISSING_PROXY: 'Please select a proxy location for redirect',
-    SPECIAL_PAGE: 'Cannot manage rules for this type of page',
+    MISSING_SPOOF_TARGET: 'Please enter an IP address or hostname to spoof to',
+    INVALID_DURATION: 'Enter a duration like 90m or 2h30m',
+    DURATION_TOO_LONG: 'Durations can be at most 365 days (365d)',
+    TAB_DURATION_UNAVAILABLE: 'Only rules for the site open in this tab can end when the tab closes',
+    MISSING_END_TIME: 'Please pick the time the rule should end',
+    INVALID_SPOOF_TARGET: 'Spoof target must be an IPv4 or IPv6 address or a hostname',
+    MISSING_HOSTNAMES: 'Please enter at least one hostname',
+    MISSING_DAYS: 'Please pick at least one day',
+    INVALID_WINDOW: 'Please pick a start and end time that differ',
+    MISSING_LIST_NAME: 'Please name the list',
+    FOCUS_ACTIVE: 'A focus session is already running',
+    RETIRED_PROXY: 'The proxy location no longer exists',
+    SPECIAL_PAGE: 'This page has no hostname. Type one to manage its rules',
     NO_PROXIES: 'No proxies available'
 };
 
@@ -112,7 +278,7 @@ const ErrorMessages = {
 /**
  * Common HTTP status codes used in API responses
  */
-const HttpStatus = {
+export const HttpStatus = {
     OK: 200,
     CREATED: 201,
     BAD_REQUEST: 400,
@@ -130,7 +296,7 @@ const HttpStatus = {
 /**
  * Logging levels and configuration
  */
-const Logging = {
+export const Logging = {
     ENABLED: true,
     PREFIX: '[Control D]',
     LEVELS: {
@@ -148,7 +314,7 @@ const Logging = {
 /**
  * Centralized logging utility with consistent formatting
  */
-const Logger = {
+export const Logger = {
     /**
      * Log an error message
      * @param {string} context - Where the error occurred
@@ -201,25 +367,115 @@ const Logger = {
 /**
  * Chrome alarm name prefixes
  */
-const AlarmPrefix = {
+export const AlarmPrefix = {
     EXPIRE_RULE: 'expire_rule_',
-    REAPPLY_RULE: 'reapply_rule_'
+    REAPPLY_RULE: 'reapply_rule_',
+    SCHEDULE_START: 'schedule_start_'   // Suffixed with the schedule ID
+};
+
+/**
+ * Chrome alarm names for singleton background tasks
+ */
+export const AlarmName = {
+    RETRY_QUEUE: 'retry_queue',
+    BADGE_REFRESH: 'badge_refresh',
+    RULE_INDEX_SYNC: 'rule_index_sync',
+    SCHEDULE_SYNC: 'schedule_sync',
+    FOCUS_END: 'focus_end',
+    PROXY_REFRESH: 'proxy_refresh'
+};
+
+/**
+ * Kinds of pending temporary override
+ */
+export const OverrideKind = {
+    EXPIRE: 'expire',     // A temporary rule that is removed (or unwound) on expiry
+    REAPPLY: 'reapply'    // A temporarily removed rule that is re-applied on expiry
 };
 
 // =============================================================================
-// Validation Patterns
+// Context Menus and Shortcuts
 // =============================================================================
 
 /**
- * Regular expressions for validation
+ * Context menu item IDs (shown on pages and links)
  */
-const Patterns = {
-    PROFILE_ID: /^p\d+$/,            // Profile ID format (e.g., p12345)
-    DOMAIN: /^[a-z0-9]+([\-\.]{1}[a-z0-9]+)*\.[a-z]{2,}$/i  // Basic domain validation
+export const ContextMenuId = {
+    BLOCK: 'block_host',
+    BYPASS: 'bypass_host',
+    REDIRECT: 'redirect_host'
+};
+
+/**
+ * Keyboard shortcut names (must match "commands" in manifest.json)
+ */
+export const CommandName = {
+    TOGGLE_BYPASS: 'toggle-bypass',
+    BLOCK_SITE: 'block-site'
+};
+
+// =============================================================================
+// Runtime Messages
+// =============================================================================
+
+/**
+ * Message types handled by the background service worker
+ */
+export const MessageType = {
+    EXTEND_OVERRIDE: 'extendOverride',
+    CANCEL_OVERRIDE: 'cancelOverride',
+    MAKE_OVERRIDE_PERMANENT: 'makeOverridePermanent',
+    RETRY_JOB: 'retryJob',
+    DISMISS_JOB: 'dismissJob',
+    DISMISS_DRIFT: 'dismissDrift',
+    GET_PAGE_HOSTS: 'getPageHosts',
+    BYPASS_FAILED_HOSTS: 'bypassFailedHosts',
+    START_FOCUS: 'startFocus',
+    END_FOCUS: 'endFocus',
+    REPLACE_STALE_PROXY: 'replaceStaleProxy',
+    REVERT_BYPASS_FALLBACK: 'revertBypassFallback',
+    DISMISS_BYPASS_FALLBACK: 'dismissBypassFallback'
 };
 
 // =============================================================================
-// Export for use in other scripts
+// Retry Queue
 // =============================================================================
 
-// All constants are available globally when this script is loaded
+/**
+ * Background operations that are retried when they fail
+ */
+export const JobType = {
+    RESTORE: 'restore',    // Put back the rule an expired override replaced
+    REMOVE: 'remove',      // Remove a rule whose override expired
+    REAPPLY: 'reapply'     // Re-apply a temporarily removed rule
+};
+
+/**
+ * Retry queue job states
+ */
+export const JobStatus = {
+    PENDING: 'pending',
+    FAILED: 'failed'
+};
+
+/**
+ * Retry policy (exponential backoff between attempts)
+ */
+export const Retry = {
+    MAX_ATTEMPTS: 6,
+    BASE_DELAY_MINUTES: 1,
+    MAX_DELAY_MINUTES: 60
+};
+
+// =============================================================================
+// Validation Patterns
+// =============================================================================
+
+/**
+ * Regular expressions for validation
+ */
+export const Patterns = {
+    PROFILE_ID: /^p\d+$/,            // Profile ID format (e.g., p12345)
+    DOMAIN: /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+([a-z]{2,}|xn--[a-z0-9-]+)$/i,  // Domain name, punycode (xn--) labels included
+    IPV4: /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/  // IPv4 address (e.g., 10.0.0.5)
+};
@@ -0,0 +1,404 @@
+/**
+ * Control D Quick Switcher - Active Overrides Dashboard
+ *
+ * Lists every pending temporary override (expire_rule_* / reapply_rule_* alarms and their
+ * stored records) with a live countdown, naming the profile when several are saved. Changes are
+ * sent to the service worker, addressed by record scope (profile and domain), so alarms
+ * and storage are only ever mutated in one place. Overrides whose rule was changed outside the
+ * extension, rules set to Bypass because they couldn't be deleted, and operations the worker is
+ * retrying or has given up on, are listed underneath.
+ */
+
+import {
+    AlarmPrefix,
+    ErrorMessages,
+    JobStatus,
+    JobType,
+    Logger,
+    MessageType,
+    OverrideKind,
+    RuleAction,
+    RuleActionLabels,
+    StorageKeys,
+    StoragePrefix,
+    UI
+} from './constants.js';
+import { describeRule } from './api.js';
+import { describeScope, getProfiles } from './profiles.js';
+
+/**
+ * Human-readable labels for retry queue operations
+ */
+const JobTypeLabels = {
+    [JobType.RESTORE]: 'Restore previous rule',
+    [JobType.REMOVE]: 'Remove expired rule',
+    [JobType.REAPPLY]: 'Re-apply removed rule'
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    Logger.info('Dashboard', 'Overrides dashboard opened');
+
+    const views = {
+        rows: document.getElementById('overrideRows'),
+        empty: document.getElementById('emptyState'),
+        extend: document.getElementById('extendSelect'),
+        driftSection: document.getElementById('driftSection'),
+        driftRows: document.getElementById('driftRows'),
+        fallbackSection: document.getElementById('fallbackSection'),
+        fallbackRows: document.getElementById('fallbackRows'),
+        jobsSection: document.getElementById('jobsSection'),
+        jobRows: document.getElementById('jobRows'),
+        message: document.getElementById('message')
+    };
+
+    // Rows currently displayed, used by the countdown ticker
+    let pending = [];
+    let jobs = [];
+    let drift = [];
+    let fallbacks = [];
+    let profiles = [];
+
+    /**
+     * Collect pending overrides from alarms and local storage
+     * @returns {Promise<Array<Object>>} Pending overrides sorted by time remaining
+     */
+    async function loadPendingOverrides() {
+        const [alarms, stored] = await Promise.all([
+            chrome.alarms.getAll(),
+            chrome.storage.local.get(null)
+        ]);
+
+        const items = [];
+
+        for (const alarm of alarms) {
+            if (alarm.name.startsWith(AlarmPrefix.EXPIRE_RULE)) {
+                const scope = alarm.name.substring(AlarmPrefix.EXPIRE_RULE.length);
+                const stack = stored[`${StoragePrefix.OVERRIDE}${scope}`] || [];
+                const top = stack[stack.length - 1];
+
+                items.push({
+                    kind: OverrideKind.EXPIRE,
+                    scope,
+                    action: top ? top.action : null,
+                    proxyId: top ? top.proxyId : null,
+                    depth: stack.length,
+                    restores: top ? top.previous : null,
+                    endsAt: top ? top.expiresAt : alarm.scheduledTime,
+                    tabBound: !!top?.tab,
+                    scheduled: !!top?.schedule,
+                    focus: !!top?.focus
+                });
+            } else if (alarm.name.startsWith(AlarmPrefix.REAPPLY_RULE)) {
+                const scope = alarm.name.substring(AlarmPrefix.REAPPLY_RULE.length);
+                const ruleInfo = stored[`${StoragePrefix.RULE}${scope}`];
+
+                items.push({
+                    kind: OverrideKind.REAPPLY,
+                    scope,
+                    action: ruleInfo ? ruleInfo.action : null,
+                    proxyId: ruleInfo ? ruleInfo.proxyId : null,
+                    depth: 1,
+                    restores: null,
+                    endsAt: alarm.scheduledTime,
+                    tabBound: !!ruleInfo?.tab
+                });
+            }
+        }
+
+        return items.sort((a, b) => a.endsAt - b.endsAt);
+    }
+
+    /**
+     * Describe what happens when an override ends
+     * @param {Object} item - Pending override
+     * @returns {string} Short description
+     */
+    function describePending(item) {
+        if (item.kind === OverrideKind.REAPPLY) {
+            return 'Re-apply';
+        }
+        const restores = item.restores
+            ? `Restore ${RuleActionLabels[item.restores.action] || 'rule'}`
+            : 'Remove';
+        const notes = [
+            ...(item.scheduled ? ['at end of schedule'] : []),
+            ...(item.focus ? ['at end of focus'] : []),
+            ...(item.depth > 1 ? [`${item.depth} stacked`] : [])
+        ];
+        return notes.length > 0 ? `${restores} (${notes.join(', ')})` : restores;
+    }
+
+    /**
+     * Show a proxy ID as its code, and a spoof target as typed
+     * @param {number} action - Rule action
+     * @param {string|null} via - Proxy ID or spoof target
+     * @returns {string}
+     */
+    function formatVia(action, via) {
+        if (!via) return '-';
+        return action === RuleAction.SPOOF ? via : via.toUpperCase();
+    }
+
+    /**
+     * Format a remaining duration as a countdown
+     * @param {number} ms - Milliseconds remaining
+     * @returns {string} Countdown text (e.g. "1h 05m 09s")
+     */
+    function formatRemaining(ms) {
+        if (ms <= 0) return 'Expiring...';
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (n) => String(n).padStart(2, '0');
+        return hours > 0
+            ? `${hours}h ${pad(minutes)}m ${pad(seconds)}s`
+            : `${minutes}m ${pad(seconds)}s`;
+    }
+
+    /**
+     * Show when a pending override ends
+     * @param {Object} item - Pending override
+     * @returns {string} Countdown, or when the tab it is tied to closes
+     */
+    function formatCountdown(item) {
+        return item.tabBound ? 'When tab closes' : formatRemaining(item.endsAt - Date.now());
+    }
+
+    function render() {
+        views.rows.innerHTML = '';
+        views.empty.classList.toggle('hidden', pending.length > 0);
+
+        pending.forEach((item, index) => {
+            const row = document.createElement('tr');
+
+            const cells = [
+                describeScope(item.scope, profiles),
+                describePending(item),
+                item.action !== null && item.action !== undefined ? RuleActionLabels[item.action] : 'Unknown',
+                formatVia(item.action, item.proxyId)
+            ];
+            cells.forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const countdown = document.createElement('td');
+            countdown.dataset.countdown = index;
+            countdown.textContent = formatCountdown(item);
+            row.appendChild(countdown);
+
+            const actions = document.createElement('td');
+            actions.className = 'row-actions';
+            actions.appendChild(createButton('Extend', 'btn-small', () => sendChange(MessageType.EXTEND_OVERRIDE, item, {
+                minutes: parseInt(views.extend.value)
+            })));
+            actions.appendChild(createButton('Cancel & Revert', 'btn-small btn-small-danger', () => sendChange(MessageType.CANCEL_OVERRIDE, item)));
+            actions.appendChild(createButton('Make Permanent', 'btn-small', () => sendChange(MessageType.MAKE_OVERRIDE_PERMANENT, item)));
+            row.appendChild(actions);
+
+            views.rows.appendChild(row);
+        });
+    }
+
+    /**
+     * Describe a rule state recorded in a drift report or bypass fallback
+     * @param {Object|null} state - { action, proxyId } or null for "no rule"
+     * @returns {string} Description
+     */
+    function describeRuleState(state) {
+        if (!state) return 'No rule';
+        return describeRule(state.action, state.proxyId);
+    }
+
+    function renderDrift() {
+        views.driftRows.innerHTML = '';
+        views.driftSection.classList.toggle('hidden', drift.length === 0);
+
+        drift.forEach((entry) => {
+            const row = document.createElement('tr');
+
+            [describeScope(entryScope(entry), profiles), describeRuleState(entry.expected), describeRuleState(entry.actual)].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'row-actions';
+            actions.appendChild(createButton('Stop Tracking', 'btn-small', () => sendChange(MessageType.MAKE_OVERRIDE_PERMANENT, entry)));
+            actions.appendChild(createButton('Dismiss', 'btn-small', () => sendChange(MessageType.DISMISS_DRIFT, entry)));
+            row.appendChild(actions);
+
+            views.driftRows.appendChild(row);
+        });
+    }
+
+    function renderFallbacks() {
+        views.fallbackRows.innerHTML = '';
+        views.fallbackSection.classList.toggle('hidden', fallbacks.length === 0);
+
+        fallbacks.forEach((entry) => {
+            const row = document.createElement('tr');
+
+            [describeScope(entry.scope, profiles), describeRuleState(entry.previous), new Date(entry.bypassedAt).toLocaleString()].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'row-actions';
+            actions.appendChild(createButton('Revert', 'btn-small btn-small-danger', () => sendChange(MessageType.REVERT_BYPASS_FALLBACK, entry)));
+            actions.appendChild(createButton('Keep Bypass', 'btn-small', () => sendChange(MessageType.DISMISS_BYPASS_FALLBACK, entry)));
+            row.appendChild(actions);
+
+            views.fallbackRows.appendChild(row);
+        });
+    }
+
+    function renderJobs() {
+        views.jobRows.innerHTML = '';
+        views.jobsSection.classList.toggle('hidden', jobs.length === 0);
+
+        jobs.forEach((job) => {
+            const row = document.createElement('tr');
+            const status = job.status === JobStatus.FAILED
+                ? 'Failed'
+                : `Retrying at ${new Date(job.nextAttemptAt).toLocaleTimeString()}`;
+
+            [describeScope(entryScope(job), profiles), JobTypeLabels[job.type] || job.type, String(job.attempts), status, job.lastError || '-'].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'row-actions';
+            actions.appendChild(createButton('Retry Now', 'btn-small', () => sendJobChange(MessageType.RETRY_JOB, job)));
+            actions.appendChild(createButton('Dismiss', 'btn-small btn-small-danger', () => sendJobChange(MessageType.DISMISS_JOB, job)));
+            row.appendChild(actions);
+
+            views.jobRows.appendChild(row);
+        });
+    }
+
+    /**
+     * Record scope of a drift entry or queued job (those recorded before profiles existed only carry the domain)
+     * @param {Object} entry - Drift entry or job
+     * @returns {string}
+     */
+    function entryScope(entry) {
+        return entry.scope || entry.domain;
+    }
+
+    function createButton(text, className, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await onClick();
+            } finally {
+                button.disabled = false;
+            }
+        });
+        return button;
+    }
+
+    /**
+     * Ask the service worker to change a pending override
+     * @param {string} type - MessageType value
+     * @param {Object} item - Pending override
+     * @param {Object} [extra] - Additional message fields
+     */
+    async function sendChange(type, item, extra = {}) {
+        const scope = entryScope(item);
+        Logger.info('Dashboard', 'Requesting override change', { type, scope, kind: item.kind });
+
+        try {
+            const result = await chrome.runtime.sendMessage({ type, kind: item.kind, scope, ...extra });
+            if (result?.success) {
+                showMessage(`Updated ${describeScope(scope, profiles)}`, 'text-emerald-300');
+            } else {
+                showMessage(result?.error || ErrorMessages.API_ERROR, 'text-red-300');
+            }
+        } catch (err) {
+            Logger.error('Dashboard', 'Failed to reach service worker', err);
+            showMessage(err.message, 'text-red-300');
+        }
+
+        await refresh();
+    }
+
+    /**
+     * Ask the service worker to retry or dismiss a queued operation
+     * @param {string} type - MessageType value
+     * @param {Object} job - Queued job
+     */
+    async function sendJobChange(type, job) {
+        try {
+            const result = await chrome.runtime.sendMessage({ type, id: job.id });
+            if (!result?.success) {
+                showMessage(result?.error || ErrorMessages.API_ERROR, 'text-red-300');
+            }
+        } catch (err) {
+            Logger.error('Dashboard', 'Failed to reach service worker', err);
+            showMessage(err.message, 'text-red-300');
+        }
+
+        await refresh();
+    }
+
+    async function refresh() {
+        ({ profiles } = await getProfiles());
+        pending = await loadPendingOverrides();
+        const stored = await chrome.storage.local.get([StorageKeys.RETRY_QUEUE, StorageKeys.OVERRIDE_DRIFT, StorageKeys.BYPASS_FALLBACKS]);
+        jobs = stored[StorageKeys.RETRY_QUEUE] || [];
+        drift = stored[StorageKeys.OVERRIDE_DRIFT] || [];
+        fallbacks = stored[StorageKeys.BYPASS_FALLBACKS] || [];
+        render();
+        renderDrift();
+        renderFallbacks();
+        renderJobs();
+    }
+
+    function showMessage(text, colorClass) {
+        views.message.textContent = text;
+        views.message.className = `text-center text-xs font-bold ${colorClass}`;
+        setTimeout(() => {
+            views.message.textContent = '';
+            views.message.className = 'text-center text-xs font-bold';
+        }, UI.MESSAGE_TIMEOUT);
+    }
+
+    // Live countdown
+    setInterval(() => {
+        document.querySelectorAll('[data-countdown]').forEach((cell) => {
+            const item = pending[cell.dataset.countdown];
+            if (item) cell.textContent = formatCountdown(item);
+        });
+
+        // Pick up alarms that fired without touching storage (e.g. overrides with no stored record)
+        if (pending.some(item => item.endsAt < Date.now() - UI.RECHECK_DELAY)) {
+            refresh();
+        }
+    }, 1000);
+
+    // Alarms firing in the worker update storage, so storage changes drive re-renders
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local') return;
+        const relevant = Object.keys(changes).some(key =>
+            key.startsWith(StoragePrefix.OVERRIDE) ||
+            key.startsWith(StoragePrefix.RULE) ||
+            key === StorageKeys.RETRY_QUEUE ||
+            key === StorageKeys.OVERRIDE_DRIFT ||
+            key === StorageKeys.BYPASS_FALLBACKS
+        );
+        if (relevant) refresh();
+    });
+
+    await refresh();
+});
@@ -0,0 +1,240 @@
+/**
+ * Control D Quick Switcher - Domain Helpers
+ *
+ * Hostname and address utilities shared by the popup and the service worker. Registrable
+ * domains (e.g. example.co.uk for static.cdn.example.co.uk) come from the bundled Public Suffix List.
+ */
+
+import { DomainScope, DomainScopeLabels, Patterns } from './constants.js';
+import { PUBLIC_SUFFIX_RULES } from './psl.js';
+
+// Public Suffix List rules, split by kind on first use
+let suffixRules = null;
+
+/**
+ * Parse the bundled Public Suffix List into lookup sets
+ * @returns {{exact: Set<string>, wildcards: Set<string>, exceptions: Set<string>}}
+ *   Plain rules, the parents of wildcard rules ("*.ck" is stored as "ck"), and exception rules without the "!"
+ */
+function getSuffixRules() {
+    if (suffixRules) return suffixRules;
+
+    suffixRules = { exact: new Set(), wildcards: new Set(), exceptions: new Set() };
+    for (const rule of PUBLIC_SUFFIX_RULES.split('\n')) {
+        if (!rule) continue;
+        if (rule.startsWith('!')) suffixRules.exceptions.add(rule.substring(1));
+        else if (rule.startsWith('*.')) suffixRules.wildcards.add(rule.substring(2));
+        else suffixRules.exact.add(rule);
+    }
+    return suffixRules;
+}
+
+/**
+ * Get the public suffix of a hostname (e.g. "co.uk" for "static.cdn.example.co.uk").
+ * Hosts under an unlisted TLD fall back to the last label, as the list's implicit "*" rule says.
+ * @param {string} hostname - Hostname (lower case, ASCII)
+ * @returns {string|null} Public suffix, or null for IP addresses and empty input
+ */
+export function getPublicSuffix(hostname) {
+    if (!hostname || Patterns.IPV4.test(hostname) || isIPv6(hostname)) return null;
+
+    const { exact, wildcards, exceptions } = getSuffixRules();
+    const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+
+    // Longest match wins, and an exception rule beats the wildcard it carves out of
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (exceptions.has(candidate)) return labels.slice(i + 1).join('.');
+        if (exact.has(candidate)) return candidate;
+        if (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.'))) return candidate;
+    }
+    return labels[labels.length - 1];
+}
+
+/**
+ * Get the registrable domain of a hostname: its public suffix plus one label
+ * (e.g. "example.co.uk" for "static.cdn.example.co.uk")
+ * @param {string} hostname - Hostname (lower case, ASCII)
+ * @returns {string|null} Registrable domain, or null if the hostname is itself a public suffix or an IP address
+ */
+export function getRegistrableDomain(hostname) {
+    const suffix = getPublicSuffix(hostname);
+    if (!suffix) return null;
+
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (host === suffix) return null;
+
+    const rest = host.substring(0, host.length - suffix.length - 1);
+    return `${rest.substring(rest.lastIndexOf('.') + 1)}.${suffix}`;
+}
+
+/**
+ * Get the hostname a rule with the given scope is set on
+ * @param {string} hostname - Current host
+ * @param {string} scope - DomainScope value
+ * @returns {string} The host itself, its registrable domain, or a wildcard over the registrable domain
+ */
+export function getScopedHostname(hostname, scope) {
+    const registrable = getRegistrableDomain(hostname) || hostname;
+    if (scope === DomainScope.REGISTRABLE) return registrable;
+    if (scope === DomainScope.WILDCARD) return `*.${registrable}`;
+    return hostname;
+}
+
+/**
+ * Whether two hosts belong to the same site (the same registrable domain, or the same host
+ * when there is none, e.g. for IP addresses)
+ * @param {string} a - Hostname
+ * @param {string} b - Hostname
+ * @returns {boolean}
+ */
+export function isSameSite(a, b) {
+    return (getRegistrableDomain(a) || a) === (getRegistrableDomain(b) || b);
+}
+
+/**
+ * Describe which scope a rule found for a host was set on
+ * @param {string} hostname - Host that was looked up
+ * @param {string} matched - Hostname the rule is set on (one of getDomainVariations(hostname))
+ * @returns {string} e.g. "Exact host", "www variant", "Registrable domain", "All subdomains"
+ */
+export function describeMatchedScope(hostname, matched) {
+    if (matched === hostname) return DomainScopeLabels[DomainScope.EXACT];
+    if (matched.startsWith('*.')) return DomainScopeLabels[DomainScope.WILDCARD];
+    if (matched === getRegistrableDomain(hostname)) return DomainScopeLabels[DomainScope.REGISTRABLE];
+    return 'www variant';
+}
+
+/**
+ * Get base domain (without www)
+ * @param {string} domain - Hostname
+ * @returns {string} Hostname with any leading "www." removed
+ */
+export function getBaseDomain(domain) {
+    if (!domain) return domain;
+    // Remove www. prefix if present
+    if (domain.startsWith('www.')) {
+        return domain.substring(4);
+    }
+    return domain;
+}
+
+/**
+ * Get the hostname with and without www
+ * @param {string} domain - Hostname
+ * @returns {Array<string>} The hostname itself first, then its www/bare counterpart (IP addresses have none)
+ */
+export function getWwwVariations(domain) {
+    const variations = [domain];
+    if (Patterns.IPV4.test(domain || '') || isIPv6(domain)) return variations;
+    const baseDomain = getBaseDomain(domain);
+    if (baseDomain !== domain) {
+        variations.push(baseDomain);
+    } else {
+        // If no www, also check with www
+        variations.push(`www.${domain}`);
+    }
+    return variations;
+}
+
+/**
+ * Get every hostname a rule affecting this host could be set on, most specific first:
+ * the host, its www/bare counterpart, its registrable domain and the wildcard over it
+ * @param {string} domain - Hostname
+ * @returns {Array<string>} Hostnames to check, without duplicates
+ */
+export function getDomainVariations(domain) {
+    const variations = getWwwVariations(domain);
+    const registrable = getRegistrableDomain(domain);
+    if (registrable) {
+        variations.push(registrable, `*.${registrable}`);
+    }
+    return [...new Set(variations)];
+}
+
+/**
+ * Check for an IPv6 address (full, "::"-compressed, or with an embedded IPv4 tail)
+ * @param {string} value - Candidate address
+ * @returns {boolean} True if the value is an IPv6 address
+ */
+export function isIPv6(value) {
+    if (!value || !value.includes(':') || !/^[0-9a-f:.]+$/i.test(value)) return false;
+
+    // An embedded IPv4 tail (e.g. ::ffff:10.0.0.1) takes the place of two groups
+    let address = value;
+    const lastColon = address.lastIndexOf(':');
+    const tail = address.substring(lastColon + 1);
+    if (tail.includes('.')) {
+        if (!Patterns.IPV4.test(tail)) return false;
+        address = `${address.substring(0, lastColon + 1)}0:0`;
+    }
+
+    const halves = address.split('::');
+    if (halves.length > 2) return false;
+
+    const groups = halves.flatMap(half => (half ? half.split(':') : []));
+    if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return false;
+
+    return halves.length === 2 ? groups.length < 8 : groups.length === 8;
+}
+
+/**
+ * Check that a spoof rule target is an IPv4 or IPv6 address or a hostname
+ * @param {string} target - Spoof target
+ * @returns {boolean} True if Control D can point a hostname at it
+ */
+export function isValidSpoofTarget(target) {
+    if (!target) return false;
+    return Patterns.IPV4.test(target) || isIPv6(target) || Patterns.DOMAIN.test(target);
+}
+
+/**
+ * Turn what was typed into a hostname field into a lower case ASCII hostname: a pasted URL is
+ * cut down to its host, and Unicode (IDN) names are converted to punycode
+ * (e.g. "https://Bücher.example/shop" becomes "xn--bcher-kva.example")
+ * @param {string} input - Hostname or URL
+ * @returns {string} Hostname, or the trimmed input if it can't be parsed as one
+ */
+export function normalizeHostname(input) {
+    const value = (input || '').trim();
+    if (!value) return '';
+
+    try {
+        const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+        return url.hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+    } catch (e) {
+        return value.toLowerCase();
+    }
+}
+
+/**
+ * Explain why no rule can be set on a hostname
+ * @param {string} hostname - Hostname (from normalizeHostname)
+ * @returns {string|null} Reason, or null if Control D rules can be set on the hostname
+ */
+export function explainUnmanageableHost(hostname) {
+    if (!hostname) return 'Enter a hostname to manage';
+    if (Patterns.IPV4.test(hostname) || isIPv6(hostname)) {
+        return `${hostname} is an IP address. Rules match hostnames, and no DNS lookup is made for an address`;
+    }
+    if (!/^[a-z0-9.-]+$/.test(hostname)) return `"${hostname}" is not a valid hostname`;
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || !hostname.includes('.')) {
+        return `${hostname} is resolved on this device or network, so its lookups never reach Control D`;
+    }
+    return Patterns.DOMAIN.test(hostname) ? null : `"${hostname}" is not a valid hostname`;
+}
+
+/**
+ * Suggest hosts related to a hostname: its www/bare counterpart, its registrable domain and
+ * the given hosts (e.g. the ones the page contacted) on the same site
+ * @param {string} hostname - Hostname (lower case, ASCII)
+ * @param {Array<string>} [others] - Further hosts to pick same-site ones from
+ * @returns {Array<string>} Hostnames other than the given one, without duplicates
+ */
+export function getRelatedHosts(hostname, others = []) {
+    const related = [...getWwwVariations(hostname)];
+    const registrable = getRegistrableDomain(hostname);
+    if (registrable) related.push(registrable);
+    related.push(...others.filter(other => isSameSite(other, hostname)));
+    return [...new Set(related)].filter(host => host !== hostname);
+}
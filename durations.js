@@ -0,0 +1,116 @@
+/**
+ * Control D Quick Switcher - Durations
+ *
+ * Reading and writing rule durations. Besides the fixed lengths, rules can last a typed length
+ * ("90m", "2h30m"), until a time of day, until the end of the workday, or until a tab is closed.
+ * Each comes down to a number of minutes for the expire and re-apply alarms; a rule tied to a
+ * tab also records the tab, so the worker can end it as soon as the tab closes or leaves the site.
+ */
+
+import { DEFAULT_WORKDAY_END, ErrorMessages, StorageKeys, UI } from './constants.js';
+
+const DURATION_UNITS = { d: 1440, h: 60, m: 1 };
+
+/**
+ * Count the minutes in a duration token, without an upper bound
+ * @param {string} token - e.g. "30m", "1h", "2h30m", "1d"
+ * @returns {number|null} Minutes, or null if not a duration
+ */
+function countMinutes(token) {
+    if (!token) return null;
+    const match = token.match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/);
+    if (!match) return null;
+
+    const minutes = (parseInt(match[1] || 0) * DURATION_UNITS.d)
+        + (parseInt(match[2] || 0) * DURATION_UNITS.h)
+        + parseInt(match[3] || 0);
+    return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Read a duration token
+ * @param {string} token - e.g. "30m", "1h", "2h30m", "1d", "permanent"
+ * @returns {number|null} Minutes (0 for permanent), or null if not a duration or longer than MAX_DURATION_MINUTES
+ */
+export function parseDuration(token) {
+    if (token === 'permanent') return 0;
+    const minutes = countMinutes(token);
+    return minutes && minutes <= UI.MAX_DURATION_MINUTES ? minutes : null;
+}
+
+/**
+ * Whether a token is a duration, just longer than MAX_DURATION_MINUTES
+ * @param {string} token - e.g. "400d"
+ * @returns {boolean}
+ */
+export function isDurationTooLong(token) {
+    const minutes = countMinutes(token);
+    return minutes !== null && minutes > UI.MAX_DURATION_MINUTES;
+}
+
+/**
+ * Explain why a duration token was not accepted
+ * @param {string} token - Token parseDuration returned null for
+ * @returns {string} Error message
+ */
+export function describeDurationError(token) {
+    return isDurationTooLong(token) ? ErrorMessages.DURATION_TOO_LONG : ErrorMessages.INVALID_DURATION;
+}
+
+/**
+ * Write minutes as a duration token
+ * @param {number} minutes - Minutes (0 for permanent)
+ * @returns {string} e.g. "30m", "1h", "2h30m", "permanent"
+ */
+export function formatDuration(minutes) {
+    if (minutes === 0) return 'permanent';
+
+    let remaining = minutes;
+    let token = '';
+    for (const [unit, size] of Object.entries(DURATION_UNITS)) {
+        if (remaining >= size) {
+            token += `${Math.floor(remaining / size)}${unit}`;
+            remaining %= size;
+        }
+    }
+    return token;
+}
+
+/**
+ * Read a time of day
+ * @param {string} time - 24-hour "HH:MM"
+ * @returns {{hours: number, minutes: number}|null} Null if the time can't be read
+ */
+export function parseTimeOfDay(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+    return { hours: parseInt(match[1]), minutes: parseInt(match[2]) };
+}
+
+/**
+ * Minutes from now until the next time the clock shows a time of day (today if it is still
+ * ahead, otherwise tomorrow). Worked out on local dates, so daylight saving changes are respected.
+ * @param {string} time - 24-hour "HH:MM"
+ * @param {Date} [now] - Current time
+ * @returns {number|null} Minutes (at least 1), or null if the time can't be read
+ */
+export function minutesUntil(time, now = new Date()) {
+    const timeOfDay = parseTimeOfDay(time);
+    if (!timeOfDay) return null;
+
+    const end = new Date(now);
+    end.setHours(timeOfDay.hours, timeOfDay.minutes, 0, 0);
+    if (end <= now) {
+        end.setDate(end.getDate() + 1);
+    }
+    return Math.max(1, Math.ceil((end - now) / 60000));
+}
+
+/**
+ * Load the end of the workday
+ * @returns {Promise<string>} 24-hour "HH:MM"
+ */
+export async function getWorkdayEnd() {
+    const stored = await chrome.storage.sync.get([StorageKeys.WORKDAY_END]);
+    return stored[StorageKeys.WORKDAY_END] || DEFAULT_WORKDAY_END;
+}
@@ -0,0 +1,64 @@
+/**
+ * Control D Quick Switcher - Focus Sessions
+ *
+ * A focus session blocks every hostname on a named domain list (e.g. "Distractions") for a
+ * while. The service worker applies the blocks as temporary overrides tagged with the session,
+ * so the usual expiry alarms restore whatever rules were there before; ending a session early
+ * expires just the session's overrides.
+ */
+
+import {
+    DEFAULT_FOCUS_LISTS,
+    ErrorMessages,
+    StorageKeys
+} from './constants.js';
+import { findInvalidHostname } from './schedules.js';
+
+/**
+ * Load the saved focus lists
+ * @returns {Promise<Array<Object>>} Lists ({ id, name, hostnames }); the defaults until any are saved
+ */
+export async function getFocusLists() {
+    const stored = await chrome.storage.sync.get([StorageKeys.FOCUS_LISTS]);
+    return stored[StorageKeys.FOCUS_LISTS] || DEFAULT_FOCUS_LISTS;
+}
+
+/**
+ * Save the focus lists
+ * @param {Array<Object>} lists - Lists to keep
+ */
+export async function saveFocusLists(lists) {
+    await chrome.storage.sync.set({ [StorageKeys.FOCUS_LISTS]: lists });
+}
+
+/**
+ * Make an ID for a new focus list or session
+ * @returns {string}
+ */
+export function createFocusId() {
+    return `f${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+}
+
+/**
+ * Check a focus list before saving it
+ * @param {Object} list - List to check
+ * @returns {string|null} Error message, or null if the list is valid
+ */
+export function validateFocusList(list) {
+    if (!list.name) return ErrorMessages.MISSING_LIST_NAME;
+    if (list.hostnames.length === 0) return ErrorMessages.MISSING_HOSTNAMES;
+
+    const invalid = findInvalidHostname(list.hostnames);
+    return invalid ? `Invalid hostname "${invalid}"` : null;
+}
+
+/**
+ * Load the running focus session
+ * @returns {Promise<Object|null>} Session ({ id, listId, name, hostnames, startedAt, endsAt, scopes }),
+ *     or null if none is running (a record left past its end counts as none)
+ */
+export async function getFocusSession() {
+    const stored = await chrome.storage.local.get([StorageKeys.FOCUS_SESSION]);
+    const session = stored[StorageKeys.FOCUS_SESSION];
+    return session && session.endsAt > Date.now() ? session : null;
+}
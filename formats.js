@@ -0,0 +1,407 @@
+/**
+ * Control D Quick Switcher - Rule Import / Export Formats
+ *
+ * Converts custom rules to and from JSON, CSV, hosts-file and AdGuard/uBlock filter lists,
+ * and compares an import against the profile's current rules. Rules are plain objects of the
+ * form { hostname, action, via }.
+ */
+
+import { Patterns, RuleAction, RuleActionLabels } from './constants.js';
+import { actionUsesVia, ruleVia } from './api.js';
+import { isIPv6, isValidSpoofTarget } from './domains.js';
+
+/**
+ * Supported import / export formats
+ */
+export const RuleFormat = {
+    JSON: 'json',
+    CSV: 'csv',
+    HOSTS: 'hosts',
+    ADGUARD: 'adguard'
+};
+
+/**
+ * File extension and MIME type per format, for downloads
+ */
+export const RuleFormatFiles = {
+    [RuleFormat.JSON]: { extension: 'json', type: 'application/json' },
+    [RuleFormat.CSV]: { extension: 'csv', type: 'text/csv' },
+    [RuleFormat.HOSTS]: { extension: 'hosts', type: 'text/plain' },
+    [RuleFormat.ADGUARD]: { extension: 'txt', type: 'text/plain' }
+};
+
+// Address a hosts file uses for blocked hostnames
+const HOSTS_BLOCK_ADDRESS = '0.0.0.0';
+
+// Addresses that mean "blocked" in hosts files; any other address is a spoof target
+const HOSTS_BLOCK_ADDRESSES = new Set(['0.0.0.0', '127.0.0.1', '::', '::1']);
+
+// Names found in stock hosts files that are not rules
+const HOSTS_IGNORED = new Set([
+    'localhost', 'localhost.localdomain', 'local', 'broadcasthost',
+    'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+    'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts', '0.0.0.0'
+]);
+
+// =============================================================================
+// Export
+// =============================================================================
+
+/**
+ * Quote a CSV field if it needs it
+ * @param {string} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rules in the given format. Formats that can't express an action (hosts files have
+ * no bypass, redirect or spoof to a hostname; filter lists have no redirect or spoof) list what
+ * was left out in a comment.
+ * @param {Array<Object>} rules - Rules to export
+ * @param {string} format - RuleFormat value
+ * @returns {string} File contents
+ */
+export function exportRules(rules, format) {
+    const sorted = [...rules].sort((a, b) => a.hostname.localeCompare(b.hostname));
+
+    switch (format) {
+        case RuleFormat.JSON:
+            return JSON.stringify({
+                rules: sorted.map(rule => ({
+                    hostname: rule.hostname,
+                    do: rule.action,
+                    ...(actionUsesVia(rule.action) && rule.via ? { via: rule.via } : {})
+                }))
+            }, null, 2);
+
+        case RuleFormat.CSV:
+            return [
+                'hostname,action,via',
+                ...sorted.map(rule => [
+                    csvField(rule.hostname),
+                    csvField(RuleActionLabels[rule.action] || rule.action),
+                    csvField(ruleVia(rule.action, rule.via))
+                ].join(','))
+            ].join('\n') + '\n';
+
+        case RuleFormat.HOSTS: {
+            const isAddress = via => Patterns.IPV4.test(via || '') || isIPv6(via);
+            const exported = sorted.filter(rule =>
+                rule.action === RuleAction.BLOCK || (rule.action === RuleAction.SPOOF && isAddress(rule.via))
+            );
+            const lines = ['# Control D custom rules (Block, and Spoof to an IP address)'];
+            if (exported.length < sorted.length) {
+                lines.push(`# ${sorted.length - exported.length} other rule(s) omitted: hosts files cannot express them`);
+            }
+            exported.forEach((rule) => {
+                const address = rule.action === RuleAction.SPOOF ? rule.via : HOSTS_BLOCK_ADDRESS;
+                lines.push(`${address} ${rule.hostname}`);
+            });
+            return lines.join('\n') + '\n';
+        }
+
+        case RuleFormat.ADGUARD: {
+            const lines = ['! Control D custom rules'];
+            const omitted = sorted.filter(rule => rule.action !== RuleAction.BLOCK && rule.action !== RuleAction.BYPASS);
+            if (omitted.length > 0) {
+                lines.push(`! ${omitted.length} Redirect/Spoof rule(s) omitted: filter lists cannot express them`);
+            }
+            sorted.forEach((rule) => {
+                if (rule.action === RuleAction.BLOCK) lines.push(`||${rule.hostname}^`);
+                else if (rule.action === RuleAction.BYPASS) lines.push(`@@||${rule.hostname}^`);
+            });
+            return lines.join('\n') + '\n';
+        }
+
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+// =============================================================================
+// Import
+// =============================================================================
+
+/**
+ * Guess the format of imported text
+ * @param {string} text - File contents
+ * @returns {string} RuleFormat value
+ */
+export function detectFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return RuleFormat.JSON;
+
+    const firstLine = trimmed.split(/\r?\n/).find(line => line.trim() && !/^[#!]/.test(line.trim())) || '';
+    if (/^(@@)?\|\|/.test(firstLine.trim())) return RuleFormat.ADGUARD;
+    if (/^hostname\s*,/i.test(firstLine.trim())) return RuleFormat.CSV;
+    return RuleFormat.HOSTS;
+}
+
+/**
+ * Read an action from a label ("Block"), a name ("BLOCK") or a number (0)
+ * @param {string|number} value - Action as written in the import
+ * @returns {number|null} RuleAction value, or null if unrecognised
+ */
+function parseAction(value) {
+    if (typeof value === 'number') {
+        return Object.values(RuleAction).includes(value) ? value : null;
+    }
+    const text = String(value ?? '').trim();
+    if (/^\d+$/.test(text)) return parseAction(parseInt(text));
+
+    const match = Object.entries(RuleActionLabels).find(([, label]) => label.toLowerCase() === text.toLowerCase());
+    return match ? parseInt(match[0]) : null;
+}
+
+/**
+ * Validate one imported rule
+ * @param {Object} entry - { line, hostname, action, via }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEntry(entry) {
+    if (!entry.hostname || !Patterns.DOMAIN.test(entry.hostname)) {
+        return `Invalid hostname "${entry.hostname || ''}"`;
+    }
+    if (entry.action === null) {
+        return 'Unknown action';
+    }
+    if (entry.action === RuleAction.REDIRECT && !entry.via) {
+        return 'Redirect rule is missing a proxy (via)';
+    }
+    if (entry.action === RuleAction.SPOOF && !isValidSpoofTarget(entry.via)) {
+        return entry.via ? `Invalid spoof target "${entry.via}"` : 'Spoof rule is missing a target (via)';
+    }
+    return null;
+}
+
+/**
+ * Split one CSV line into fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields.map(field => field.trim());
+}
+
+/**
+ * Parse raw entries out of the text, before validation
+ * @param {string} text - File contents
+ * @param {string} format - RuleFormat value
+ * @returns {{entries: Array<Object>, errors: Array<Object>}}
+ */
+function parseRaw(text, format) {
+    const entries = [];
+    const errors = [];
+    const lines = text.split(/\r?\n/);
+
+    if (format === RuleFormat.JSON) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            errors.push({ line: null, text: '', error: `Invalid JSON: ${err.message}` });
+            return { entries, errors };
+        }
+
+        const list = Array.isArray(data) ? data : data.rules;
+        if (!Array.isArray(list)) {
+            errors.push({ line: null, text: '', error: 'Expected an array of rules or { "rules": [...] }' });
+            return { entries, errors };
+        }
+
+        list.forEach((item, i) => {
+            entries.push({
+                line: i + 1,
+                text: JSON.stringify(item),
+                hostname: item?.hostname || item?.PK,
+                action: parseAction(item?.do ?? item?.action),
+                via: item?.via || item?.via_v6 || null
+            });
+        });
+        return { entries, errors };
+    }
+
+    lines.forEach((raw, i) => {
+        const line = raw.trim();
+        const lineNumber = i + 1;
+        if (!line) return;
+
+        if (format === RuleFormat.CSV) {
+            if (line.startsWith('#')) return;
+            const [hostname, action, via] = splitCsvLine(line);
+            if (lineNumber === 1 && hostname.toLowerCase() === 'hostname') return;
+            entries.push({ line: lineNumber, text: line, hostname, action: parseAction(action), via: via || null });
+        } else if (format === RuleFormat.HOSTS) {
+            const content = line.split('#')[0].trim();
+            if (!content) return;
+            const [address, ...hostnames] = content.split(/\s+/);
+            const blocked = HOSTS_BLOCK_ADDRESSES.has(address);
+            if (hostnames.length === 0) {
+                errors.push({ line: lineNumber, text: line, error: 'Expected "<address> <hostname>"' });
+                return;
+            }
+            hostnames
+                .filter(hostname => !HOSTS_IGNORED.has(hostname.toLowerCase()))
+                .forEach(hostname => entries.push({
+                    line: lineNumber,
+                    text: line,
+                    hostname,
+                    action: blocked ? RuleAction.BLOCK : RuleAction.SPOOF,
+                    via: blocked ? null : address
+                }));
+        } else if (format === RuleFormat.ADGUARD) {
+            if (line.startsWith('!') || line.startsWith('#') || line.startsWith('[')) return;
+            const match = line.match(/^(@@)?\|\|([^\^$/]+)\^?(\$.*)?$/);
+            if (!match) {
+                errors.push({ line: lineNumber, text: line, error: 'Expected "||hostname^" or "@@||hostname^"' });
+                return;
+            }
+            if (match[3]) {
+                errors.push({ line: lineNumber, text: line, error: `Unsupported modifier "${match[3]}"` });
+                return;
+            }
+            entries.push({
+                line: lineNumber,
+                text: line,
+                hostname: match[2],
+                action: match[1] ? RuleAction.BYPASS : RuleAction.BLOCK,
+                via: null
+            });
+        }
+    });
+
+    return { entries, errors };
+}
+
+/**
+ * Parse and validate imported rules
+ * @param {string} text - File contents
+ * @param {string} [format] - RuleFormat value (detected if omitted)
+ * @returns {{format: string, entries: Array<Object>, errors: Array<Object>}}
+ *   entries: valid rules ({ line, text, hostname, action, via }); errors: { line, text, error }
+ */
+export function parseRules(text, format = null) {
+    const resolvedFormat = format || detectFormat(text);
+    const { entries: raw, errors } = parseRaw(text, resolvedFormat);
+    const entries = [];
+
+    for (const entry of raw) {
+        const normalised = {
+            ...entry,
+            hostname: String(entry.hostname || '').trim().toLowerCase(),
+            via: ruleVia(entry.action, entry.via ? String(entry.via).trim().toLowerCase() : null)
+        };
+        const error = validateEntry(normalised);
+        if (error) {
+            errors.push({ line: entry.line, text: entry.text, error });
+        } else {
+            entries.push(normalised);
+        }
+    }
+
+    errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+    return { format: resolvedFormat, entries, errors };
+}
+
+// =============================================================================
+// Diff
+// =============================================================================
+
+/**
+ * Compare imported rules with the profile's current rules
+ * @param {Object} currentRules - Rule index map (hostname -> { action, via })
+ * @param {Array<Object>} entries - Valid imported rules
+ * @param {Set<string>} [pendingHostnames] - Hostnames with a pending temporary override
+ * @returns {{additions: Array, changes: Array, unchanged: Array, conflicts: Array}}
+ *   changes carry the current rule as `current`; conflicts carry a `reason`
+ */
+export function diffRules(currentRules, entries, pendingHostnames = new Set()) {
+    const additions = [];
+    const changes = [];
+    const unchanged = [];
+    const conflicts = [];
+
+    // The same hostname imported twice with different rules can't be resolved automatically
+    const byHostname = new Map();
+    entries.forEach((entry) => {
+        if (!byHostname.has(entry.hostname)) byHostname.set(entry.hostname, []);
+        byHostname.get(entry.hostname).push(entry);
+    });
+
+    for (const [hostname, group] of byHostname) {
+        const entry = group[0];
+        const disagree = group.some(other => other.action !== entry.action || other.via !== entry.via);
+        if (disagree) {
+            conflicts.push({ ...entry, reason: `Listed with different rules on lines ${group.map(other => other.line).join(', ')}` });
+            continue;
+        }
+
+        if (pendingHostnames.has(hostname)) {
+            conflicts.push({ ...entry, reason: 'Has a pending temporary override' });
+            continue;
+        }
+
+        const current = currentRules[hostname];
+        if (!current) {
+            additions.push(entry);
+        } else if (current.action === entry.action && ruleVia(current.action, current.via) === entry.via) {
+            unchanged.push(entry);
+        } else {
+            changes.push({ ...entry, current });
+        }
+    }
+
+    return { additions, changes, unchanged, conflicts };
+}
+
+/**
+ * Group rules that share an action and proxy into API-sized batches
+ * @param {Array<Object>} entries - Rules to apply
+ * @param {number} batchSize - Maximum hostnames per request
+ * @returns {Array<{action: number, via: string|null, entries: Array<Object>}>}
+ */
+export function batchRules(entries, batchSize) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const key = `${entry.action}|${entry.via || ''}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+
+    const batches = [];
+    for (const group of groups.values()) {
+        for (let i = 0; i < group.length; i += batchSize) {
+            batches.push({ action: group[0].action, via: group[0].via, entries: group.slice(i, i + batchSize) });
+        }
+    }
+    return batches;
+}
@@ -4,6 +4,77 @@
  * Handles UI interactions, API calls, and state management for the extension popup.
  */
 
+import {
+    AlarmPrefix,
+    DEFAULT_DURATION_MINUTES,
+    DomainScope,
+    DomainScopeLabels,
+    DurationOptions,
+    ErrorMessages,
+    HttpStatus,
+    DurationMode,
+    DurationModeLabels,
+    JobStatus,
+    Logger,
+    MessageType,
+    OptionalPermissions,
+    Patterns,
+    RuleAction,
+    RuleActionLabels,
+    StorageKeys,
+    StoragePrefix,
+    UI
+} from './constants.js';
+import { ControlDClient, describeRule, ruleVia } from './api.js';
+import {
+    describeMatchedScope,
+    getDomainVariations,
+    getRegistrableDomain,
+    getScopedHostname,
+    explainUnmanageableHost,
+    getRelatedHosts,
+    getWwwVariations,
+    isSameSite,
+    isValidSpoofTarget,
+    normalizeHostname
+} from './domains.js';
+import { describeDurationError, formatDuration, getWorkdayEnd, minutesUntil, parseDuration } from './durations.js';
+import { createFocusId, getFocusLists, getFocusSession, saveFocusLists, validateFocusList } from './focus.js';
+import {
+    formatProxyLabel,
+    getCachedProxies,
+    getDomainProxy,
+    getProxyId,
+    getRecentProxies,
+    getStarredProxies,
+    groupProxiesByCountry,
+    proxyMatches,
+    refreshProxyList,
+    rememberProxyUse,
+    saveStarredProxies
+} from './proxies.js';
+import {
+    applyRule,
+    clearOverrides,
+    findExactRule,
+    recordBypassFallback,
+    rememberTabBinding,
+    snapshotRule
+} from './overrides.js';
+import {
+    ALL_PROFILES,
+    getProfileName,
+    getProfiles,
+    getTargetSelection,
+    recordScope,
+    resolveTargets,
+    saveProfiles,
+    saveTargetSelection
+} from './profiles.js';
+import { getWebHostname } from './quickActions.js';
+import { getRuleIndex, lookupRule, refreshRuleIndex, updateIndexEntries } from './ruleIndex.js';
+import { parseHostnames } from './schedules.js';
+
 document.addEventListener('DOMContentLoaded', async () => {
     Logger.info('DOMContentLoaded', 'Extension popup initialized');
 
@@ -12,311 +83,572 @@ document.addEventListener('DOMContentLoaded', async () => {
         config: document.getElementById('configSection'),
         main: document.getElementById('mainSection'),
         settingsBtn: document.getElementById('settingsBtn'),
-        domain: document.getElementById('currentDomain'),
+        dashboardBtn: document.getElementById('dashboardBtn'),
+        managerBtn: document.getElementById('managerBtn'),
+        schedulesBtn: document.getElementById('schedulesBtn'),
+        failedJobsBanner: document.getElementById('failedJobsBanner'),
+        staleProxyBanner: document.getElementById('staleProxyBanner'),
+        staleProxyText: document.getElementById('staleProxyText'),
+        replaceProxyBtn: document.getElementById('replaceProxyBtn'),
+        blockedHostsBanner: document.getElementById('blockedHostsBanner'),
+        blockedHostsText: document.getElementById('blockedHostsText'),
+        bypassBlockedBtn: document.getElementById('bypassBlockedBtn'),
+        domainHint: document.getElementById('domainHint'),
+        domainSuggestions: document.getElementById('domainSuggestions'),
         status: document.getElementById('statusBadge'), // May not exist in new HTML
         statusDot: document.getElementById('statusDot'),
         statusText: document.getElementById('statusText'),
+        ruleDetails: document.getElementById('ruleDetails'),
+        ruleDetailRows: document.getElementById('ruleDetailRows'),
+        editRuleBtn: document.getElementById('editRuleBtn'),
+        editRuleNotice: document.getElementById('editRuleNotice'),
+        editRuleText: document.getElementById('editRuleText'),
+        cancelEditRuleBtn: document.getElementById('cancelEditRuleBtn'),
+        syncStatus: document.getElementById('syncStatus'),
         applyBtn: document.getElementById('applyBtn'),
         removeBtn: document.getElementById('removeBtn'),
+        removeFallback: document.getElementById('removeFallback'),
+        removeFallbackText: document.getElementById('removeFallbackText'),
+        bypassFallbackBtn: document.getElementById('bypassFallbackBtn'),
+        cancelFallbackBtn: document.getElementById('cancelFallbackBtn'),
         redirectCountrySection: document.getElementById('redirectCountrySection'),
+        spoofTargetSection: document.getElementById('spoofTargetSection'),
+        favouriteProxyBtn: document.getElementById('favouriteProxyBtn'),
+        proxyOptions: document.getElementById('proxyOptions'),
+        profileList: document.getElementById('profileList'),
+        profileStatusList: document.getElementById('profileStatusList'),
+        targetProfilesSection: document.getElementById('targetProfilesSection'),
+        targetProfiles: document.getElementById('targetProfiles'),
+        manualProfileSection: document.getElementById('manualProfileSection'),
+        domainScopeSection: document.getElementById('domainScopeSection'),
+        pageHostsSection: document.getElementById('pageHostsSection'),
+        pageHostsPermission: document.getElementById('pageHostsPermission'),
+        pageHostsContent: document.getElementById('pageHostsContent'),
+        grantPageHostsBtn: document.getElementById('grantPageHostsBtn'),
+        pageHostList: document.getElementById('pageHostList'),
+        selectAllHostsBtn: document.getElementById('selectAllHostsBtn'),
+        applyHostsBtn: document.getElementById('applyHostsBtn'),
+        focusIdle: document.getElementById('focusIdle'),
+        focusActive: document.getElementById('focusActive'),
+        focusListEditor: document.getElementById('focusListEditor'),
+        editFocusListBtn: document.getElementById('editFocusListBtn'),
+        saveFocusListBtn: document.getElementById('saveFocusListBtn'),
+        deleteFocusListBtn: document.getElementById('deleteFocusListBtn'),
+        startFocusBtn: document.getElementById('startFocusBtn'),
+        focusStatus: document.getElementById('focusStatus'),
+        focusCountdown: document.getElementById('focusCountdown'),
+        endFocusBtn: document.getElementById('endFocusBtn'),
+        endFocusConfirm: document.getElementById('endFocusConfirm'),
+        endFocusHint: document.getElementById('endFocusHint'),
+        confirmEndFocusBtn: document.getElementById('confirmEndFocusBtn'),
         inputs: {
+            domain: document.getElementById('domainInput'),
             apiKey: document.getElementById('apiKeyInput'),
+            profileSelect: document.getElementById('profileSelect'),
+            profileName: document.getElementById('profileNameInput'),
             profileId: document.getElementById('profileIdInput'),
             duration: document.getElementById('durationSelect'),
-            country: document.getElementById('countrySelect')
+            customDuration: document.getElementById('customDurationInput'),
+            untilTime: document.getElementById('untilTimeInput'),
+            workdayEnd: document.getElementById('workdayEndInput'),
+            domainScope: document.getElementById('domainScopeSelect'),
+            proxySearch: document.getElementById('proxySearchInput'),
+            spoofTarget: document.getElementById('spoofTargetInput'),
+            focusList: document.getElementById('focusListSelect'),
+            focusListName: document.getElementById('focusListNameInput'),
+            focusListHosts: document.getElementById('focusListHostsInput'),
+            endFocus: document.getElementById('endFocusInput')
         },
         message: document.getElementById('message')
     };
 
     // State
-    let currentDomain = '';
+    let currentDomain = ''; // Hostname the popup manages: the tab's host, or one typed into the domain field
+    let tabDomain = ''; // Host of the active tab, if it is a web page
+    let currentTabId = null;
     let selectedAction = RuleAction.BYPASS; // Default to Bypass
     let selectedProxy = '';
     let availableProxies = [];
     let hasExistingRule = false; // Track if current domain has an existing rule
     let existingRuleAction = null; // Track what type of rule exists
     let foundRule = null; // Store the found rule object for deletion
+    let pendingFallback = null; // Rules whose deletion failed ({ entries, durationChoice }), awaiting a Bypass confirmation
+    let editingRule = null; // Found rule being changed in place ({ hostname, action, via }), or null
+    let starredProxies = []; // Starred proxy IDs, newest first (the newest is the right-click menu's favourite)
+    let recentProxies = []; // Proxy IDs last used for redirects, newest first
+    let domainProxyId = null; // Proxy last chosen for the current domain
+    let proxyChoices = []; // Proxy IDs listed in the picker, in display order
+    let highlightedProxy = -1; // Index into proxyChoices picked by the arrow keys
+    let profiles = []; // Saved profiles ({ id, name })
+    let defaultProfileId = null; // Profile the index, badge and rules manager use
+    let targetSelection = []; // Profiles new rules apply to (IDs, or [ALL_PROFILES])
+    const profileRules = new Map(); // Rule for the current domain on each other profile (null: none, undefined: unknown)
+    let accountProfiles = null; // Profiles on the account ({ id, name }), listed once the API key is checked
+    let accountProfilesError = null; // Why the account's profiles couldn't be listed
+    let pageHosts = []; // Hostnames the tab has contacted ({ hostname, requests, isPage }), from the worker
+    const selectedHosts = new Set(); // Page hosts ticked for a bulk rule change
+    let workdayEnd = await getWorkdayEnd(); // "HH:MM" the "Until end of workday" duration ends at
+    let focusLists = await getFocusLists(); // Named domain lists ({ id, name, hostnames }) a focus session blocks
+    let focusSession = await getFocusSession(); // The running focus session, or null
+    let focusTimer = null; // Interval ticking the focus countdown
+
+    // Profile picker entry that reveals the manual ID field
+    const MANUAL_PROFILE = 'manual';
+
+    // Focus list picker entry for starting a new list
+    const NEW_FOCUS_LIST = 'new';
+
+    DurationOptions.forEach(({ minutes, label }) => {
+        views.inputs.duration.appendChild(new Option(label, minutes));
+    });
+    Object.values(DurationMode).forEach((mode) => {
+        views.inputs.duration.appendChild(new Option(DurationModeLabels[mode], mode));
+    });
+    views.inputs.duration.value = DEFAULT_DURATION_MINUTES;
+    views.inputs.workdayEnd.value = workdayEnd;
+    updateWorkdayOption();
+    updateTabDurationOption();
+    views.startFocusBtn.textContent = `Focus for ${UI.FOCUS_MINUTES} Minutes`;
+    populateFocusLists();
+    renderFocus();
 
     // 1. Load Settings & Current Tab
     const data = await chrome.storage.sync.get(['apiKey', 'profileId']);
+    [starredProxies, recentProxies] = await Promise.all([getStarredProxies(), getRecentProxies()]);
+    ({ profiles, defaultProfileId } = await getProfiles());
+    targetSelection = await getTargetSelection();
+    renderProfiles();
+    renderTargetProfiles();
     
     if (data.apiKey) {
         views.inputs.apiKey.value = data.apiKey;
     }
-    if (data.profileId) {
-        views.inputs.profileId.value = data.profileId;
-    }
     
     if (!data.apiKey || !data.profileId) {
         views.config.classList.remove('hidden');
     }
+    populateProfileSelect();
+    if (data.apiKey && !data.profileId) {
+        loadAccountProfiles(data.apiKey.trim());
+    }
     
     // Initialize button visibility - ensure apply button is visible by default
     if (views.applyBtn) views.applyBtn.classList.remove('hidden');
     if (views.removeBtn) views.removeBtn.classList.add('hidden');
 
-    // Helper: Get base domain (without www)
-    function getBaseDomain(domain) {
-        if (!domain) return domain;
-        // Remove www. prefix if present
-        if (domain.startsWith('www.')) {
-            return domain.substring(4);
+    // Warn about background operations the service worker gave up on, and overrides
+    // whose rule was changed outside the extension
+    async function showFailedJobs() {
+        const stored = await chrome.storage.local.get([StorageKeys.RETRY_QUEUE, StorageKeys.OVERRIDE_DRIFT]);
+        const failed = (stored[StorageKeys.RETRY_QUEUE] || []).filter(job => job.status === JobStatus.FAILED);
+        const drift = stored[StorageKeys.OVERRIDE_DRIFT] || [];
+
+        if (failed.length === 0 && drift.length === 0) {
+            views.failedJobsBanner.classList.add('hidden');
+            return;
         }
-        return domain;
-    }
-    
-    // Helper: Get all domain variations to check (with and without www)
-    function getDomainVariations(domain) {
-        const variations = [domain];
-        const baseDomain = getBaseDomain(domain);
-        if (baseDomain !== domain) {
-            variations.push(baseDomain);
+
+        Logger.warn('showFailedJobs', 'Overrides need attention', { failed: failed.length, drift: drift.length });
+        if (failed.length === 1) {
+            views.failedJobsBanner.textContent = `Reverting ${failed[0].domain} failed. Open the dashboard to retry.`;
+        } else if (failed.length > 1) {
+            views.failedJobsBanner.textContent = `${failed.length} background operations failed. Open the dashboard to retry.`;
         } else {
-            // If no www, also check with www
-            variations.push(`www.${domain}`);
+            views.failedJobsBanner.textContent = `${drift.length} pending override(s) changed outside the extension. Open the dashboard to review.`;
         }
-        return variations;
+        views.failedJobsBanner.classList.remove('hidden');
     }
+    showFailedJobs();
+
+    // Warn about saved redirects via a proxy that is no longer on the list, offering the
+    // replacement the worker found in the same country (one retired proxy at a time)
+    async function showStaleProxies() {
+        const stored = await chrome.storage.local.get([StorageKeys.STALE_PROXIES]);
+        const stale = (stored[StorageKeys.STALE_PROXIES] || [])[0];
+        views.staleProxyBanner.classList.toggle('hidden', !stale);
+        if (!stale) return;
+
+        const uses = stale.uses === 1 ? '1 saved redirect uses' : `${stale.uses} saved redirects use`;
+        views.staleProxyText.textContent = stale.replacement
+            ? `${uses} ${stale.label}, which no longer exists.`
+            : `${uses} ${stale.label}, which no longer exists, and no other proxy is left in its country to replace it with.`;
+        views.replaceProxyBtn.classList.toggle('hidden', !stale.replacement);
+        views.replaceProxyBtn.textContent = `Use ${stale.replacementLabel} instead`;
+        views.replaceProxyBtn.dataset.proxyId = stale.proxyId;
+        views.replaceProxyBtn.dataset.replacement = stale.replacement || '';
+    }
+    showStaleProxies();
 
-    // Get current tab domain and check for existing rule
+    // Start on the current tab's host; any other hostname can be typed into the domain field
     chrome.tabs.query({active: true, currentWindow: true}, async (tabs) => {
-        if (!tabs || tabs.length === 0) {
-            views.domain.textContent = "No active tab";
-            views.applyBtn.disabled = true;
+        const tab = tabs?.[0];
+        currentTabId = tab?.id ?? null;
+        tabDomain = getWebHostname(tab?.url) || '';
+
+        if (!tabDomain) {
+            // Special pages (chrome://, about: and the like) have no host of their own
+            await selectDomain('', ErrorMessages.SPECIAL_PAGE);
             return;
         }
-        
-        const tab = tabs[0];
-        
-        if (!tab.url) {
-            views.domain.textContent = "No URL available";
-            views.applyBtn.disabled = true;
+
+        await Promise.all([selectDomain(tabDomain), loadPageHosts()]);
+    });
+
+    // Switch the popup to a hostname: the status check, Apply and Remove all act on it from then on.
+    // Hosts no rule can be set on (IP addresses, localhost, invalid input) are explained instead.
+    async function selectDomain(input, reason = null) {
+        const hostname = normalizeHostname(input);
+        const problem = reason || explainUnmanageableHost(hostname);
+        views.inputs.domain.value = hostname;
+        views.domainHint.textContent = problem || '';
+        views.domainHint.classList.toggle('hidden', !problem);
+
+        const domain = problem ? '' : hostname;
+        if (domain === currentDomain) {
+            updateUIForRuleStatus();
             return;
         }
-        
-        // Check if URL is a special Chrome page that can't be parsed
-        if (tab.url.startsWith('chrome://') || 
-            tab.url.startsWith('chrome-extension://') || 
-            tab.url.startsWith('about:') ||
-            tab.url.startsWith('edge://') ||
-            tab.url.startsWith('moz-extension://')) {
-            views.domain.textContent = "Special page";
-            views.applyBtn.disabled = true;
+
+        if (editingRule) stopEditingRule();
+        hideBypassFallback();
+        currentDomain = domain;
+        updateTabDurationOption();
+        profileRules.clear();
+        setFoundRule(null);
+        renderDomainSuggestions();
+        Logger.info('selectDomain', 'Managing domain', { domain: currentDomain || null, input, problem });
+        if (!currentDomain) {
+            views.domainScopeSection.classList.add('hidden');
             return;
         }
-        
-        try {
-            const url = new URL(tab.url);
-            currentDomain = url.hostname;
-            
-            if (!currentDomain) {
-                throw new Error('No hostname in URL');
-            }
-            
-            views.domain.textContent = currentDomain;
-            
-            // Update status - check for statusDot instead of status-pulse class
-            const statusDot = document.getElementById('statusDot');
-            if (statusDot) {
-                statusDot.style.backgroundColor = '#10b981';
-            }
-            
-            if (views.statusText) {
-                views.statusText.textContent = "Ready";
-            }
-            
-            // Check if domain has an existing rule
-            await checkExistingRule();
-        } catch (e) {
-            views.domain.textContent = `Invalid URL: ${tab.url.substring(0, 30)}...`;
-            views.applyBtn.disabled = true;
-        }
-    });
 
-    // Load available proxies (with caching)
+        populateDomainScopes();
+        domainProxyId = await getDomainProxy(currentDomain);
+        await checkExistingRule();
+    }
+
+    // Suggest the tab's host and the hosts related to the current one (www variant, registrable
+    // domain, other hosts the page contacted on the same site) in the domain field
+    function renderDomainSuggestions() {
+        const others = pageHosts.map(host => host.hostname);
+        const related = currentDomain ? getRelatedHosts(currentDomain, others) : others;
+        const suggestions = new Set([tabDomain, ...related]);
+        suggestions.delete(currentDomain);
+        views.domainSuggestions.innerHTML = '';
+        [...suggestions].filter(Boolean).forEach((hostname) => {
+            views.domainSuggestions.appendChild(new Option(hostname));
+        });
+    }
+
+    // Load available proxies (stale-while-revalidate from the cached list)
     async function loadProxies() {
         const storedData = await chrome.storage.sync.get(['apiKey']);
         const apiKey = storedData.apiKey?.trim();
 
         if (!apiKey) {
             Logger.warn('loadProxies', 'No API key configured');
-            const select = document.getElementById('countrySelect');
-            if (select) {
-                select.innerHTML = '<option value="">API Key required</option>';
-            }
+            setProxyStatus('API Key required');
             return;
         }
 
-        const select = document.getElementById('countrySelect');
-        if (!select) return;
+        // Any cached list is shown straight away; the worker keeps it warm in the background,
+        // so the API is only waited on when there is none
+        const { proxies, fresh } = await getCachedProxies();
+        if (proxies) {
+            Logger.info('loadProxies', 'Using cached proxy list', { count: proxies.length, fresh });
+            availableProxies = proxies;
+            populateProxyPicker();
+            if (fresh) return;
+        } else {
+            setProxyStatus('Loading proxies...');
+        }
 
-        // Check cache first
-        try {
-            const cachedData = await chrome.storage.local.get([
-                Cache.PROXY_LIST_KEY,
-                Cache.PROXY_LIST_TIMESTAMP_KEY
-            ]);
-
-            const cachedProxies = cachedData[Cache.PROXY_LIST_KEY];
-            const cacheTimestamp = cachedData[Cache.PROXY_LIST_TIMESTAMP_KEY];
-
-            // Use cache if valid and not expired
-            if (cachedProxies && cacheTimestamp) {
-                const age = Date.now() - cacheTimestamp;
-                if (age < Cache.PROXY_LIST_TTL) {
-                    Logger.info('loadProxies', 'Using cached proxy list', {
-                        count: cachedProxies.length,
-                        ageMinutes: Math.floor(age / 60000)
-                    });
-                    availableProxies = cachedProxies;
-                    populateProxySelect();
-                    return;
-                }
-                Logger.info('loadProxies', 'Cache expired, fetching fresh data', {
-                    ageMinutes: Math.floor(age / 60000)
-                });
+        Logger.info('loadProxies', 'Fetching proxy list from API');
+        const result = await refreshProxyList(new ControlDClient({ apiKey }));
+
+        if (result.success && result.data.length > 0) {
+            availableProxies = result.data;
+            populateProxyPicker();
+        } else if (!proxies) {
+            // Without a list to fall back on, say why
+            if (result.success) {
+                setProxyStatus(ErrorMessages.NO_PROXIES);
+            } else if (result.status) {
+                setProxyStatus(`Failed to load proxies (${result.status})`);
+            } else {
+                setProxyStatus(`Error: ${result.error || 'Unknown error'}`);
             }
-        } catch (cacheErr) {
-            Logger.error('loadProxies', 'Error reading cache', cacheErr);
         }
+    }
+    
+    // Show why there is nothing to pick in the proxy picker
+    function setProxyStatus(text) {
+        views.inputs.proxySearch.value = '';
+        views.inputs.proxySearch.placeholder = text;
+        views.inputs.proxySearch.disabled = true;
+        closeProxyOptions();
+    }
 
-        // Fetch from API
-        select.innerHTML = '<option value="">Loading proxies...</option>';
-        select.disabled = true;
+    // Make the loaded proxies pickable, preselecting the proxy last used on this domain, or else
+    // the favourite, when nothing has been picked yet
+    function populateProxyPicker() {
+        const known = (proxyId) => !!proxyId && availableProxies.some(proxy => getProxyId(proxy) === proxyId);
+        if (!availableProxies.some(proxy => getProxyId(proxy))) {
+            setProxyStatus('No valid proxy IDs found');
+            return;
+        }
 
-        try {
-            Logger.info('loadProxies', 'Fetching proxy list from API');
+        views.inputs.proxySearch.disabled = false;
+        views.inputs.proxySearch.placeholder = 'Search city, country or ID';
+        selectedProxy = [selectedProxy, domainProxyId, starredProxies[0]].find(known) || '';
+        // A list refreshed while the user is searching updates the matches, not the search box
+        if (document.activeElement === views.inputs.proxySearch) {
+            renderProxyOptions();
+        } else {
+            showSelectedProxy();
+        }
+    }
 
-            const res = await fetch(API.BASE_URL + API.ENDPOINTS.PROXIES, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`
-                }
+    // Put the selected proxy's label back in the search box
+    function showSelectedProxy() {
+        const proxy = availableProxies.find(candidate => getProxyId(candidate) === selectedProxy);
+        views.inputs.proxySearch.value = proxy ? formatProxyLabel(proxy) : '';
+        updateFavouriteButton();
+    }
+
+    // List the proxies matching the search: starred and recent ones first, then every country
+    function renderProxyOptions() {
+        const query = views.inputs.proxySearch.value.trim();
+        const matching = availableProxies.filter(proxy => getProxyId(proxy) && proxyMatches(proxy, query));
+        const byId = (ids) => ids
+            .map(proxyId => matching.find(proxy => getProxyId(proxy) === proxyId))
+            .filter(Boolean);
+
+        const groups = [
+            { country: 'Starred', proxies: byId(starredProxies) },
+            { country: 'Recent', proxies: byId(recentProxies.filter(proxyId => !starredProxies.includes(proxyId))) },
+            ...groupProxiesByCountry(matching)
+        ].filter(group => group.proxies.length > 0);
+
+        views.proxyOptions.innerHTML = '';
+        proxyChoices = [];
+
+        groups.forEach(({ country, proxies }) => {
+            const heading = document.createElement('div');
+            heading.className = 'proxy-group';
+            heading.textContent = country;
+            views.proxyOptions.appendChild(heading);
+
+            proxies.forEach((proxy) => {
+                const proxyId = getProxyId(proxy);
+                const index = proxyChoices.length;
+                proxyChoices.push(proxyId);
+
+                const option = document.createElement('div');
+                option.className = 'proxy-option';
+                option.setAttribute('role', 'option');
+                option.classList.toggle('selected', proxyId === selectedProxy);
+                option.classList.toggle('highlighted', index === highlightedProxy);
+                // mousedown fires before the search box loses focus and closes the list
+                option.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    chooseProxy(proxyId);
+                });
+
+                const label = document.createElement('span');
+                label.textContent = formatProxyLabel(proxy);
+
+                const starred = starredProxies.includes(proxyId);
+                const star = document.createElement('button');
+                star.className = 'proxy-star';
+                star.classList.toggle('active', starred);
+                star.textContent = starred ? '\u2605' : '\u2606';
+                star.title = starred ? 'Unstar' : 'Star';
+                star.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    toggleStar(proxyId);
+                });
+
+                option.append(label, star);
+                views.proxyOptions.appendChild(option);
             });
+        });
 
-            if (res.ok) {
-                let data;
-                try {
-                    data = JSON.parse(await res.text());
-                } catch (parseErr) {
-                    Logger.error('loadProxies', 'Failed to parse JSON response', parseErr);
-                    throw new Error(`Invalid JSON response: ${parseErr.message}`);
-                }
+        if (proxyChoices.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'proxy-empty';
+            empty.textContent = 'No matching proxies';
+            views.proxyOptions.appendChild(empty);
+        }
 
-                // Try multiple possible response structures
-                if (data.body) {
-                    if (data.body.proxies && Array.isArray(data.body.proxies)) {
-                        availableProxies = data.body.proxies;
-                    } else if (Array.isArray(data.body)) {
-                        availableProxies = data.body;
-                    } else if (data.body && typeof data.body === 'object') {
-                        for (const key in data.body) {
-                            if (Array.isArray(data.body[key])) {
-                                availableProxies = data.body[key];
-                                break;
-                            }
-                        }
-                    }
-                } else if (Array.isArray(data)) {
-                    availableProxies = data;
-                } else if (data.data && Array.isArray(data.data)) {
-                    availableProxies = data.data;
-                } else {
-                    availableProxies = [];
-                }
+        views.proxyOptions.classList.remove('hidden');
+        views.inputs.proxySearch.setAttribute('aria-expanded', 'true');
+        views.proxyOptions.querySelector('.highlighted')?.scrollIntoView({ block: 'nearest' });
+    }
 
-                Logger.info('loadProxies', 'Proxy list fetched successfully', {
-                    count: availableProxies.length
-                });
+    function closeProxyOptions() {
+        highlightedProxy = -1;
+        views.proxyOptions.classList.add('hidden');
+        views.inputs.proxySearch.setAttribute('aria-expanded', 'false');
+    }
 
-                // Cache the results
-                if (availableProxies.length > 0) {
-                    try {
-                        await chrome.storage.local.set({
-                            [Cache.PROXY_LIST_KEY]: availableProxies,
-                            [Cache.PROXY_LIST_TIMESTAMP_KEY]: Date.now()
-                        });
-                        Logger.info('loadProxies', 'Proxy list cached', {
-                            count: availableProxies.length
-                        });
-                    } catch (cacheErr) {
-                        Logger.error('loadProxies', 'Failed to cache proxy list', cacheErr);
-                    }
+    function chooseProxy(proxyId) {
+        selectedProxy = proxyId;
+        closeProxyOptions();
+        showSelectedProxy();
+        views.inputs.proxySearch.blur();
+    }
 
-                    populateProxySelect();
-                } else {
-                    Logger.warn('loadProxies', 'No proxies found in response');
-                    select.innerHTML = '<option value="">No proxies available</option>';
-                }
+    // Star a proxy, or unstar it if it already is; the newest star becomes the favourite
+    async function toggleStar(proxyId) {
+        const starred = starredProxies.includes(proxyId);
+        starredProxies = starred
+            ? starredProxies.filter(id => id !== proxyId)
+            : [proxyId, ...starredProxies];
+        await saveStarredProxies(starredProxies);
+        Logger.info('favouriteProxy', starred ? 'Proxy unstarred' : 'Proxy starred', { proxyId, favourite: starredProxies[0] || null });
+
+        if (!views.proxyOptions.classList.contains('hidden')) renderProxyOptions();
+        updateFavouriteButton();
+    }
 
-                select.disabled = false;
-            } else {
-                Logger.error('loadProxies', 'API request failed', {
-                    status: res.status,
-                    statusText: res.statusText
-                });
-                select.innerHTML = `<option value="">Failed to load proxies (${res.status})</option>`;
-                select.disabled = false;
-            }
-        } catch (err) {
-            Logger.error('loadProxies', 'Error loading proxies', err);
-            const select = document.getElementById('countrySelect');
-            if (select) {
-                const errorMsg = err.message || 'Unknown error';
-                select.innerHTML = `<option value="">Error: ${errorMsg}</option>`;
-                select.disabled = false;
-            }
-        }
+    // Remember the proxy a domain was redirected via, for the recents and that domain's preselection
+    async function noteProxyUse(domain, proxyId) {
+        await rememberProxyUse(domain, proxyId);
+        recentProxies = await getRecentProxies();
+        if (domain === currentDomain) domainProxyId = proxyId;
+    }
+
+    // Fill the star when the selected proxy is starred
+    function updateFavouriteButton() {
+        if (!views.favouriteProxyBtn) return;
+        const isStarred = !!selectedProxy && starredProxies.includes(selectedProxy);
+        views.favouriteProxyBtn.classList.toggle('active', isStarred);
+        views.favouriteProxyBtn.title = isStarred
+            ? 'Starred proxy (click to unstar)'
+            : 'Star this proxy (the newest star is used by the right-click menu)';
     }
     
-    // Populate proxy select dropdown
-    function populateProxySelect() {
-        const select = document.getElementById('countrySelect');
-        if (!select) return;
-        
-        select.innerHTML = '<option value="">Select Proxy Location</option>';
-        
-        if (availableProxies.length === 0) {
-            select.innerHTML = '<option value="">No proxies available</option>';
-            return;
+    // Offer the exact host, its registrable domain and a wildcard over it; the registrable
+    // option is dropped when it is the host itself, and IPs or public suffixes only get the host
+    function populateDomainScopes() {
+        const registrable = getRegistrableDomain(currentDomain);
+        const select = views.inputs.domainScope;
+        select.innerHTML = '';
+
+        select.appendChild(new Option(`${DomainScopeLabels[DomainScope.EXACT]} (${currentDomain})`, DomainScope.EXACT));
+        if (registrable && registrable !== currentDomain) {
+            select.appendChild(new Option(`${DomainScopeLabels[DomainScope.REGISTRABLE]} (${registrable})`, DomainScope.REGISTRABLE));
         }
-        
-        availableProxies.forEach((proxy) => {
-            const proxyId = proxy.PK || proxy.uid || proxy.id || proxy.identifier || 
-                           proxy._id || proxy.code || proxy.iata || proxy.proxy_id || 
-                           proxy.proxyId || proxy.proxy;
-            
-            if (!proxyId) return;
-            
-            const city = proxy.city || proxy.name || proxy.location || proxy.label || proxy.city_name;
-            const country = proxy.country_name || proxy.country || proxy.countryName || proxy.country_code;
-            
-            const option = document.createElement('option');
-            option.value = proxyId;
-            
-            let displayText = 'Unknown Proxy';
-            if (city && country && proxyId) {
-                displayText = `${city} (${country}) - ${proxyId.toUpperCase()}`;
-            } else if (city && proxyId) {
-                displayText = `${city} - ${proxyId.toUpperCase()}`;
-            } else {
-                displayText = `${proxyId.toUpperCase()}`;
-            }
-            
-            option.textContent = displayText;
-            select.appendChild(option);
-        });
-        
-        if (select.options.length === 1) {
-            select.innerHTML = '<option value="">No valid proxy IDs found</option>';
+        if (registrable) {
+            select.appendChild(new Option(`${DomainScopeLabels[DomainScope.WILDCARD]} (*.${registrable})`, DomainScope.WILDCARD));
         }
+        select.value = DomainScope.EXACT;
+        views.domainScopeSection.classList.toggle('hidden', !registrable);
     }
-    
+
+    // Hostname new rules are set on, per the selected scope (or the edited rule's own hostname)
+    function getRuleHostname() {
+        if (editingRule) return editingRule.hostname;
+        return getScopedHostname(currentDomain, views.inputs.domainScope.value);
+    }
+
+    // Change the found rule in place: the action, proxy and target start from the rule, and
+    // Apply sets the new one on the hostname the rule matched, permanently unless a duration is picked
+    function startEditingRule() {
+        editingRule = { hostname: foundRule.hostname || currentDomain, action: foundRule.action, via: foundRule.via || null };
+        if (editingRule.action === RuleAction.REDIRECT) {
+            selectedProxy = editingRule.via || '';
+        } else if (editingRule.action === RuleAction.SPOOF) {
+            views.inputs.spoofTarget.value = editingRule.via || '';
+        }
+        document.querySelector(`.action-btn[data-action="${editingRule.action}"]`)?.click();
+
+        views.inputs.duration.value = 0;
+        updateDurationInputs();
+        views.domainScopeSection.classList.add('hidden');
+        views.editRuleText.textContent = `Editing the rule on ${editingRule.hostname}`;
+        views.editRuleNotice.classList.remove('hidden');
+        views.editRuleBtn.classList.add('hidden');
+        views.applyBtn.textContent = 'Update Rule';
+        Logger.info('editRule', 'Editing rule', editingRule);
+    }
+
+    function stopEditingRule() {
+        editingRule = null;
+        views.editRuleNotice.classList.add('hidden');
+        views.editRuleBtn.classList.remove('hidden');
+        // While the button shows its loading state, its label is put back from the dataset
+        if (views.applyBtn.dataset.originalText) {
+            views.applyBtn.dataset.originalText = 'Apply Rule';
+        } else {
+            views.applyBtn.textContent = 'Apply Rule';
+        }
+        views.domainScopeSection.classList.toggle('hidden', !getRegistrableDomain(currentDomain));
+    }
+
     // Event Listeners
-    views.settingsBtn.addEventListener('click', () => {
+    views.inputs.domain.addEventListener('change', () => selectDomain(views.inputs.domain.value));
+    views.inputs.domain.addEventListener('input', (event) => {
+        // Picking a suggestion isn't typing, so switch to it straight away
+        if (!(event instanceof InputEvent) || event.inputType === 'insertReplacementText') {
+            selectDomain(views.inputs.domain.value);
+        }
+    });
+    views.editRuleBtn.addEventListener('click', startEditingRule);
+
+    // Access to all sites is asked for here, on a click, rather than at install
+    views.grantPageHostsBtn.addEventListener('click', async () => {
+        const granted = await chrome.permissions.request(OptionalPermissions.PAGE_HOSTS);
+        Logger.info('pageHosts', granted ? 'Access to all sites granted' : 'Access to all sites declined');
+        if (!granted) return;
+
+        showMessage('Reload the page to list the hosts it contacts', 'text-emerald-300');
+        await loadPageHosts();
+    });
+    views.bypassFallbackBtn.addEventListener('click', applyBypassFallback);
+    views.cancelFallbackBtn.addEventListener('click', hideBypassFallback);
+    views.cancelEditRuleBtn.addEventListener('click', stopEditingRule);
+
+    // Clicking the sync time forces a full sync of the rule index
+    views.syncStatus?.addEventListener('click', async () => {
+        views.syncStatus.textContent = 'Syncing rules...';
+        const index = await refreshRuleIndex();
+        if (index) {
+            showSyncStatus(index.syncedAt);
+            setFoundRule(lookupRule(index, currentDomain));
+        } else {
+            views.syncStatus.textContent = 'Sync failed';
+        }
+    });
+
+    views.settingsBtn.addEventListener('click', async () => {
         views.config.classList.toggle('hidden');
+
+        // List the account's profiles the first time the settings are opened
+        const { apiKey } = await chrome.storage.sync.get(['apiKey']);
+        if (!views.config.classList.contains('hidden') && apiKey && accountProfiles === null) {
+            loadAccountProfiles(apiKey.trim());
+        }
+    });
+
+    const openDashboard = () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('Dashboard.html') });
+    };
+    views.dashboardBtn.addEventListener('click', openDashboard);
+    views.failedJobsBanner.addEventListener('click', openDashboard);
+
+    views.managerBtn.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    views.schedulesBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('Schedules.html') });
     });
 
-    document.getElementById('saveApiKeyBtn').addEventListener('click', async () => {
+    const saveApiKeyBtn = document.getElementById('saveApiKeyBtn');
+    saveApiKeyBtn.addEventListener('click', async () => {
         const apiKey = views.inputs.apiKey.value.trim();
         
         if (!apiKey) {
@@ -324,27 +656,213 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
         
+        // Only keep a key the API accepts; listing the profiles confirms it works
+        setButtonLoading(saveApiKeyBtn, 'Checking...');
+        const result = await loadAccountProfiles(apiKey);
+        resetButton(saveApiKeyBtn);
+        
+        if (!result.success) {
+            const rejected = result.status === HttpStatus.UNAUTHORIZED || result.status === HttpStatus.FORBIDDEN;
+            Logger.warn('saveApiKey', 'API key check failed', { status: result.status, error: result.error });
+            showMessage(rejected ? ErrorMessages.INVALID_API_KEY : result.error || ErrorMessages.NETWORK_ERROR, "text-red-300");
+            return;
+        }
+        
         await chrome.storage.sync.set({ apiKey });
-        showMessage("API Key saved!", "text-emerald-300");
+        showMessage(`API Key saved! ${result.data.length} profile(s) found.`, "text-emerald-300");
         // Reload proxies if redirect section is visible
         if (!views.redirectCountrySection.classList.contains('hidden')) {
             loadProxies();
         }
     });
 
-    document.getElementById('saveProfileIdBtn').addEventListener('click', async () => {
-        const profileId = views.inputs.profileId.value.trim();
+    views.inputs.profileSelect.addEventListener('change', updateManualProfileSection);
+
+    document.getElementById('addProfileBtn').addEventListener('click', async () => {
+        let profileId;
+        let name;
         
-        if (!profileId) {
-            showMessage("Please enter a Profile ID", "text-red-300");
-            return;
+        const picked = accountProfiles?.find(profile => profile.id === views.inputs.profileSelect.value);
+        if (picked) {
+            profileId = picked.id;
+            name = picked.name;
+        } else {
+            profileId = views.inputs.profileId.value.trim();
+            name = views.inputs.profileName.value.trim() || profileId;
+            
+            if (!profileId) {
+                showMessage("Please pick a profile or enter a Profile ID", "text-red-300");
+                return;
+            }
+            if (!Patterns.PROFILE_ID.test(profileId)) {
+                showMessage(ErrorMessages.INVALID_PROFILE_ID, "text-red-300");
+                return;
+            }
+        }
+        
+        // Adding an existing profile ID renames it
+        const existing = profiles.find(profile => profile.id === profileId);
+        if (existing) {
+            existing.name = name;
+        } else {
+            profiles.push({ id: profileId, name });
+        }
+        if (!defaultProfileId) {
+            defaultProfileId = profileId;
         }
         
-        await chrome.storage.sync.set({ profileId });
-        showMessage("Profile ID saved!", "text-emerald-300");
+        await saveProfiles(profiles, defaultProfileId);
+        Logger.info('profiles', 'Profile saved', { profileId, name });
+        views.inputs.profileId.value = '';
+        views.inputs.profileName.value = '';
+        showMessage(`Profile "${name}" saved!`, "text-emerald-300");
+        onProfilesChanged();
     });
 
-    // Action Selection (Block/Bypass/Redirect)
+    // Fetch the account's profiles for the picker
+    async function loadAccountProfiles(apiKey) {
+        views.inputs.profileSelect.disabled = true;
+        const client = new ControlDClient({ apiKey });
+        const result = await client.listProfiles();
+        views.inputs.profileSelect.disabled = false;
+
+        if (result.success) {
+            accountProfiles = result.data;
+            accountProfilesError = null;
+            Logger.info('loadAccountProfiles', 'Account profiles listed', { count: accountProfiles.length });
+        } else {
+            accountProfilesError = result.error;
+            Logger.warn('loadAccountProfiles', 'Could not list profiles', { status: result.status, error: result.error });
+        }
+        populateProfileSelect();
+        return result;
+    }
+
+    // Fill the profile picker with the account's profiles, greying out those already added
+    function populateProfileSelect() {
+        const select = views.inputs.profileSelect;
+        select.innerHTML = '';
+
+        if (accountProfiles && accountProfiles.length > 0) {
+            select.appendChild(new Option('Select a profile', ''));
+            accountProfiles.forEach((profile) => {
+                const added = profiles.some(saved => saved.id === profile.id);
+                const option = new Option(`${profile.name} (${profile.id})${added ? ' - added' : ''}`, profile.id);
+                option.disabled = added;
+                select.appendChild(option);
+            });
+        } else if (accountProfiles) {
+            select.appendChild(new Option('No profiles on this account', ''));
+        } else {
+            select.appendChild(new Option(accountProfilesError ? 'Could not list profiles' : 'Save your API key to list profiles', ''));
+        }
+
+        select.appendChild(new Option('Enter ID manually...', MANUAL_PROFILE));
+        updateManualProfileSection();
+    }
+
+    // Manual entry is shown when picked, or when there is no list to pick from
+    function updateManualProfileSection() {
+        const manual = views.inputs.profileSelect.value === MANUAL_PROFILE || !accountProfiles?.length;
+        views.manualProfileSection.classList.toggle('hidden', !manual);
+    }
+
+    // List the saved profiles in the settings, with controls to make one the default or remove it
+    function renderProfiles() {
+        views.profileList.innerHTML = '';
+
+        profiles.forEach((profile) => {
+            const row = document.createElement('div');
+            row.className = 'profile-row';
+
+            const label = document.createElement('span');
+            label.textContent = `${profile.name} (${profile.id})`;
+            row.appendChild(label);
+
+            if (profile.id === defaultProfileId) {
+                const tag = document.createElement('span');
+                tag.className = 'profile-tag';
+                tag.textContent = 'Default';
+                row.appendChild(tag);
+            } else {
+                row.appendChild(createSmallButton('Make Default', 'btn-small', async () => {
+                    defaultProfileId = profile.id;
+                    await saveProfiles(profiles, defaultProfileId);
+                    onProfilesChanged();
+                }));
+            }
+
+            row.appendChild(createSmallButton('Remove', 'btn-small btn-small-danger', async () => {
+                profiles = profiles.filter(other => other.id !== profile.id);
+                if (defaultProfileId === profile.id) {
+                    defaultProfileId = profiles[0]?.id || null;
+                }
+                await saveProfiles(profiles, defaultProfileId);
+                Logger.info('profiles', 'Profile removed', { profileId: profile.id });
+                onProfilesChanged();
+            }));
+
+            views.profileList.appendChild(row);
+        });
+    }
+
+    function createSmallButton(text, className, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Offer a choice of target profiles once more than one is saved
+    function renderTargetProfiles() {
+        views.targetProfiles.innerHTML = '';
+        views.targetProfilesSection.classList.toggle('hidden', profiles.length <= 1);
+
+        const allSelected = targetSelection.includes(ALL_PROFILES);
+        const targets = resolveTargets(targetSelection, profiles, defaultProfileId);
+
+        [{ id: ALL_PROFILES, name: 'All' }, ...profiles].forEach((option) => {
+            const label = document.createElement('label');
+            label.className = 'profile-target';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'checkbox';
+            checkbox.value = option.id;
+            if (option.id === ALL_PROFILES) {
+                checkbox.checked = allSelected;
+            } else {
+                checkbox.checked = allSelected || targets.includes(option.id);
+                checkbox.disabled = allSelected;
+            }
+            checkbox.addEventListener('change', async () => {
+                if (option.id === ALL_PROFILES) {
+                    targetSelection = checkbox.checked ? [ALL_PROFILES] : [];
+                } else {
+                    targetSelection = [...views.targetProfiles.querySelectorAll('input:checked')]
+                        .map(input => input.value)
+                        .filter(id => id !== ALL_PROFILES);
+                }
+                await saveTargetSelection(targetSelection);
+                renderTargetProfiles();
+                updateUIForRuleStatus();
+            });
+
+            label.append(checkbox, option.name);
+            views.targetProfiles.appendChild(label);
+        });
+    }
+
+    // Profiles were added, removed or a new default picked: redraw and re-check the domain
+    function onProfilesChanged() {
+        renderProfiles();
+        renderTargetProfiles();
+        populateProfileSelect();
+        checkExistingRule();
+    }
+
+    // Action Selection (Block/Bypass/Spoof/Redirect)
     // No default highlighting on load - buttons only highlight on click or hover
     
     document.querySelectorAll('.action-btn').forEach(btn => {
@@ -362,35 +880,83 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (selectedAction === RuleAction.REDIRECT) {
                 views.redirectCountrySection.classList.remove('hidden');
                 setTimeout(() => {
-                    const select = document.getElementById('countrySelect');
-                    if (select && availableProxies.length === 0) {
+                    if (availableProxies.length === 0) {
                         loadProxies();
-                    } else if (select && availableProxies.length > 0) {
-                        populateProxySelect();
+                    } else {
+                        populateProxyPicker();
                     }
                 }, UI.PROXY_LOAD_DELAY);
             } else {
                 views.redirectCountrySection.classList.add('hidden');
             }
+
+            views.spoofTargetSection.classList.toggle('hidden', selectedAction !== RuleAction.SPOOF);
+            if (selectedAction === RuleAction.SPOOF) {
+                views.inputs.spoofTarget.focus();
+            }
         });
     });
 
-    // Proxy selection
-    views.inputs.country.addEventListener('change', (e) => {
-        selectedProxy = e.target.value;
+    // Proxy picker: typing searches, arrow keys and Enter pick, Escape or leaving keeps the selection
+    views.inputs.proxySearch.addEventListener('focus', () => {
+        views.inputs.proxySearch.value = '';
+        renderProxyOptions();
+    });
+
+    views.inputs.proxySearch.addEventListener('input', () => {
+        highlightedProxy = views.inputs.proxySearch.value.trim() ? 0 : -1;
+        renderProxyOptions();
+    });
+
+    views.inputs.proxySearch.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (proxyChoices.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            highlightedProxy = (highlightedProxy + step + proxyChoices.length) % proxyChoices.length;
+            renderProxyOptions();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (proxyChoices[highlightedProxy]) chooseProxy(proxyChoices[highlightedProxy]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            views.inputs.proxySearch.blur();
+        }
+    });
+
+    views.inputs.proxySearch.addEventListener('blur', () => {
+        closeProxyOptions();
+        showSelectedProxy();
+    });
+
+    // Star or unstar the selected proxy
+    views.favouriteProxyBtn?.addEventListener('click', async () => {
+        if (!selectedProxy) {
+            showMessage(ErrorMessages.MISSING_PROXY, "text-red-300");
+            return;
+        }
+
+        const starred = starredProxies.includes(selectedProxy);
+        await toggleStar(selectedProxy);
+        showMessage(starred
+            ? `${selectedProxy.toUpperCase()} unstarred`
+            : `${selectedProxy.toUpperCase()} starred and used by the right-click menu`, "text-emerald-300");
     });
 
     // Apply Rule
     views.applyBtn.addEventListener('click', async () => {
         if (!currentDomain) return;
 
-        const duration = parseInt(views.inputs.duration.value);
+        const durationChoice = readDuration();
+        if (!durationChoice) return;
+        const duration = durationChoice.minutes;
+        const hostname = getRuleHostname();
 
-        const storedData = await chrome.storage.sync.get(['apiKey', 'profileId']);
+        const storedData = await chrome.storage.sync.get(['apiKey']);
         const apiKey = storedData.apiKey?.trim();
-        const profileId = storedData.profileId?.trim();
+        const targets = resolveTargets(targetSelection, profiles, defaultProfileId);
 
-        if (!apiKey || !profileId) {
+        if (!apiKey || targets.length === 0) {
             Logger.warn('applyRule', 'Missing credentials');
             showMessage(ErrorMessages.MISSING_CREDENTIALS, "text-red-300");
             views.config.classList.remove('hidden');
@@ -400,35 +966,53 @@ document.addEventListener('DOMContentLoaded', async () => {
         setButtonLoading(views.applyBtn, 'Applying...');
 
         try {
-            let redirectProxyId = null;
-            if (selectedAction === RuleAction.REDIRECT) {
-                const selectValue = views.inputs.country.value?.trim();
-                redirectProxyId = selectValue || selectedProxy?.trim() || null;
-
-                if (!redirectProxyId) {
-                    Logger.warn('applyRule', 'No proxy selected for redirect');
-                    showMessage(ErrorMessages.MISSING_PROXY, "text-red-300");
-                    resetButton(views.applyBtn);
-                    return;
-                }
+            const ruleTarget = readRuleTarget();
+            if (ruleTarget === undefined) {
+                resetButton(views.applyBtn);
+                return;
             }
 
             Logger.info('applyRule', 'Applying rule', {
-                domain: currentDomain,
+                domain: hostname,
                 action: selectedAction,
                 actionLabel: RuleActionLabels[selectedAction],
                 duration,
-                proxyId: redirectProxyId
+                via: ruleTarget,
+                profiles: targets
             });
 
-            const result = await updateControlDRule(apiKey, profileId, currentDomain, selectedAction, redirectProxyId);
-
-            if (result.success) {
-                Logger.info('applyRule', 'Rule applied successfully', {
-                    domain: currentDomain,
-                    action: selectedAction
+            const failures = [];
+            for (const profileId of targets) {
+                const client = new ControlDClient({ apiKey, profileId });
+
+                // Snapshot the rule being overridden on this profile before it is replaced, so expiry can restore it.
+                // The rule already looked up only helps if it is set on the hostname being changed.
+                const knownRule = ruleForProfile(profileId);
+                const knownExact = knownRule === null || knownRule?.hostname === hostname;
+                const previousRule = snapshotRule(
+                    knownExact ? knownRule : await findExactRule(client, hostname),
+                    hostname
+                );
+
+                const result = await applyRule(client, hostname, {
+                    action: selectedAction,
+                    via: ruleTarget,
+                    duration,
+                    previous: previousRule,
+                    tab: durationChoice.tab
                 });
+                if (!result.success) {
+                    failures.push({ profileId, result });
+                }
+            }
+
+            if (selectedAction === RuleAction.REDIRECT && failures.length < targets.length) {
+                await noteProxyUse(currentDomain, ruleTarget);
+            }
+
+            if (failures.length === 0) {
                 showMessage("Rule updated successfully!", "text-emerald-300");
+                if (editingRule) stopEditingRule();
 
                 // Update status dot
                 if (duration > 0) {
@@ -436,10 +1020,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         views.statusDot.style.backgroundColor = UI.STATUS_COLORS.TEMPORARY;
                         views.statusDot.classList.add('pulse');
                     }
-                    if (views.statusText) views.statusText.textContent = `Expires in ${duration}m`;
-                    chrome.alarms.create(`expire_rule_${currentDomain}`, {
-                        delayInMinutes: duration
-                    });
+                    if (views.statusText) views.statusText.textContent = `Expires ${durationChoice.ends}`;
                 } else {
                     if (views.statusDot) {
                         views.statusDot.style.backgroundColor = UI.STATUS_COLORS.READY;
@@ -448,12 +1029,11 @@ document.addEventListener('DOMContentLoaded', async () => {
                     if (views.statusText) views.statusText.textContent = 'Permanent Rule Set';
                 }
             } else {
-                Logger.error('applyRule', 'Failed to apply rule', { error: result.error });
-                showMessage(result.error || ErrorMessages.API_ERROR, "text-red-300");
+                showMessage(describeFailures(failures), "text-red-300");
             }
 
             // Refresh rule status after applying
-            await checkExistingRule();
+            await Promise.all([checkExistingRule(), renderPageHosts()]);
         } catch (err) {
             Logger.error('applyRule', 'Exception while applying rule', err);
             showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
@@ -462,463 +1042,1097 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
-    // Remove Rule
-    views.removeBtn?.addEventListener('click', async (e) => {
-        e.preventDefault();
-        e.stopPropagation();
+    views.inputs.duration.addEventListener('change', () => {
+        updateDurationInputs();
+        if (views.inputs.duration.value === DurationMode.CUSTOM) views.inputs.customDuration.focus();
+    });
 
-        if (!currentDomain) return;
+    views.inputs.workdayEnd.addEventListener('change', async () => {
+        if (minutesUntil(views.inputs.workdayEnd.value) === null) return;
+        workdayEnd = views.inputs.workdayEnd.value;
+        await chrome.storage.sync.set({ [StorageKeys.WORKDAY_END]: workdayEnd });
+        updateWorkdayOption();
+        Logger.info('workdayEnd', 'Workday end changed', { workdayEnd });
+    });
 
-        const duration = parseInt(views.inputs.duration.value);
+    // Apply the selected action, proxy and duration to every ticked page host
+    views.applyHostsBtn.addEventListener('click', async () => {
+        const hostnames = pageHosts.map(host => host.hostname).filter(hostname => selectedHosts.has(hostname));
+        if (hostnames.length === 0) return;
 
-        const storedData = await chrome.storage.sync.get(['apiKey', 'profileId']);
+        const durationChoice = readDuration();
+        if (!durationChoice) return;
+        const duration = durationChoice.minutes;
+
+        const storedData = await chrome.storage.sync.get(['apiKey']);
         const apiKey = storedData.apiKey?.trim();
-        const profileId = storedData.profileId?.trim();
+        const targets = resolveTargets(targetSelection, profiles, defaultProfileId);
 
-        if (!apiKey || !profileId) {
-            Logger.warn('removeRule', 'Missing credentials');
+        if (!apiKey || targets.length === 0) {
+            Logger.warn('applyHosts', 'Missing credentials');
             showMessage(ErrorMessages.MISSING_CREDENTIALS, "text-red-300");
             views.config.classList.remove('hidden');
             return;
         }
 
-        setButtonLoading(views.removeBtn, 'Removing...');
+        const ruleTarget = readRuleTarget();
+        if (ruleTarget === undefined) return;
+
+        setButtonLoading(views.applyHostsBtn, 'Applying...');
 
         try {
-            Logger.info('removeRule', 'Removing rule', {
-                domain: currentDomain,
+            Logger.info('applyHosts', 'Applying rule to page hosts', {
+                hostnames,
+                action: selectedAction,
                 duration,
-                existingRuleAction
+                via: ruleTarget,
+                profiles: targets
             });
 
-            const result = await removeControlDRule(apiKey, profileId, currentDomain, duration);
-
-            if (result.success) {
-                if (duration > 0) {
-                    Logger.info('removeRule', 'Rule removed temporarily', {
-                        domain: currentDomain,
-                        reapplyIn: duration
+            const failures = [];
+            for (const hostname of hostnames) {
+                for (const profileId of targets) {
+                    const client = new ControlDClient({ apiKey, profileId });
+                    const previousRule = snapshotRule(await findExactRule(client, hostname), hostname);
+
+                    const result = await applyRule(client, hostname, {
+                        action: selectedAction,
+                        via: ruleTarget,
+                        duration,
+                        previous: previousRule,
+                        tab: durationChoice.tab
                     });
-                    showMessage(`Rule removed! Will re-apply in ${duration} minutes.`, "text-emerald-300");
+                    if (!result.success) {
+                        failures.push({ profileId, hostname, result });
+                    }
+                }
+                if (selectedAction === RuleAction.REDIRECT && !failures.some(failure => failure.hostname === hostname)) {
+                    await noteProxyUse(hostname, ruleTarget);
+                }
+            }
 
-                    chrome.alarms.create(`reapply_rule_${currentDomain}`, {
-                        delayInMinutes: duration
-                    });
+            if (failures.length === 0) {
+                const hostCount = hostnames.length === 1 ? '1 host' : `${hostnames.length} hosts`;
+                showMessage(`Rule applied to ${hostCount}!`, "text-emerald-300");
+                selectedHosts.clear();
+            } else {
+                showMessage(describeFailures(failures), "text-red-300");
+            }
 
-                    const ruleAction = existingRuleAction !== null && existingRuleAction !== undefined ? existingRuleAction : null;
+            await Promise.all([checkExistingRule(), renderPageHosts()]);
+        } catch (err) {
+            Logger.error('applyHosts', 'Exception while applying rule to page hosts', err);
+            showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
+        } finally {
+            resetButton(views.applyHostsBtn);
+            updatePageHostButtons();
+        }
+    });
 
-                    if (ruleAction === null) {
-                        Logger.warn('removeRule', 'Could not detect rule type for re-application', {
-                            domain: currentDomain
-                        });
-                        showMessage("Warning: Could not detect rule type. Rule will be permanently removed.", "text-yellow-300");
-                    }
+    // Bypass every host that failed to load for a while; the worker applies the rules like a
+    // shortcut would, so they expire through the usual alarms
+    views.bypassBlockedBtn.addEventListener('click', async () => {
+        setButtonLoading(views.bypassBlockedBtn, 'Bypassing...');
 
-                    // Extract proxy ID from the existing rule (for redirect rules)
-                    let ruleProxyId = null;
-                    if (foundRule && ruleAction === RuleAction.REDIRECT) {
-                        // Check both possible locations for the proxy ID
-                        ruleProxyId = foundRule.via || foundRule.action?.via || null;
-                    }
+        try {
+            const response = await chrome.runtime.sendMessage({ type: MessageType.BYPASS_FAILED_HOSTS, tabId: currentTabId });
+            if (!response?.success) {
+                showMessage(response?.error || ErrorMessages.API_ERROR, "text-red-300");
+                return;
+            }
 
-                    await chrome.storage.local.set({
-                        [`rule_${currentDomain}`]: {
-                            action: ruleAction,
-                            proxyId: ruleProxyId,
-                            timestamp: Date.now()
-                        }
-                    });
-                } else {
-                    Logger.info('removeRule', 'Rule removed permanently', { domain: currentDomain });
-                    showMessage("Rule removed permanently!", "text-emerald-300");
-                }
+            const { bypassed, failures } = response.data;
+            if (failures.length > 0) {
+                const details = failures.map(({ hostname, error }) => `${hostname} (${error})`);
+                showMessage(`Failed on ${details.join(', ')}`, "text-red-300");
+            } else {
+                showMessage(`Bypassed ${bypassed.length} host${bypassed.length === 1 ? '' : 's'} for ${UI.UNBREAK_BYPASS_MINUTES} minutes. Reload the page.`, "text-emerald-300");
+            }
 
-                // Update status display
-                if (duration > 0) {
-                    if (views.statusDot) {
-                        views.statusDot.style.backgroundColor = UI.STATUS_COLORS.TEMPORARY;
-                        views.statusDot.classList.add('pulse');
-                    }
-                    if (views.statusText) views.statusText.textContent = `Removed (re-applies in ${duration}m)`;
-                } else {
-                    if (views.statusDot) {
-                        views.statusDot.style.backgroundColor = UI.STATUS_COLORS.READY;
-                        views.statusDot.classList.remove('pulse');
-                    }
-                    if (views.statusText) views.statusText.textContent = 'Rule Removed';
-                }
+            await Promise.all([checkExistingRule(), loadPageHosts()]);
+        } catch (err) {
+            Logger.error('bypassBlocked', 'Exception while bypassing failed hosts', err);
+            showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
+        } finally {
+            resetButton(views.bypassBlockedBtn);
+            renderBlockedHosts();
+        }
+    });
 
-                setTimeout(async () => {
-                    await checkExistingRule();
+    // Focus sessions: block every hostname on a list; the worker applies and ends the blocks
+    views.inputs.focusList.addEventListener('change', () => {
+        if (views.inputs.focusList.value === NEW_FOCUS_LIST) {
+            openFocusListEditor();
+        } else {
+            views.focusListEditor.classList.add('hidden');
+        }
+        updateFocusButtons();
+    });
 
-                    if (hasExistingRule) {
-                        Logger.warn('removeRule', 'Rule still appears active after removal', {
-                            domain: currentDomain
-                        });
-                        showMessage("Warning: Rule may still be active. Please check Control-D dashboard.", "text-yellow-300");
-                    }
-                }, UI.RECHECK_DELAY);
+    views.editFocusListBtn.addEventListener('click', () => {
+        if (views.focusListEditor.classList.contains('hidden')) {
+            openFocusListEditor();
+        } else {
+            views.focusListEditor.classList.add('hidden');
+        }
+    });
+
+    views.saveFocusListBtn.addEventListener('click', async () => {
+        const selectedId = views.inputs.focusList.value;
+        const list = {
+            id: selectedId === NEW_FOCUS_LIST ? createFocusId() : selectedId,
+            name: views.inputs.focusListName.value.trim(),
+            hostnames: parseHostnames(views.inputs.focusListHosts.value)
+        };
+        const error = validateFocusList(list);
+        if (error) {
+            showMessage(error, "text-red-300");
+            return;
+        }
+
+        const updated = selectedId === NEW_FOCUS_LIST
+            ? [...focusLists, list]
+            : focusLists.map(existing => existing.id === list.id ? list : existing);
+        await saveFocusLists(updated);
+        focusLists = updated;
+        Logger.info('focusLists', 'Focus list saved', { name: list.name, hostnames: list.hostnames });
+
+        populateFocusLists(list.id);
+        views.focusListEditor.classList.add('hidden');
+        showMessage(`List "${list.name}" saved!`, "text-emerald-300");
+    });
+
+    views.deleteFocusListBtn.addEventListener('click', async () => {
+        const list = focusLists.find(existing => existing.id === views.inputs.focusList.value);
+        if (!list) {
+            views.focusListEditor.classList.add('hidden');
+            populateFocusLists();
+            return;
+        }
+        if (!confirm(`Delete the list "${list.name}"?`)) return;
+
+        focusLists = focusLists.filter(existing => existing.id !== list.id);
+        await saveFocusLists(focusLists);
+        Logger.info('focusLists', 'Focus list deleted', { name: list.name });
+        views.focusListEditor.classList.add('hidden');
+        populateFocusLists();
+    });
+
+    views.startFocusBtn.addEventListener('click', async () => {
+        const list = focusLists.find(existing => existing.id === views.inputs.focusList.value);
+        if (!list) return;
+
+        setButtonLoading(views.startFocusBtn, 'Starting...');
+        try {
+            const response = await chrome.runtime.sendMessage({ type: MessageType.START_FOCUS, listId: list.id });
+            if (!response?.success) {
+                showMessage(response?.error || ErrorMessages.API_ERROR, "text-red-300");
+                return;
+            }
+
+            focusSession = response.data.session;
+            const { failures } = response.data;
+            if (failures.length > 0) {
+                const details = failures.map(({ hostname, error }) => `${hostname} (${error})`);
+                showMessage(`Failed on ${details.join(', ')}`, "text-red-300");
             } else {
-                Logger.error('removeRule', 'Failed to remove rule', { error: result.error });
-                showMessage(result.error || ErrorMessages.API_ERROR, "text-red-300");
+                showMessage(`Blocked ${list.name} for ${UI.FOCUS_MINUTES} minutes`, "text-emerald-300");
             }
+            await Promise.all([checkExistingRule(), renderPageHosts()]);
         } catch (err) {
-            Logger.error('removeRule', 'Exception while removing rule', err);
+            Logger.error('startFocus', 'Exception while starting focus session', err);
             showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
         } finally {
-            resetButton(views.removeBtn);
+            resetButton(views.startFocusBtn);
+            renderFocus();
         }
     });
 
-    // Check if domain has an existing rule
-    async function checkExistingRule() {
+    // Ending early takes typing the list's name, so it is never a reflex click
+    views.endFocusBtn.addEventListener('click', () => {
+        views.endFocusBtn.classList.add('hidden');
+        views.endFocusConfirm.classList.remove('hidden');
+        views.endFocusHint.textContent = `Type "${focusSession.name}" to end the session and unblock its sites.`;
+        views.inputs.endFocus.value = '';
+        views.inputs.endFocus.placeholder = focusSession.name;
+        views.confirmEndFocusBtn.disabled = true;
+        views.inputs.endFocus.focus();
+    });
+
+    views.inputs.endFocus.addEventListener('input', () => {
+        const typed = views.inputs.endFocus.value.trim().toLowerCase();
+        views.confirmEndFocusBtn.disabled = !focusSession || typed !== focusSession.name.toLowerCase();
+    });
+
+    views.confirmEndFocusBtn.addEventListener('click', async () => {
+        setButtonLoading(views.confirmEndFocusBtn, 'Ending...');
+        try {
+            const response = await chrome.runtime.sendMessage({ type: MessageType.END_FOCUS });
+            if (!response?.success) {
+                showMessage(response?.error || ErrorMessages.API_ERROR, "text-red-300");
+                return;
+            }
+            focusSession = null;
+            showMessage("Focus session ended", "text-emerald-300");
+            await Promise.all([checkExistingRule(), renderPageHosts()]);
+        } catch (err) {
+            Logger.error('endFocus', 'Exception while ending focus session', err);
+            showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
+        } finally {
+            resetButton(views.confirmEndFocusBtn);
+            renderFocus();
+        }
+    });
+
+    views.replaceProxyBtn.addEventListener('click', async () => {
+        const { proxyId, replacement } = views.replaceProxyBtn.dataset;
+        setButtonLoading(views.replaceProxyBtn, 'Replacing...');
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: MessageType.REPLACE_STALE_PROXY, proxyId, replacement });
+            if (!response?.success) {
+                showMessage(response?.error || ErrorMessages.API_ERROR, "text-red-300");
+                return;
+            }
+            Logger.info('replaceProxy', 'Retired proxy replaced', { proxyId, replacement });
+            showMessage(`Saved redirects now use ${replacement.toUpperCase()}`, "text-emerald-300");
+            starredProxies = await getStarredProxies();
+        } catch (err) {
+            Logger.error('replaceProxy', 'Exception while replacing retired proxy', err);
+            showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
+        } finally {
+            resetButton(views.replaceProxyBtn);
+            await Promise.all([showStaleProxies(), showFailedJobs()]);
+        }
+    });
+
+    views.selectAllHostsBtn.addEventListener('click', () => {
+        const allSelected = pageHosts.every(host => selectedHosts.has(host.hostname));
+        selectedHosts.clear();
+        if (!allSelected) {
+            pageHosts.forEach(host => selectedHosts.add(host.hostname));
+        }
+        views.pageHostList.querySelectorAll('input').forEach((checkbox) => {
+            checkbox.checked = selectedHosts.has(checkbox.value);
+        });
+        updatePageHostButtons();
+    });
+
+    // Remove Rule
+    views.removeBtn?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
         if (!currentDomain) return;
-        
-        const storedData = await chrome.storage.sync.get(['apiKey', 'profileId']);
+
+        const durationChoice = readDuration();
+        if (!durationChoice) return;
+        const duration = durationChoice.minutes;
+
+        const storedData = await chrome.storage.sync.get(['apiKey']);
         const apiKey = storedData.apiKey?.trim();
-        const profileId = storedData.profileId?.trim();
-        
-        if (!apiKey || !profileId) {
-            return; // Can't check without credentials
+        const targets = resolveTargets(targetSelection, profiles, defaultProfileId);
+
+        if (!apiKey || targets.length === 0) {
+            Logger.warn('removeRule', 'Missing credentials');
+            showMessage(ErrorMessages.MISSING_CREDENTIALS, "text-red-300");
+            views.config.classList.remove('hidden');
+            return;
         }
-        
+
+        // Profiles known to have no rule for the domain are left alone
+        const profilesWithRule = targets.filter(profileId => ruleForProfile(profileId) !== null);
+        if (profilesWithRule.length === 0) {
+            showMessage("No rule to remove on the selected profiles", "text-yellow-300");
+            return;
+        }
+
+        hideBypassFallback();
+        setButtonLoading(views.removeBtn, 'Removing...');
+
         try {
-            const domainVariations = getDomainVariations(currentDomain);
-            
-            foundRule = null;
-            let checkedDomain = null;
-            
-            for (const domainVar of domainVariations) {
-                const url = `https://api.controld.com/profiles/${profileId}/rules?hostname=${encodeURIComponent(domainVar)}`;
-                
-                const res = await fetch(url, {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`
-                    }
+            Logger.info('removeRule', 'Removing rule', {
+                domain: currentDomain,
+                duration,
+                existingRuleAction,
+                profiles: profilesWithRule
+            });
+
+            const failures = [];
+            const removed = [];
+            const undeletable = []; // Hostnames whose DELETE failed and may still have a rule ({ profileId, hostname, rule })
+            const absent = []; // Variants found to have no rule ({ profileId, hostname })
+            const nothingBeneath = []; // Temporary rules removed with no rule beneath them to re-apply
+            let undetectedRule = false;
+
+            for (const profileId of profilesWithRule) {
+                const client = new ControlDClient({ apiKey, profileId });
+                const result = await removeControlDRule(client, currentDomain, ruleForProfile(profileId) || null);
+
+                // A variant that failed alongside one that was deleted still has its rule, so it is reported too
+                result.failed.forEach(({ hostname, rule, result: failure }) => {
+                    failures.push({ profileId, hostname, result: failure });
+                    undeletable.push({ profileId, hostname, rule });
                 });
-                
-                if (res.ok) {
-                    const data = await res.json();
-                    const rules = data.body?.rules || data.body || data.rules || data;
-                    
-                    if (Array.isArray(rules) && rules.length > 0) {
-                        foundRule = rules.find(r => {
-                            const hostnames = r.hostnames || (r.hostname ? [r.hostname] : []);
-                            const rulePK = r.PK || r.hostname;
-                            return domainVariations.some(dv => 
-                                hostnames.includes(dv) || 
-                                r.hostname === dv || 
-                                rulePK === dv ||
-                                (rulePK && domainVariations.some(d => rulePK === d))
-                            );
+                absent.push(...result.absent.map(hostname => ({ profileId, hostname })));
+                if (!result.success) continue;
+
+                const removedHostnames = result.removed.map(entry => entry.hostname);
+                removed.push(...removedHostnames);
+                await updateIndexEntries(removedHostnames, null, profileId);
+
+                // Every deleted hostname gets its own re-apply record and alarm, so each rule comes back as it was
+                for (const { hostname, rule } of result.removed) {
+                    const scope = recordScope(profileId, hostname);
+
+                    if (duration > 0) {
+                        // A rule that is itself a temporary override is unwound: its expiry is dropped and the
+                        // removal brings back the rule beneath the whole stack, never the override
+                        const overrideKey = `${StoragePrefix.OVERRIDE}${scope}`;
+                        const overrides = (await chrome.storage.local.get([overrideKey]))[overrideKey] || [];
+                        if (overrides.length > 0) {
+                            await clearOverrides(scope);
+                        }
+                        const beneath = overrides.length > 0
+                            ? overrides[0].previous
+                            : { action: rule.action, proxyId: ruleVia(rule.action, rule.via) };
+
+                        if (!beneath) {
+                            Logger.info('removeRule', 'Removed a temporary rule with no rule beneath it', { domain: hostname, profileId });
+                            nothingBeneath.push(hostname);
+                            continue;
+                        }
+
+                        await chrome.alarms.create(`${AlarmPrefix.REAPPLY_RULE}${scope}`, {
+                            delayInMinutes: duration
                         });
-                        
-                        if (foundRule) {
-                            checkedDomain = domainVar;
-                            break;
+
+                        const ruleAction = beneath.action !== null && beneath.action !== undefined ? beneath.action : null;
+
+                        if (ruleAction === null) {
+                            Logger.warn('removeRule', 'Could not detect rule type for re-application', {
+                                domain: hostname,
+                                profileId
+                            });
+                            undetectedRule = true;
                         }
-                    } else if (rules && typeof rules === 'object' && Object.keys(rules).length > 0) {
-                        for (const key of Object.keys(rules)) {
-                            const rule = rules[key];
-                            const hostnames = rule.hostnames || (rule.hostname ? [rule.hostname] : []);
-                            const rulePK = rule.PK || rule.hostname;
-                            
-                            if (domainVariations.some(dv => 
-                                hostnames.includes(dv) || 
-                                rule.hostname === dv || 
-                                rulePK === dv ||
-                                (rulePK && domainVariations.some(d => rulePK === d))
-                            )) {
-                                foundRule = rule;
-                                checkedDomain = domainVar;
-                                break;
+
+                        await chrome.storage.local.set({
+                            [`${StoragePrefix.RULE}${scope}`]: {
+                                action: ruleAction,
+                                proxyId: beneath.proxyId,
+                                timestamp: Date.now(),
+                                expiresAt: Date.now() + duration * 60 * 1000,
+                                ...(durationChoice.tab ? { tab: durationChoice.tab } : {})
                             }
+                        });
+                        if (durationChoice.tab) {
+                            await rememberTabBinding(durationChoice.tab.id);
                         }
-                        if (foundRule) break;
+                    } else {
+                        await clearOverrides(scope);
                     }
                 }
             }
-            
-            if (foundRule) {
-                if (foundRule.action?.do !== undefined) {
-                    existingRuleAction = foundRule.action.do;
-                } else if (foundRule.do !== undefined) {
-                    existingRuleAction = typeof foundRule.do === 'number' ? foundRule.do : 
-                                       (foundRule.do?.value !== undefined ? foundRule.do.value : null);
-                } else if (foundRule.action !== undefined) {
-                    existingRuleAction = typeof foundRule.action === 'number' ? foundRule.action : 
-                                       (foundRule.action?.value !== undefined ? foundRule.action.value : null);
-                } else {
-                    existingRuleAction = null;
+
+            // Name the variants without a rule after the outcome, e.g. "Removed example.com! No rule on www.example.com."
+            const withAbsent = message => absent.length === 0
+                ? message
+                : `${message}${/[.!]$/.test(message) ? '' : '.'} ${describeAbsent(absent)}.`;
+
+            if (removed.length === 0 && failures.length === 0) {
+                Logger.info('removeRule', 'No variant had a rule to remove', { domain: currentDomain, absent });
+                showMessage(describeAbsent(absent), "text-yellow-300");
+                return;
+            }
+
+            if (removed.length === 0) {
+                Logger.error('removeRule', 'Failed to remove rule', { failures });
+                showMessage(withAbsent(describeFailures(failures)), "text-red-300");
+                offerBypassFallback(undeletable, durationChoice);
+                return;
+            }
+
+            const removedHosts = [...new Set(removed)].join(', ');
+            if (duration > 0) {
+                Logger.info('removeRule', 'Rule removed temporarily', {
+                    domain: currentDomain,
+                    removed,
+                    reapplyIn: duration
+                });
+                showMessage(withAbsent(`Removed ${removedHosts}! Will re-apply ${durationChoice.ends}.`), "text-emerald-300");
+            } else {
+                Logger.info('removeRule', 'Rule removed permanently', { domain: currentDomain, removed });
+                showMessage(withAbsent(`Removed ${removedHosts} permanently!`), "text-emerald-300");
+            }
+
+            if (undeletable.length > 0) {
+                Logger.warn('removeRule', 'Some hostnames could not be deleted', { removed, failures });
+                showMessage(withAbsent(`Removed ${removedHosts}. ${describeFailures(failures)}`), "text-yellow-300");
+                offerBypassFallback(undeletable, durationChoice);
+            } else if (nothingBeneath.length > 0) {
+                showMessage(withAbsent(`Removed ${removedHosts}. ${nothingBeneath.join(', ')} had only a temporary rule, so nothing will be re-applied there.`), "text-yellow-300");
+            } else if (undetectedRule) {
+                showMessage("Warning: Could not detect rule type. Rule will be permanently removed.", "text-yellow-300");
+            }
+
+            // Update status display
+            if (duration > 0) {
+                if (views.statusDot) {
+                    views.statusDot.style.backgroundColor = UI.STATUS_COLORS.TEMPORARY;
+                    views.statusDot.classList.add('pulse');
                 }
-                
-                hasExistingRule = true;
+                if (views.statusText) views.statusText.textContent = `Removed (re-applies ${durationChoice.ends})`;
             } else {
-                hasExistingRule = false;
-                existingRuleAction = null;
-                foundRule = null;
+                if (views.statusDot) {
+                    views.statusDot.style.backgroundColor = UI.STATUS_COLORS.READY;
+                    views.statusDot.classList.remove('pulse');
+                }
+                if (views.statusText) views.statusText.textContent = 'Rule Removed';
             }
-            
-            updateUIForRuleStatus();
+
+            setTimeout(async () => {
+                await checkExistingRule();
+
+                if (hasExistingRule && profilesWithRule.includes(defaultProfileId)) {
+                    Logger.warn('removeRule', 'Rule still appears active after removal', {
+                        domain: currentDomain
+                    });
+                    showMessage("Warning: Rule may still be active. Please check Control-D dashboard.", "text-yellow-300");
+                }
+            }, UI.RECHECK_DELAY);
         } catch (err) {
-            hasExistingRule = false;
-            updateUIForRuleStatus();
+            Logger.error('removeRule', 'Exception while removing rule', err);
+            showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
+        } finally {
+            resetButton(views.removeBtn);
+        }
+    });
+
+    // Read the duration picked in the popup: { minutes, tab, ends }, with minutes 0 for permanent,
+    // tab set ({ id, host }) for rules tied to this tab, and ends saying when for messages
+    // (e.g. "in 1h30m", "at 17:00"). Returns undefined after explaining what is wrong.
+    function readDuration() {
+        const mode = views.inputs.duration.value;
+
+        if (mode === DurationMode.CUSTOM) {
+            const token = views.inputs.customDuration.value.replace(/\s+/g, '').toLowerCase();
+            const minutes = parseDuration(token);
+            if (!minutes) {
+                showMessage(describeDurationError(token), "text-red-300");
+                return undefined;
+            }
+            return { minutes, tab: null, ends: `in ${formatDuration(minutes)}` };
+        }
+
+        if (mode === DurationMode.UNTIL_TIME || mode === DurationMode.END_OF_WORKDAY) {
+            const time = mode === DurationMode.UNTIL_TIME ? views.inputs.untilTime.value : workdayEnd;
+            const minutes = minutesUntil(time);
+            if (!minutes) {
+                showMessage(ErrorMessages.MISSING_END_TIME, "text-red-300");
+                return undefined;
+            }
+            return { minutes, tab: null, ends: `at ${time}` };
+        }
+
+        if (mode === DurationMode.UNTIL_TAB_CLOSED) {
+            if (!isTabDurationAvailable()) {
+                showMessage(ErrorMessages.TAB_DURATION_UNAVAILABLE, "text-red-300");
+                return undefined;
+            }
+            // Still ended by an alarm if the tab is never closed
+            return {
+                minutes: UI.TAB_RULE_MAX_MINUTES,
+                tab: { id: currentTabId, host: tabDomain },
+                ends: 'when this tab closes'
+            };
+        }
+
+        const minutes = parseInt(mode);
+        return { minutes, tab: null, ends: `in ${formatDuration(minutes)}` };
+    }
+
+    // A rule can only be tied to the tab when it is on the site being managed: the worker ends
+    // the rule once the tab leaves the tab's site, which for any other domain would be unrelated
+    function isTabDurationAvailable() {
+        return !!currentTabId && !!tabDomain && !!currentDomain && isSameSite(currentDomain, tabDomain);
+    }
+
+    // Offer "Until this tab is closed" only while it applies to the domain being managed
+    function updateTabDurationOption() {
+        const option = [...views.inputs.duration.options].find(o => o.value === DurationMode.UNTIL_TAB_CLOSED);
+        const available = isTabDurationAvailable();
+        option.disabled = !available;
+        option.title = available ? '' : ErrorMessages.TAB_DURATION_UNAVAILABLE;
+        if (!available && views.inputs.duration.value === DurationMode.UNTIL_TAB_CLOSED) {
+            views.inputs.duration.value = DEFAULT_DURATION_MINUTES;
+            updateDurationInputs();
+        }
+    }
+
+    // Show the input the picked duration needs
+    function updateDurationInputs() {
+        const mode = views.inputs.duration.value;
+        views.inputs.customDuration.classList.toggle('hidden', mode !== DurationMode.CUSTOM);
+        views.inputs.untilTime.classList.toggle('hidden', mode !== DurationMode.UNTIL_TIME);
+    }
+
+    // Name the workday end time in its duration option
+    function updateWorkdayOption() {
+        const option = [...views.inputs.duration.options].find(o => o.value === DurationMode.END_OF_WORKDAY);
+        option.textContent = `${DurationModeLabels[DurationMode.END_OF_WORKDAY]} (${workdayEnd})`;
+    }
+
+    // Fill the focus list picker, keeping a list selected if there is one
+    function populateFocusLists(selectedId = views.inputs.focusList.value) {
+        const select = views.inputs.focusList;
+        select.innerHTML = '';
+        focusLists.forEach((list) => {
+            select.appendChild(new Option(`${list.name} (${list.hostnames.length})`, list.id));
+        });
+        select.appendChild(new Option('New list...', NEW_FOCUS_LIST));
+
+        const keep = focusLists.some(list => list.id === selectedId);
+        select.value = keep ? selectedId : (focusLists[0]?.id || NEW_FOCUS_LIST);
+        updateFocusButtons();
+    }
+
+    // Open the list editor on the selected list, or empty for a new one
+    function openFocusListEditor() {
+        const list = focusLists.find(existing => existing.id === views.inputs.focusList.value);
+        views.inputs.focusListName.value = list ? list.name : '';
+        views.inputs.focusListHosts.value = list ? list.hostnames.join('\n') : '';
+        views.deleteFocusListBtn.classList.toggle('hidden', !list);
+        views.focusListEditor.classList.remove('hidden');
+        (list ? views.inputs.focusListHosts : views.inputs.focusListName).focus();
+    }
+
+    // A session can only be started from a saved list
+    function updateFocusButtons() {
+        views.startFocusBtn.disabled = views.inputs.focusList.value === NEW_FOCUS_LIST;
+    }
+
+    // Show the list picker, or the running session with its countdown
+    function renderFocus() {
+        clearInterval(focusTimer);
+        focusTimer = null;
+        views.focusIdle.classList.toggle('hidden', !!focusSession);
+        views.focusActive.classList.toggle('hidden', !focusSession);
+        views.endFocusBtn.classList.remove('hidden');
+        views.endFocusConfirm.classList.add('hidden');
+        if (!focusSession) return;
+
+        const hosts = focusSession.hostnames.length === 1 ? '1 site' : `${focusSession.hostnames.length} sites`;
+        views.focusStatus.textContent = `Focusing: ${focusSession.name} (${hosts} blocked)`;
+        views.focusStatus.title = focusSession.hostnames.join(', ');
+
+        const tick = () => {
+            const remaining = focusSession.endsAt - Date.now();
+            if (remaining <= 0) {
+                focusSession = null;
+                renderFocus();
+                checkExistingRule();
+                return;
+            }
+            const seconds = Math.ceil(remaining / 1000);
+            const minutes = Math.floor(seconds / 60);
+            views.focusCountdown.textContent = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        tick();
+        if (focusSession) focusTimer = setInterval(tick, 1000);
+    }
+
+    // Read the proxy (Redirect) or target (Spoof) for the selected action, explaining what is missing.
+    // Resolves to null for actions without one, or undefined if the input can't be used.
+    function readRuleTarget() {
+        if (selectedAction === RuleAction.REDIRECT) {
+            const proxyId = selectedProxy?.trim() || null;
+
+            if (!proxyId) {
+                Logger.warn('readRuleTarget', 'No proxy selected for redirect');
+                showMessage(ErrorMessages.MISSING_PROXY, "text-red-300");
+                return undefined;
+            }
+            return proxyId;
+        }
+
+        if (selectedAction === RuleAction.SPOOF) {
+            // The spoof target travels in the same `via` field as a redirect's proxy ID
+            const target = views.inputs.spoofTarget.value.trim().toLowerCase() || null;
+
+            if (!target || !isValidSpoofTarget(target)) {
+                Logger.warn('readRuleTarget', 'Invalid spoof target', { target });
+                showMessage(target ? ErrorMessages.INVALID_SPOOF_TARGET : ErrorMessages.MISSING_SPOOF_TARGET, "text-red-300");
+                return undefined;
+            }
+            return target;
+        }
+
+        return null;
+    }
+
+    // Ask the worker which hosts the tab has contacted since it last navigated. Hosts are only
+    // recorded once access to all sites is granted, so until then the section offers to ask for it.
+    async function loadPageHosts() {
+        const granted = await chrome.permissions.contains(OptionalPermissions.PAGE_HOSTS);
+        views.pageHostsPermission.classList.toggle('hidden', granted);
+        views.pageHostsContent.classList.toggle('hidden', !granted);
+        views.selectAllHostsBtn.classList.toggle('hidden', !granted);
+        if (!granted) {
+            views.pageHostsSection.classList.remove('hidden');
+            return;
         }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: MessageType.GET_PAGE_HOSTS, tabId: currentTabId });
+            if (!response?.success) {
+                Logger.warn('loadPageHosts', 'Could not list page hosts', { error: response?.error });
+                return;
+            }
+            pageHosts = response.data || [];
+            renderDomainSuggestions();
+        } catch (err) {
+            Logger.warn('loadPageHosts', 'Could not reach the service worker', { error: err.message });
+            return;
+        }
+        renderBlockedHosts();
+        await renderPageHosts();
+    }
+
+    // Offer to bypass the hosts that failed to load the way blocked ones do
+    function renderBlockedHosts() {
+        const failed = pageHosts.filter(host => host.failed).map(host => host.hostname);
+        views.blockedHostsBanner.classList.toggle('hidden', failed.length === 0);
+        if (failed.length === 0) return;
+
+        const hosts = failed.length === 1 ? '1 host' : `${failed.length} hosts`;
+        views.blockedHostsText.textContent = `${hosts} on this page failed to load and may be blocked: ${failed.join(', ')}`;
+        views.bypassBlockedBtn.textContent = `Bypass ${failed.length === 1 ? 'this host' : `these ${failed.length} hosts`} for ${UI.UNBREAK_BYPASS_MINUTES} min`;
+    }
+
+    // List the page's hosts with their rule on the default profile (from the rule index)
+    async function renderPageHosts() {
+        // Only worth showing once the page has loaded something from another host
+        views.pageHostsSection.classList.toggle('hidden', pageHosts.length <= 1);
+        if (pageHosts.length <= 1) return;
+
+        const index = await getRuleIndex();
+        views.pageHostList.innerHTML = '';
+
+        pageHosts.forEach(({ hostname, requests, isPage, failed }) => {
+            const row = document.createElement('label');
+            row.className = 'page-host-row';
+            row.classList.toggle('is-page', isPage);
+            row.classList.toggle('failed', !!failed);
+            row.title = `${requests} request${requests === 1 ? '' : 's'}${isPage ? ' (this page)' : ''}${failed ? `, failed: ${failed}` : ''}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'checkbox';
+            checkbox.value = hostname;
+            checkbox.checked = selectedHosts.has(hostname);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) selectedHosts.add(hostname);
+                else selectedHosts.delete(hostname);
+                updatePageHostButtons();
+            });
+
+            const name = document.createElement('span');
+            name.className = 'page-host-name';
+            name.textContent = hostname;
+
+            const rule = lookupRule(index, hostname);
+            const status = document.createElement('span');
+            status.className = 'page-host-status';
+            status.textContent = rule ? describeFoundRule(rule, hostname) : 'No rule';
+
+            row.append(checkbox, name, status);
+            views.pageHostList.appendChild(row);
+        });
+        updatePageHostButtons();
+    }
+
+    // Count the ticked hosts on the bulk apply button
+    function updatePageHostButtons() {
+        const count = pageHosts.filter(host => selectedHosts.has(host.hostname)).length;
+        const allSelected = pageHosts.length > 0 && count === pageHosts.length;
+        views.selectAllHostsBtn.textContent = allSelected ? 'Select None' : 'Select All';
+        views.applyHostsBtn.disabled = count === 0;
+        views.applyHostsBtn.textContent = count > 0
+            ? `Apply to ${count} Selected Host${count === 1 ? '' : 's'}`
+            : 'Apply to Selected Hosts';
+    }
+
+    // Check if domain has an existing rule: answer from the local rule index straight away,
+    // then revalidate against the API in the background
+    async function checkExistingRule() {
+        if (!currentDomain) return;
+        
+        const client = await ControlDClient.fromStorage();
+        if (!client) {
+            return; // Can't check without credentials
+        }
+        
+        const index = await getRuleIndex();
+        if (index) {
+            setFoundRule(lookupRule(index, currentDomain));
+            showSyncStatus(index.syncedAt);
+        }
+        
+        await Promise.all([revalidateRule(client), loadProfileStatuses()]);
+    }
+    
+    // Look the domain up via the API, patching the index with whatever it returns
+    async function revalidateRule(client) {
+        const domain = currentDomain;
+        let rule = null;
+        
+        for (const domainVar of getDomainVariations(domain)) {
+            const result = await client.getRule(domainVar);
+            if (!result.success) {
+                Logger.warn('revalidateRule', 'Could not revalidate rule, keeping indexed status', { domain: domainVar, error: result.error });
+                return;
+            }
+            await updateIndexEntries([domainVar], result.data, client.profileId);
+            if (result.data) {
+                rule = result.data;
+                break;
+            }
+        }
+        
+        // The popup may have moved on to another domain while the requests were in flight
+        if (domain === currentDomain) {
+            setFoundRule(rule);
+        }
+    }
+    
+    // Look the domain up on every other saved profile (the default profile is covered by the index)
+    async function loadProfileStatuses() {
+        const domain = currentDomain;
+        const others = profiles.filter(profile => profile.id !== defaultProfileId);
+        
+        const found = await Promise.all(others.map(async (profile) => {
+            const client = await ControlDClient.fromStorage(profile.id);
+            return client ? fetchDomainRule(client, domain) : undefined;
+        }));
+        
+        if (domain !== currentDomain) return;
+        profileRules.clear();
+        others.forEach((profile, i) => profileRules.set(profile.id, found[i]));
+        updateUIForRuleStatus();
+    }
+    
+    // Find the rule for a domain (or its www variant, registrable domain or wildcard) on one profile.
+    // Resolves to the rule, null if there is none, or undefined if the profile couldn't be reached.
+    async function fetchDomainRule(client, domain) {
+        for (const domainVar of getDomainVariations(domain)) {
+            const result = await client.getRule(domainVar);
+            if (!result.success) {
+                Logger.warn('fetchDomainRule', 'Could not look up rule', { profileId: client.profileId, domain: domainVar, error: result.error });
+                return undefined;
+            }
+            if (result.data) return result.data;
+        }
+        return null;
+    }
+    
+    // Rule for the current domain on a profile (null: none, undefined: not known yet)
+    function ruleForProfile(profileId) {
+        return profileId === defaultProfileId ? foundRule : profileRules.get(profileId);
+    }
+    
+    // List the current domain's rule on each profile, once more than one is saved
+    function renderProfileStatuses() {
+        views.profileStatusList.innerHTML = '';
+        const hidden = profiles.length <= 1 || !currentDomain;
+        views.profileStatusList.classList.toggle('hidden', hidden);
+        if (hidden) return;
+        
+        profiles.forEach((profile) => {
+            const rule = ruleForProfile(profile.id);
+            const row = document.createElement('div');
+            row.className = 'profile-status-row';
+            
+            const name = document.createElement('span');
+            name.textContent = profile.name;
+            const state = document.createElement('span');
+            if (rule === undefined) {
+                state.textContent = 'Unknown';
+            } else {
+                state.textContent = rule ? describeFoundRule(rule) : 'No rule';
+                state.title = rule?.hostname || '';
+            }
+            
+            row.append(name, state);
+            views.profileStatusList.appendChild(row);
+        });
+    }
+    
+    // Describe a rule found for a host, with the scope it matched on (e.g. "Bypass · All subdomains")
+    function describeFoundRule(rule, hostname = currentDomain) {
+        const description = describeRule(rule.action, rule.via);
+        return rule.hostname ? `${description} · ${describeMatchedScope(hostname, rule.hostname)}` : description;
+    }
+
+    // Summarise rule changes that failed, naming the host (for bulk changes) and the profile when several are saved
+    function describeFailures(failures) {
+        if (profiles.length <= 1 && !failures[0].hostname) {
+            return failures[0].result.error || ErrorMessages.API_ERROR;
+        }
+        const details = failures.map(({ profileId, hostname, result }) => {
+            const where = [hostname, profiles.length > 1 ? getProfileName(profiles, profileId) : null]
+                .filter(Boolean)
+                .join(' on ');
+            return `${where} (${result.error || ErrorMessages.API_ERROR})`;
+        });
+        return `Failed on ${details.join(', ')}`;
+    }
+    
+    // Name the www/bare variants that had no rule to remove, with the profile when several are saved
+    function describeAbsent(absent) {
+        const hosts = absent.map(({ profileId, hostname }) =>
+            profiles.length > 1 ? `${hostname} on ${getProfileName(profiles, profileId)}` : hostname);
+        return `No rule on ${hosts.join(', ')}`;
+    }
+
+    // Record the rule found for the current domain and update the UI
+    function setFoundRule(rule) {
+        foundRule = rule || null;
+        hasExistingRule = foundRule !== null;
+        existingRuleAction = foundRule ? foundRule.action : null;
+        updateUIForRuleStatus();
+    }
+    
+    // Show when the rule index was last fully synced with the profile
+    function showSyncStatus(syncedAt) {
+        if (!views.syncStatus || !syncedAt) return;
+        const minutes = Math.floor((Date.now() - syncedAt) / 60000);
+        let age = 'just now';
+        if (minutes >= 60) {
+            age = `${Math.floor(minutes / 60)}h ago`;
+        } else if (minutes >= 1) {
+            age = `${minutes}m ago`;
+        }
+        views.syncStatus.textContent = `Rules synced ${age}`;
+        views.syncStatus.title = new Date(syncedAt).toLocaleString();
     }
     
     // Update UI based on whether rule exists
     function updateUIForRuleStatus() {
         if (!views.applyBtn || !views.removeBtn) return;
+        renderProfileStatuses();
+        updateActionButtons();
+        
+        // Remove is offered while any target profile may have a rule for the domain
+        const targets = resolveTargets(targetSelection, profiles, defaultProfileId);
+        views.removeBtn.classList.toggle('hidden', !targets.some(profileId => ruleForProfile(profileId)));
         
         if (hasExistingRule) {
-            views.applyBtn.classList.add('hidden');
-            views.removeBtn.classList.remove('hidden');
+            // Apply stays available so a temporary override can be layered on top of the rule
+            views.applyBtn.classList.remove('hidden');
             if (views.statusText) {
-                views.statusText.textContent = "Rule Active";
+                views.statusText.textContent = `Rule Active: ${describeFoundRule(foundRule)}`;
+                views.statusText.title = foundRule.hostname ? `Set on ${foundRule.hostname}` : '';
+            }
+            // Start a spoof edit from the current target
+            if (existingRuleAction === RuleAction.SPOOF && !views.inputs.spoofTarget.value) {
+                views.inputs.spoofTarget.value = foundRule.via || '';
             }
             if (views.statusDot) {
                 views.statusDot.style.backgroundColor = '#ef4444';
                 views.statusDot.classList.add('pulse');
             }
+            renderRuleDetails();
         } else {
             views.applyBtn.classList.remove('hidden');
-            views.removeBtn.classList.add('hidden');
+            views.ruleDetails.classList.add('hidden');
+            if (editingRule) stopEditingRule();
+            // Without a manageable hostname the hint under the domain field says why
             if (views.statusText) {
-                views.statusText.textContent = "Ready";
+                views.statusText.textContent = currentDomain ? "Ready" : "No Rule Possible";
+                views.statusText.title = '';
             }
             if (views.statusDot) {
-                views.statusDot.style.backgroundColor = '#10b981';
+                views.statusDot.style.backgroundColor = currentDomain ? '#10b981' : UI.STATUS_COLORS.IDLE;
                 views.statusDot.classList.remove('pulse');
             }
         }
     }
+
+    // Apply and Remove only act on a manageable hostname; a button showing its loading state is left alone
+    function updateActionButtons() {
+        [views.applyBtn, views.removeBtn].forEach((button) => {
+            if (!button.dataset.originalText) button.disabled = !currentDomain;
+        });
+    }
     
-    // Remove rule via API
-    async function removeControlDRule(key, profile, domain, duration = 0) {
-        const url = `https://api.controld.com/profiles/${profile}/rules`;
-        const domainVariations = getDomainVariations(domain);
-        
-        let domainsToTry = domainVariations;
-        if (foundRule && foundRule.PK) {
-            domainsToTry = [foundRule.PK, ...domainVariations.filter(d => d !== foundRule.PK)];
+    // List the found rule's action, its proxy (city and country) or spoof target, the hostname it
+    // matched and any expiry the extension has scheduled for it on the default profile
+    async function renderRuleDetails() {
+        const rule = foundRule;
+        const hostname = rule.hostname || currentDomain;
+        const key = `${StoragePrefix.OVERRIDE}${recordScope(defaultProfileId, hostname)}`;
+        const [stored, { proxies }] = await Promise.all([chrome.storage.local.get([key]), getCachedProxies()]);
+        if (rule !== foundRule) return;
+
+        const rows = [['Action', RuleActionLabels[rule.action] || `Action ${rule.action}`]];
+        if (rule.action === RuleAction.REDIRECT && rule.via) {
+            const proxy = (proxies || []).find(candidate => getProxyId(candidate) === rule.via);
+            rows.push(['Proxy', proxy ? formatProxyLabel(proxy) : rule.via.toUpperCase()]);
+        } else if (rule.action === RuleAction.SPOOF && rule.via) {
+            rows.push(['Target', rule.via]);
         }
-        
-        try {
-            for (const domainVar of domainsToTry) {
-                let res = await fetch(url, {
-                    method: 'DELETE',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${key}`
-                    },
-                    body: JSON.stringify({
-                        hostnames: [domainVar]
-                    })
-                });
-            
-                const responseClone = res.clone();
-                let responseData;
-                try {
-                    responseData = await res.json();
-                } catch (parseErr) {
-                    try {
-                        await responseClone.text();
-                        continue;
-                    } catch (textErr) {
-                        continue;
-                    }
-                }
-                
-                if (res.ok && responseData.success !== false) {
-                    return { success: true };
-                }
-            }
-            
-            return await removeRuleViaBypass(key, profile, domain, domainVariations);
-            
-        } catch (err) {
-            return await removeRuleViaBypass(key, profile, domain, domainVariations);
+        rows.push(['Matched', `${hostname} (${describeMatchedScope(currentDomain, hostname)})`]);
+
+        // Only an override for the rule we found tells when it ends
+        const stack = stored[key] || [];
+        const top = stack[stack.length - 1];
+        const current = top && top.action === rule.action && (top.proxyId || null) === (ruleVia(rule.action, rule.via) || null);
+        rows.push(['Expires', current ? describeExpiry(top) : 'Not scheduled']);
+
+        views.ruleDetailRows.innerHTML = '';
+        rows.forEach(([name, value]) => {
+            const row = document.createElement('div');
+            row.className = 'profile-status-row';
+            const label = document.createElement('span');
+            label.textContent = name;
+            const text = document.createElement('span');
+            text.textContent = value;
+            row.append(label, text);
+            views.ruleDetailRows.appendChild(row);
+        });
+        views.ruleDetails.classList.remove('hidden');
+        views.editRuleBtn.classList.toggle('hidden', !!editingRule);
+
+        if (current && views.statusDot) {
+            views.statusDot.style.backgroundColor = UI.STATUS_COLORS.TEMPORARY;
         }
     }
-    
-    // Alternative: Remove rule by setting it to Bypass (action 1)
-    async function removeRuleViaBypass(key, profile, domain, domainVariations = null) {
-        const url = `https://api.controld.com/profiles/${profile}/rules`;
-        const domainsToBypass = domainVariations || [domain];
-        
-        const body = {
-            hostnames: domainsToBypass,
-            do: 1
-        };
-        
-        try {
-            let res = await fetch(url, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${key}`
-                },
-                body: JSON.stringify(body)
-            });
-            
-            const responseClone = res.clone();
-            let responseData;
-            try {
-                responseData = await res.json();
-            } catch (parseErr) {
-                try {
-                    const textResponse = await responseClone.text();
-                    return { 
-                        success: false, 
-                        error: `Invalid response format: ${textResponse.substring(0, 100)}` 
-                    };
-                } catch (textErr) {
-                    return { 
-                        success: false, 
-                        error: `HTTP ${res.status}: ${res.statusText} (Could not parse response)` 
-                    };
-                }
-            }
-            
-            if (!res.ok || (responseData.success === false)) {
-                let errorMessage = `HTTP ${res.status}: ${res.statusText}`;
-                
-                if (responseData.error) {
-                    if (typeof responseData.error === 'string') {
-                        errorMessage = responseData.error;
-                    } else if (responseData.error.message) {
-                        errorMessage = responseData.error.message;
-                        if (responseData.error.code) {
-                            errorMessage += ` (Code: ${responseData.error.code})`;
-                        }
-                    } else {
-                        errorMessage = JSON.stringify(responseData.error);
-                    }
-                } else if (responseData.message) {
-                    errorMessage = responseData.message;
-                } else if (responseData.detail) {
-                    errorMessage = responseData.detail;
-                } else if (typeof responseData === 'string') {
-                    errorMessage = responseData;
+
+    // Say when a temporary override ends and what it reverts to (e.g. "In 25m (14:05), restores Bypass")
+    function describeExpiry(override) {
+        let ends;
+        if (override.tab) {
+            ends = override.tab.id === currentTabId ? 'When this tab closes' : 'When its tab closes';
+        } else {
+            const minutes = Math.max(1, Math.ceil((override.expiresAt - Date.now()) / 60000));
+            const at = new Date(override.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            ends = `In ${formatDuration(minutes)} (${at})`;
+        }
+        const then = override.previous
+            ? `restores ${describeRule(override.previous.action, override.previous.proxyId)}`
+            : 'then removed';
+        return `${ends}, ${then}`;
+    }
+
+    // Remove rule via API: just the hostname the rule was found on, or without a known rule each of the
+    // host and its www variant that has a rule of its own, so a rule covering the whole registrable domain
+    // is never deleted by guesswork. Resolves to { success, removed, failed, absent }: the rules deleted
+    // ({ hostname, rule }), those whose DELETE failed ({ hostname, rule, result }) and the variants
+    // without a rule. Nothing else is changed when every attempt fails.
+    async function removeControlDRule(client, domain, rule) {
+        const rulesToDelete = rule ? [rule] : [];
+        const absent = [];
+
+        if (!rule) {
+            for (const hostname of getWwwVariations(domain)) {
+                const found = await findExactRule(client, hostname);
+                if (found) {
+                    rulesToDelete.push(found);
                 } else {
-                    errorMessage = JSON.stringify(responseData).substring(0, 200);
+                    absent.push(hostname);
                 }
-                
-                return { success: false, error: errorMessage };
             }
-            
-            return { success: true };
-        } catch (err) {
-            return { success: false, error: err.message };
         }
-    }
 
-    // Helper: Update Rule via API
-    async function updateControlDRule(key, profile, domain, action, proxyId = null) {
-        const url = `https://api.controld.com/profiles/${profile}/rules`;
-        
-        const body = {
-            hostnames: [domain],
-            do: action
-        };
+        const removed = [];
+        const failed = [];
 
-        if (action === RuleAction.REDIRECT && proxyId) {
-            body.via = proxyId;
+        for (const ruleToDelete of rulesToDelete) {
+            const result = await client.deleteRule([ruleToDelete.hostname]);
+            if (result.success) {
+                removed.push({ hostname: ruleToDelete.hostname, rule: ruleToDelete });
+            } else {
+                failed.push({ hostname: ruleToDelete.hostname, rule: ruleToDelete, result });
+            }
         }
 
-        try {
-            let res = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${key}`
-                },
-                body: JSON.stringify(body)
-            });
+        Logger.info('removeControlDRule', 'Delete attempted', {
+            profileId: client.profileId,
+            removed: removed.map(entry => entry.hostname),
+            failed: failed.map(entry => entry.hostname),
+            absent
+        });
+        return { success: removed.length > 0, removed, failed, absent };
+    }
 
-            const postResponseClone = res.clone();
-            let responseData;
-            let shouldTryPut = false;
-            
-            try {
-                responseData = await res.json();
-                
-                if (res.ok && responseData.success !== false) {
-                    return { success: true };
-                }
-                
-                const errorCode = responseData.error?.code;
-                const errorMessage = responseData.error?.message?.toLowerCase() || '';
-                
-                if (errorCode === 40003 || 
-                    errorMessage.includes('already exists') || 
-                    errorMessage.includes('exist') ||
-                    res.status === 409) {
-                    shouldTryPut = true;
-                }
-            } catch (parseErr) {
-                shouldTryPut = true;
-            }
-
-            if (shouldTryPut || (!res.ok && res.status !== 200 && res.status !== 201)) {
-                res = await fetch(url, {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${key}`
-                    },
-                    body: JSON.stringify(body)
-                });
-            }
+    // Offer to set rules that couldn't be deleted to Bypass instead. Bypass is not the same as having no
+    // rule (it skips every filter), so it is only ever done once the user confirms.
+    function offerBypassFallback(entries, durationChoice) {
+        pendingFallback = { entries, durationChoice };
+        const hostnames = [...new Set(entries.map(entry => entry.hostname))];
+        const where = profiles.length > 1
+            ? entries.map(({ profileId, hostname }) => `${hostname} on ${getProfileName(profiles, profileId)}`).join(', ')
+            : hostnames.join(', ');
+        const revert = durationChoice.minutes > 0
+            ? `The rule comes back ${durationChoice.ends}.`
+            : 'The dashboard can put the rule back later.';
+        views.removeFallbackText.textContent = `The rule on ${where} couldn't be deleted. Set ${entries.length === 1 ? 'it' : 'them'} to Bypass instead? Bypass skips all filtering, which is not the same as having no rule. ${revert}`;
+        views.removeFallback.classList.remove('hidden');
+    }
+
+    function hideBypassFallback() {
+        pendingFallback = null;
+        views.removeFallback.classList.add('hidden');
+    }
 
-            const responseClone = res.clone();
-            try {
-                responseData = await res.json();
-            } catch (parseErr) {
-                try {
-                    const textResponse = await responseClone.text();
-                    return { 
-                        success: false, 
-                        error: `Invalid response format: ${textResponse.substring(0, 100)}` 
-                    };
-                } catch (textErr) {
-                    return { 
-                        success: false, 
-                        error: `HTTP ${res.status}: ${res.statusText} (Could not parse response)` 
-                    };
+    // Set the rules the user agreed to bypass, recording what each replaced so it can be reverted:
+    // a temporary bypass is an override that restores the rule when it ends, and a permanent one
+    // is listed on the dashboard
+    async function applyBypassFallback() {
+        if (!pendingFallback) return;
+        const { entries, durationChoice } = pendingFallback;
+        const duration = durationChoice.minutes;
+        hideBypassFallback();
+        setButtonLoading(views.removeBtn, 'Bypassing...');
+
+        try {
+            const failures = [];
+            for (const { profileId, hostname, rule } of entries) {
+                const client = await ControlDClient.fromStorage(profileId);
+                if (!client) {
+                    failures.push({ profileId, hostname, result: { error: ErrorMessages.MISSING_CREDENTIALS } });
+                    continue;
                 }
-            }
 
-            if (!res.ok || (responseData.success === false)) {
-                let errorMessage = `HTTP ${res.status}: ${res.statusText}`;
-                
-                if (responseData.error) {
-                    if (typeof responseData.error === 'string') {
-                        errorMessage = responseData.error;
-                    } else if (responseData.error.message) {
-                        errorMessage = responseData.error.message;
-                        if (responseData.error.code) {
-                            errorMessage += ` (Code: ${responseData.error.code})`;
-                        }
-                    } else {
-                        errorMessage = JSON.stringify(responseData.error);
-                    }
-                } else if (responseData.message) {
-                    errorMessage = responseData.message;
-                } else if (responseData.detail) {
-                    errorMessage = responseData.detail;
-                } else if (typeof responseData === 'string') {
-                    errorMessage = responseData;
-                } else {
-                    errorMessage = JSON.stringify(responseData).substring(0, 200);
+                const previous = snapshotRule(rule?.hostname === hostname ? rule : await findExactRule(client, hostname), hostname);
+                const result = await applyRule(client, hostname, {
+                    action: RuleAction.BYPASS,
+                    duration,
+                    previous,
+                    tab: durationChoice.tab
+                });
+                if (!result.success) {
+                    failures.push({ profileId, hostname, result });
+                    continue;
+                }
+                if (duration === 0) {
+                    await recordBypassFallback(recordScope(profileId, hostname), previous);
                 }
-                
-                return { success: false, error: errorMessage };
             }
 
-            return { success: true };
+            Logger.info('applyBypassFallback', 'Undeletable rules set to Bypass', { entries: entries.length, failures: failures.length, duration });
+            if (failures.length > 0) {
+                showMessage(describeFailures(failures), "text-red-300");
+            } else {
+                showMessage(duration > 0 ? `Set to Bypass, restored ${durationChoice.ends}` : 'Set to Bypass. Revert it from the dashboard.', "text-yellow-300");
+            }
+            await checkExistingRule();
         } catch (err) {
-            return { success: false, error: err.message };
+            Logger.error('applyBypassFallback', 'Exception while bypassing rules', err);
+            showMessage(`${ErrorMessages.NETWORK_ERROR}: ${err.message}`, "text-red-300");
+        } finally {
+            resetButton(views.removeBtn);
         }
     }
 
@@ -961,5 +2175,6 @@ document.addEventListener('DOMContentLoaded', async () => {
         button.disabled = false;
         button.textContent = button.dataset.originalText || button.textContent.replace(/^.*?\s/, '');
         delete button.dataset.originalText;
+        updateActionButtons();
     }
 });
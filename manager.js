@@ -0,0 +1,610 @@
+/**
+ * Control D Quick Switcher - Custom Rules Manager
+ *
+ * Lists every custom rule in a saved profile (the default one at first) with search, filtering by
+ * action, sorting and pagination. Rules can be edited inline (action, redirect proxy or spoof target), deleted, or changed
+ * in bulk. Every change is written through the API client and patched into the rule index.
+ * Rules can also be exported, or imported after previewing what the import would change, on
+ * whichever profile is picked.
+ */
+
+import {
+    ErrorMessages,
+    Logger,
+    RuleAction,
+    RuleActionLabels,
+    StoragePrefix,
+    UI
+} from './constants.js';
+import { ControlDClient, describeRule, ruleVia } from './api.js';
+import { isValidSpoofTarget } from './domains.js';
+import {
+    RuleFormat,
+    RuleFormatFiles,
+    batchRules,
+    diffRules,
+    exportRules,
+    parseRules
+} from './formats.js';
+import { getProfiles, parseRecordScope } from './profiles.js';
+import { formatProxyLabel, getProxyId, getProxyList } from './proxies.js';
+import { updateIndexEntries } from './ruleIndex.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    Logger.info('Manager', 'Rules manager opened');
+
+    const views = {
+        profileSelect: document.getElementById('profileSelect'),
+        refreshBtn: document.getElementById('refreshBtn'),
+        search: document.getElementById('searchInput'),
+        filter: document.getElementById('filterSelect'),
+        sort: document.getElementById('sortSelect'),
+        bulkBar: document.getElementById('bulkBar'),
+        selectedCount: document.getElementById('selectedCount'),
+        bulkAction: document.getElementById('bulkActionSelect'),
+        bulkProxy: document.getElementById('bulkProxySelect'),
+        bulkTarget: document.getElementById('bulkTargetInput'),
+        bulkApplyBtn: document.getElementById('bulkApplyBtn'),
+        bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+        selectPage: document.getElementById('selectPage'),
+        rows: document.getElementById('ruleRows'),
+        empty: document.getElementById('emptyState'),
+        pageInfo: document.getElementById('pageInfo'),
+        prevPageBtn: document.getElementById('prevPageBtn'),
+        nextPageBtn: document.getElementById('nextPageBtn'),
+        exportFormat: document.getElementById('exportFormatSelect'),
+        exportBtn: document.getElementById('exportBtn'),
+        importFile: document.getElementById('importFile'),
+        importFormat: document.getElementById('importFormatSelect'),
+        importText: document.getElementById('importText'),
+        previewImportBtn: document.getElementById('previewImportBtn'),
+        importPreview: document.getElementById('importPreview'),
+        importSummary: document.getElementById('importSummary'),
+        importRows: document.getElementById('importRows'),
+        applyImportBtn: document.getElementById('applyImportBtn'),
+        cancelImportBtn: document.getElementById('cancelImportBtn'),
+        message: document.getElementById('message')
+    };
+
+    // State
+    let client = null;         // Client for the profile being managed
+    let defaultProfileId = null;
+    let rules = [];            // [{ hostname, action, via }]
+    let proxies = [];
+    let page = 0;
+    const selected = new Set();
+    const edits = new Map();   // hostname -> { action, via } not yet saved
+    let pendingImport = null;  // { diff, errors } awaiting confirmation
+
+    // Action options, shared by filter, row and bulk selects
+    const actionOptions = Object.entries(RuleActionLabels).map(([value, label]) => ({ value: parseInt(value), label }));
+
+    actionOptions.forEach(({ value, label }) => {
+        views.filter.appendChild(new Option(label, value));
+        views.bulkAction.appendChild(new Option(label, value));
+    });
+
+    const formatLabels = {
+        [RuleFormat.JSON]: 'JSON',
+        [RuleFormat.CSV]: 'CSV',
+        [RuleFormat.HOSTS]: 'Hosts file',
+        [RuleFormat.ADGUARD]: 'AdGuard / uBlock list'
+    };
+    Object.entries(formatLabels).forEach(([value, label]) => {
+        views.exportFormat.appendChild(new Option(label, value));
+        views.importFormat.appendChild(new Option(label, value));
+    });
+
+    /**
+     * Fill a select with the proxy list
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {string|null} selectedId - Proxy ID to preselect
+     */
+    function fillProxySelect(select, selectedId) {
+        select.innerHTML = '';
+        select.appendChild(new Option('Select Proxy Location', ''));
+        proxies.forEach((proxy) => {
+            const proxyId = getProxyId(proxy);
+            if (proxyId) select.appendChild(new Option(formatProxyLabel(proxy), proxyId));
+        });
+        // Keep an unknown proxy visible rather than silently dropping it
+        if (selectedId && ![...select.options].some(option => option.value === selectedId)) {
+            select.appendChild(new Option(selectedId.toUpperCase(), selectedId));
+        }
+        select.value = selectedId || '';
+    }
+
+    /**
+     * Rules after search and filter, in the chosen order
+     * @returns {Array<Object>}
+     */
+    function getVisibleRules() {
+        const query = views.search.value.trim().toLowerCase();
+        const action = views.filter.value === '' ? null : parseInt(views.filter.value);
+
+        const visible = rules.filter(rule =>
+            (!query || rule.hostname.toLowerCase().includes(query)) &&
+            (action === null || rule.action === action)
+        );
+
+        const [key, direction] = views.sort.value.split('-');
+        visible.sort((a, b) => {
+            if (key === 'action' && a.action !== b.action) {
+                return (RuleActionLabels[a.action] || '').localeCompare(RuleActionLabels[b.action] || '');
+            }
+            return a.hostname.localeCompare(b.hostname);
+        });
+        if (direction === 'desc') visible.reverse();
+
+        return visible;
+    }
+
+    function render() {
+        const visible = getVisibleRules();
+        const pageCount = Math.max(1, Math.ceil(visible.length / UI.RULES_PAGE_SIZE));
+        page = Math.min(page, pageCount - 1);
+        const pageRules = visible.slice(page * UI.RULES_PAGE_SIZE, (page + 1) * UI.RULES_PAGE_SIZE);
+
+        views.rows.innerHTML = '';
+        views.empty.classList.toggle('hidden', visible.length > 0);
+        pageRules.forEach(rule => views.rows.appendChild(renderRow(rule)));
+
+        views.pageInfo.textContent = `${visible.length} of ${rules.length} rules · Page ${page + 1} of ${pageCount}`;
+        views.prevPageBtn.disabled = page === 0;
+        views.nextPageBtn.disabled = page >= pageCount - 1;
+        views.selectPage.checked = pageRules.length > 0 && pageRules.every(rule => selected.has(rule.hostname));
+
+        renderBulkBar();
+    }
+
+    function renderRow(rule) {
+        const edit = edits.get(rule.hostname) || { action: rule.action, via: rule.via };
+        const row = document.createElement('tr');
+
+        const selectCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'checkbox';
+        checkbox.checked = selected.has(rule.hostname);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selected.add(rule.hostname);
+            else selected.delete(rule.hostname);
+            render();
+        });
+        selectCell.appendChild(checkbox);
+        row.appendChild(selectCell);
+
+        const hostnameCell = document.createElement('td');
+        hostnameCell.textContent = rule.hostname;
+        row.appendChild(hostnameCell);
+
+        const actionCell = document.createElement('td');
+        const actionSelect = document.createElement('select');
+        actionSelect.className = 'inline-select';
+        actionOptions.forEach(({ value, label }) => actionSelect.appendChild(new Option(label, value)));
+        if (!(edit.action in RuleActionLabels)) {
+            actionSelect.appendChild(new Option(`Action ${edit.action}`, edit.action));
+        }
+        actionSelect.value = edit.action;
+        actionSelect.addEventListener('change', () => {
+            setEdit(rule, { ...edit, action: parseInt(actionSelect.value) });
+        });
+        actionCell.appendChild(actionSelect);
+        row.appendChild(actionCell);
+
+        const proxyCell = document.createElement('td');
+        if (edit.action === RuleAction.REDIRECT) {
+            const proxySelect = document.createElement('select');
+            proxySelect.className = 'inline-select';
+            fillProxySelect(proxySelect, edit.via);
+            proxySelect.addEventListener('change', () => {
+                setEdit(rule, { ...edit, via: proxySelect.value || null });
+            });
+            proxyCell.appendChild(proxySelect);
+        } else if (edit.action === RuleAction.SPOOF) {
+            const targetInput = document.createElement('input');
+            targetInput.type = 'text';
+            targetInput.className = 'inline-select';
+            targetInput.placeholder = 'IP address or hostname';
+            targetInput.value = edit.via || '';
+            targetInput.addEventListener('change', () => {
+                setEdit(rule, { ...edit, via: targetInput.value.trim().toLowerCase() || null });
+            });
+            proxyCell.appendChild(targetInput);
+        } else {
+            proxyCell.textContent = '-';
+        }
+        row.appendChild(proxyCell);
+
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        if (edits.has(rule.hostname)) {
+            actions.appendChild(createButton('Save', 'btn-small', () => saveRules([rule.hostname], edit)));
+            actions.appendChild(createButton('Undo', 'btn-small', async () => {
+                edits.delete(rule.hostname);
+                render();
+            }));
+        }
+        actions.appendChild(createButton('Delete', 'btn-small btn-small-danger', () => deleteRules([rule.hostname])));
+        row.appendChild(actions);
+
+        return row;
+    }
+
+    function renderBulkBar() {
+        views.bulkBar.classList.toggle('hidden', selected.size === 0);
+        views.selectedCount.textContent = `${selected.size} selected`;
+        views.bulkProxy.classList.toggle('hidden', parseInt(views.bulkAction.value) !== RuleAction.REDIRECT);
+        views.bulkTarget.classList.toggle('hidden', parseInt(views.bulkAction.value) !== RuleAction.SPOOF);
+    }
+
+    function setEdit(rule, edit) {
+        const unchanged = edit.action === rule.action &&
+            ruleVia(edit.action, edit.via) === ruleVia(rule.action, rule.via);
+        if (unchanged) {
+            edits.delete(rule.hostname);
+        } else {
+            edits.set(rule.hostname, edit);
+        }
+        render();
+    }
+
+    function createButton(text, className, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await onClick();
+            } finally {
+                button.disabled = false;
+            }
+        });
+        return button;
+    }
+
+    /**
+     * Set the same action (and proxy) on one or more rules
+     * @param {Array<string>} hostnames - Hostnames to update
+     * @param {{action: number, via: string|null}} change - New action and proxy (or spoof target)
+     */
+    async function saveRules(hostnames, { action, via }) {
+        if (action === RuleAction.REDIRECT && !via) {
+            showMessage(ErrorMessages.MISSING_PROXY, 'text-red-300');
+            return;
+        }
+        if (action === RuleAction.SPOOF && !isValidSpoofTarget(via)) {
+            showMessage(via ? ErrorMessages.INVALID_SPOOF_TARGET : ErrorMessages.MISSING_SPOOF_TARGET, 'text-red-300');
+            return;
+        }
+
+        const rule = { action, via: ruleVia(action, via) };
+        Logger.info('Manager', 'Updating rules', { count: hostnames.length, action: RuleActionLabels[action] });
+
+        const result = await client.upsertRule({ hostnames, ...rule });
+        if (!result.success) {
+            showMessage(result.error || ErrorMessages.API_ERROR, 'text-red-300');
+            return;
+        }
+
+        await updateIndexEntries(hostnames, rule, client.profileId);
+        rules = rules.map(existing => hostnames.includes(existing.hostname) ? { ...existing, ...rule } : existing);
+        hostnames.forEach(hostname => edits.delete(hostname));
+        showMessage(`Updated ${hostnames.length} rule(s)`, 'text-emerald-300');
+        render();
+    }
+
+    /**
+     * Delete one or more rules after confirmation
+     * @param {Array<string>} hostnames - Hostnames whose rules should be deleted
+     */
+    async function deleteRules(hostnames) {
+        const prompt = hostnames.length === 1
+            ? `Delete the rule for ${hostnames[0]}?`
+            : `Delete ${hostnames.length} rules?`;
+        if (!confirm(prompt)) return;
+
+        Logger.info('Manager', 'Deleting rules', { count: hostnames.length });
+
+        const result = await client.deleteRule(hostnames);
+        if (!result.success) {
+            showMessage(result.error || ErrorMessages.API_ERROR, 'text-red-300');
+            return;
+        }
+
+        await updateIndexEntries(hostnames, null, client.profileId);
+        rules = rules.filter(rule => !hostnames.includes(rule.hostname));
+        hostnames.forEach((hostname) => {
+            selected.delete(hostname);
+            edits.delete(hostname);
+        });
+        showMessage(`Deleted ${hostnames.length} rule(s)`, 'text-emerald-300');
+        render();
+    }
+
+    function exportCurrentRules() {
+        const format = views.exportFormat.value;
+        const { extension, type } = RuleFormatFiles[format];
+        const blob = new Blob([exportRules(rules, format)], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `controld-rules-${client.profileId}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        Logger.info('Manager', 'Exported rules', { profileId: client.profileId, count: rules.length, format });
+    }
+
+    /**
+     * Hostnames with a temporary override or removal still pending on this profile, which an import would fight with
+     * @returns {Promise<Set<string>>}
+     */
+    async function getPendingHostnames() {
+        const stored = await chrome.storage.local.get(null);
+        const pending = new Set();
+        const addScope = (scope) => {
+            // Unscoped records predate profiles and belong to the default profile
+            const { profileId, domain } = parseRecordScope(scope);
+            if ((profileId || defaultProfileId) === client.profileId) pending.add(domain);
+        };
+        Object.keys(stored).forEach((key) => {
+            if (key.startsWith(StoragePrefix.OVERRIDE)) addScope(key.slice(StoragePrefix.OVERRIDE.length));
+            else if (key.startsWith(StoragePrefix.RULE) && stored[key]?.expiresAt) addScope(key.slice(StoragePrefix.RULE.length));
+        });
+        return pending;
+    }
+
+    async function previewImport() {
+        let text = views.importText.value;
+        const file = views.importFile.files?.[0];
+        if (file) text = await file.text();
+
+        if (!text.trim()) {
+            showMessage('Choose a file or paste rules to import', 'text-red-300');
+            return;
+        }
+
+        const { format, entries, errors } = parseRules(text, views.importFormat.value || null);
+        const index = Object.fromEntries(rules.map(rule => [rule.hostname, rule]));
+        const diff = diffRules(index, entries, await getPendingHostnames());
+
+        Logger.info('Manager', 'Import previewed', {
+            format,
+            additions: diff.additions.length,
+            changes: diff.changes.length,
+            conflicts: diff.conflicts.length,
+            errors: errors.length
+        });
+
+        pendingImport = { diff, errors };
+        renderImportPreview(`${formatLabels[format]}: ${diff.additions.length} to add, ${diff.changes.length} to change, ` +
+            `${diff.unchanged.length} unchanged, ${diff.conflicts.length} conflict(s), ${errors.length} error(s). ` +
+            'Conflicts and errors are skipped.');
+    }
+
+    /**
+     * Show the pending import (or the failures left after applying it)
+     * @param {string} summary - Summary line
+     */
+    function renderImportPreview(summary) {
+        const { diff, errors } = pendingImport;
+        views.importSummary.textContent = summary;
+        views.importRows.innerHTML = '';
+
+        const lines = [
+            ...diff.additions.map(entry => ({ entry, className: 'diff-add', change: `Add ${describeRule(entry.action, entry.via)}`, note: '' })),
+            ...diff.changes.map(entry => ({
+                entry,
+                className: 'diff-change',
+                change: `${describeRule(entry.current.action, entry.current.via)} → ${describeRule(entry.action, entry.via)}`,
+                note: ''
+            })),
+            ...diff.conflicts.map(entry => ({ entry, className: 'diff-conflict', change: describeRule(entry.action, entry.via), note: entry.reason })),
+            ...errors.map(error => ({
+                entry: { line: error.line, hostname: error.text },
+                className: 'diff-error',
+                change: 'Skipped',
+                note: error.error
+            }))
+        ].sort((a, b) => (a.entry.line || 0) - (b.entry.line || 0));
+
+        lines.forEach(({ entry, className, change, note }) => {
+            const row = document.createElement('tr');
+            [entry.line ?? '-', entry.hostname, change, note].forEach((value) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.children[2].className = className;
+            views.importRows.appendChild(row);
+        });
+
+        const toApply = diff.additions.length + diff.changes.length;
+        views.applyImportBtn.textContent = `Apply ${toApply} Change(s)`;
+        views.applyImportBtn.classList.toggle('hidden', toApply === 0);
+        views.importPreview.classList.remove('hidden');
+    }
+
+    /**
+     * Write the previewed additions and changes in batches, reporting failures per line
+     */
+    async function applyImport() {
+        const { diff } = pendingImport;
+        const batches = batchRules([...diff.additions, ...diff.changes], UI.IMPORT_BATCH_SIZE);
+        const failed = [];
+        let applied = 0;
+
+        for (const batch of batches) {
+            const hostnames = batch.entries.map(entry => entry.hostname);
+            const rule = { action: batch.action, via: batch.via };
+            const result = await client.upsertRule({ hostnames, ...rule });
+
+            if (!result.success) {
+                Logger.warn('Manager', 'Import batch failed', { count: hostnames.length, error: result.error });
+                batch.entries.forEach(entry => failed.push({
+                    line: entry.line,
+                    text: entry.hostname,
+                    error: result.error || ErrorMessages.API_ERROR
+                }));
+                continue;
+            }
+
+            await updateIndexEntries(hostnames, rule, client.profileId);
+            const updated = new Set(hostnames);
+            rules = [
+                ...rules.filter(existing => !updated.has(existing.hostname)),
+                ...hostnames.map(hostname => ({ hostname, ...rule }))
+            ];
+            hostnames.forEach(hostname => edits.delete(hostname));
+            applied += hostnames.length;
+        }
+
+        Logger.info('Manager', 'Import applied', { applied, failed: failed.length });
+        render();
+
+        if (failed.length === 0) {
+            closeImport();
+            showMessage(`Imported ${applied} rule(s)`, 'text-emerald-300');
+            return;
+        }
+
+        // Leave only what didn't go through on screen, so each failed line can be fixed
+        pendingImport = {
+            diff: { additions: [], changes: [], unchanged: [], conflicts: [] },
+            errors: failed
+        };
+        renderImportPreview(`Imported ${applied} rule(s); ${failed.length} failed.`);
+        showMessage(`${failed.length} rule(s) failed to import`, 'text-red-300');
+    }
+
+    function closeImport() {
+        pendingImport = null;
+        views.importPreview.classList.add('hidden');
+        views.importRows.innerHTML = '';
+        views.importText.value = '';
+        views.importFile.value = '';
+    }
+
+    async function loadRules() {
+        views.pageInfo.textContent = 'Loading rules...';
+        const result = await client.listRules();
+
+        if (!result.success) {
+            Logger.warn('Manager', 'Could not load rules', { profileId: client.profileId, error: result.error });
+            showMessage(result.error || ErrorMessages.API_ERROR, 'text-red-300');
+            views.pageInfo.textContent = 'Could not load rules';
+            return;
+        }
+
+        rules = result.data.map(({ hostname, action, via }) => ({ hostname, action, via }));
+        const listed = new Set(rules.map(rule => rule.hostname));
+        edits.clear();
+        [...selected].forEach((hostname) => {
+            if (!listed.has(hostname)) selected.delete(hostname);
+        });
+        render();
+    }
+
+    /**
+     * Manage another saved profile: its rules replace the list, and edits, selection and any
+     * pending import (previewed against the previous profile) are dropped
+     * @param {string} profileId - Profile to manage
+     */
+    async function switchProfile(profileId) {
+        const next = await ControlDClient.fromStorage(profileId);
+        if (!next) {
+            showMessage(ErrorMessages.MISSING_CREDENTIALS, 'text-red-300');
+            views.profileSelect.value = client.profileId;
+            return;
+        }
+
+        Logger.info('Manager', 'Switching profile', { profileId });
+        client = next;
+        selected.clear();
+        closeImport();
+        page = 0;
+        await loadRules();
+    }
+
+    function showMessage(text, colorClass) {
+        views.message.textContent = text;
+        views.message.className = `text-center text-xs font-bold ${colorClass}`;
+        setTimeout(() => {
+            views.message.textContent = '';
+            views.message.className = 'text-center text-xs font-bold';
+        }, UI.MESSAGE_TIMEOUT);
+    }
+
+    // Event Listeners
+    views.search.addEventListener('input', () => {
+        page = 0;
+        render();
+    });
+    views.filter.addEventListener('change', () => {
+        page = 0;
+        render();
+    });
+    views.sort.addEventListener('change', render);
+    views.prevPageBtn.addEventListener('click', () => {
+        page = Math.max(0, page - 1);
+        render();
+    });
+    views.nextPageBtn.addEventListener('click', () => {
+        page += 1;
+        render();
+    });
+    views.refreshBtn.addEventListener('click', loadRules);
+    views.profileSelect.addEventListener('change', () => switchProfile(views.profileSelect.value));
+
+    views.selectPage.addEventListener('change', () => {
+        const visible = getVisibleRules().slice(page * UI.RULES_PAGE_SIZE, (page + 1) * UI.RULES_PAGE_SIZE);
+        visible.forEach((rule) => {
+            if (views.selectPage.checked) selected.add(rule.hostname);
+            else selected.delete(rule.hostname);
+        });
+        render();
+    });
+
+    views.bulkAction.addEventListener('change', renderBulkBar);
+    views.bulkApplyBtn.addEventListener('click', () => saveRules([...selected], {
+        action: parseInt(views.bulkAction.value),
+        via: parseInt(views.bulkAction.value) === RuleAction.SPOOF
+            ? views.bulkTarget.value.trim().toLowerCase() || null
+            : views.bulkProxy.value || null
+    }));
+    views.bulkDeleteBtn.addEventListener('click', () => deleteRules([...selected]));
+
+    views.exportBtn.addEventListener('click', exportCurrentRules);
+    views.previewImportBtn.addEventListener('click', previewImport);
+    views.applyImportBtn.addEventListener('click', async () => {
+        views.applyImportBtn.disabled = true;
+        try {
+            await applyImport();
+        } finally {
+            views.applyImportBtn.disabled = false;
+        }
+    });
+    views.cancelImportBtn.addEventListener('click', closeImport);
+
+    // Initial load
+    client = await ControlDClient.fromStorage();
+    if (!client) {
+        showMessage(ErrorMessages.MISSING_CREDENTIALS, 'text-red-300');
+        views.pageInfo.textContent = ErrorMessages.MISSING_CREDENTIALS;
+        return;
+    }
+
+    // The picker only shows once there is more than one profile to choose from
+    const saved = await getProfiles();
+    defaultProfileId = saved.defaultProfileId;
+    saved.profiles.forEach(profile => views.profileSelect.appendChild(new Option(profile.name, profile.id)));
+    views.profileSelect.value = client.profileId;
+    views.profileSelect.classList.toggle('hidden', saved.profiles.length <= 1);
+
+    proxies = await getProxyList(client);
+    fillProxySelect(views.bulkProxy, null);
+    await loadRules();
+});
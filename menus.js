@@ -0,0 +1,85 @@
+/**
+ * Control D Quick Switcher - Context Menus
+ *
+ * Right-click entries on pages and links that set a rule on the link's (or page's) hostname
+ * without opening the popup: Block, Bypass for a few minutes, and Redirect via the favourite
+ * proxy. Rules go through the same applyRule() as the popup, so temporary ones expire the same way.
+ */
+
+import {
+    ContextMenuId,
+    ErrorMessages,
+    Logger,
+    RuleAction,
+    StorageKeys,
+    UI
+} from './constants.js';
+import { applyQuickRule, getWebHostname, reportFailure } from './quickActions.js';
+
+// Menus only make sense for web pages and links to them
+const WEB_URL_PATTERNS = ['http://*/*', 'https://*/*'];
+
+/**
+ * (Re)create the context menu entries. Menus persist across browser restarts, so this only
+ * needs to run when the extension is installed or updated.
+ */
+export async function createContextMenus() {
+    await chrome.contextMenus.removeAll();
+
+    const common = {
+        contexts: ['page', 'link'],
+        documentUrlPatterns: WEB_URL_PATTERNS,
+        targetUrlPatterns: WEB_URL_PATTERNS
+    };
+
+    chrome.contextMenus.create({ ...common, id: ContextMenuId.BLOCK, title: 'Block host' });
+    chrome.contextMenus.create({
+        ...common,
+        id: ContextMenuId.BYPASS,
+        title: `Bypass host for ${UI.MENU_BYPASS_MINUTES} min`
+    });
+    chrome.contextMenus.create({ ...common, id: ContextMenuId.REDIRECT, title: 'Redirect host via favourite proxy' });
+
+    await updateRedirectMenu();
+}
+
+/**
+ * Name the favourite proxy in the Redirect entry, or disable it if none is set
+ */
+export async function updateRedirectMenu() {
+    const stored = await chrome.storage.sync.get([StorageKeys.FAVOURITE_PROXY]);
+    const proxyId = stored[StorageKeys.FAVOURITE_PROXY];
+
+    await chrome.contextMenus.update(ContextMenuId.REDIRECT, proxyId
+        ? { title: `Redirect host via ${proxyId.toUpperCase()}`, enabled: true }
+        : { title: 'Redirect host via favourite proxy (star one in the popup)', enabled: false });
+}
+
+/**
+ * Apply the rule for a clicked context menu entry
+ * @param {chrome.contextMenus.OnClickData} info - Click details
+ * @param {chrome.tabs.Tab} tab - Tab the menu was opened in
+ */
+export async function handleContextMenuClick(info, tab) {
+    const entries = {
+        [ContextMenuId.BLOCK]: { action: RuleAction.BLOCK, duration: 0 },
+        [ContextMenuId.BYPASS]: { action: RuleAction.BYPASS, duration: UI.MENU_BYPASS_MINUTES },
+        [ContextMenuId.REDIRECT]: { action: RuleAction.REDIRECT, duration: 0 }
+    };
+    const entry = entries[info.menuItemId];
+    if (!entry) return;
+
+    let via = null;
+    if (entry.action === RuleAction.REDIRECT) {
+        const stored = await chrome.storage.sync.get([StorageKeys.FAVOURITE_PROXY]);
+        via = stored[StorageKeys.FAVOURITE_PROXY] || null;
+    }
+
+    const hostname = getWebHostname(info.linkUrl || info.pageUrl);
+    Logger.info('contextMenu', 'Menu entry clicked', { menuItemId: info.menuItemId, hostname });
+
+    const result = await applyQuickRule(hostname, { ...entry, via });
+    if (!result.success) {
+        await reportFailure(tab, result.error || ErrorMessages.API_ERROR);
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Control D Quick Switcher - Omnibox Commands
+ *
+ * Parses rule commands typed after the "cd" keyword in the address bar:
+ *
+ *   cd block ads.example.com
+ *   cd bypass example.com 30m
+ *   cd redirect netflix.com via lax 1h
+ *   cd spoof staging.example.com via 10.0.0.5
+ *
+ * Durations are minutes, hours or days ("30m", "1h", "2d"), combinations of them ("2h30m")
+ * or "permanent" (the default).
+ * Suggestions complete actions, proxy IDs from the cached proxy list and the popup's durations.
+ */
+
+import {
+    Cache,
+    DurationOptions,
+    ErrorMessages,
+    Patterns,
+    RuleAction,
+    RuleActionLabels,
+    UI
+} from './constants.js';
+import { actionUsesVia } from './api.js';
+import { isValidSpoofTarget } from './domains.js';
+import { formatDuration, isDurationTooLong, parseDuration } from './durations.js';
+import { formatProxyLabel, getProxyId } from './proxies.js';
+
+// Keywords for each action (the lower-case action labels)
+const ACTION_WORDS = Object.fromEntries(
+    Object.entries(RuleActionLabels).map(([action, label]) => [label.toLowerCase(), parseInt(action)])
+);
+
+export const OMNIBOX_USAGE = `${Object.keys(ACTION_WORDS).join('|')} <hostname> [via <proxy|target>] [30m|2h30m|permanent]`;
+
+/**
+ * Parse an omnibox command
+ * @param {string} text - Text typed after the keyword
+ * @param {Array<Object>|null} [proxies] - Cached proxy list; a redirect via a proxy not on it is rejected
+ *     (not checked while there is no list)
+ * @returns {Object} { action, hostname, via, duration } or { error }
+ */
+export function parseOmniboxCommand(text, proxies = null) {
+    const tokens = text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const [actionWord, hostname, ...rest] = tokens;
+
+    if (!actionWord) return { error: `Usage: ${OMNIBOX_USAGE}` };
+
+    const action = ACTION_WORDS[actionWord];
+    if (action === undefined) return { error: `Unknown action "${actionWord}"` };
+
+    if (!hostname) return { error: 'Missing hostname' };
+    if (!Patterns.DOMAIN.test(hostname)) return { error: `Invalid hostname "${hostname}"` };
+
+    let via = null;
+    let duration = 0;
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === 'via') {
+            via = rest[++i] || null;
+            if (!via) return { error: 'Missing proxy or target after "via"' };
+            continue;
+        }
+
+        const minutes = parseDuration(rest[i]);
+        if (minutes === null) {
+            return { error: isDurationTooLong(rest[i]) ? ErrorMessages.DURATION_TOO_LONG : `Unexpected "${rest[i]}"` };
+        }
+        duration = minutes;
+    }
+
+    if (action === RuleAction.REDIRECT && !via) return { error: 'Redirect needs "via <proxy>"' };
+    if (action === RuleAction.REDIRECT && proxies?.length && !proxies.some(proxy => getProxyId(proxy) === via)) {
+        return { error: `Unknown proxy "${via}"` };
+    }
+    if (action === RuleAction.SPOOF && !via) return { error: 'Spoof needs "via <IP address or hostname>"' };
+    if (action === RuleAction.SPOOF && !isValidSpoofTarget(via)) return { error: `Invalid spoof target "${via}"` };
+    if (!actionUsesVia(action) && via) return { error: `"via" only applies to redirect and spoof` };
+
+    return { action, hostname, via, duration };
+}
+
+/**
+ * Describe a parsed command for the default suggestion
+ * @param {Object} command - Result of parseOmniboxCommand
+ * @returns {string} Plain-text description
+ */
+export function describeOmniboxCommand(command) {
+    if (command.error) return `${command.error}. Usage: ${OMNIBOX_USAGE}`;
+
+    let via = '';
+    if (command.action === RuleAction.REDIRECT) via = ` via ${command.via.toUpperCase()}`;
+    else if (command.action === RuleAction.SPOOF) via = ` to ${command.via}`;
+
+    const duration = command.duration > 0 ? ` for ${formatDuration(command.duration)}` : ' permanently';
+    return `${RuleActionLabels[command.action]} ${command.hostname}${via}${duration}`;
+}
+
+/**
+ * Escape text for an omnibox suggestion description (which is XML)
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeDescription(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Suggest completions for the word being typed
+ * @param {string} text - Text typed after the keyword
+ * @returns {Promise<Array<{content: string, description: string}>>} Omnibox suggestions
+ */
+export async function getOmniboxSuggestions(text) {
+    const tokens = text.replace(/^\s+/, '').toLowerCase().split(/\s+/);
+    const partial = tokens.pop();
+    const prefix = tokens.join(' ');
+    const [actionWord, hostname] = tokens;
+
+    let candidates = [];
+
+    if (tokens.length === 0) {
+        candidates = Object.keys(ACTION_WORDS).map(word => ({ value: word, label: `${RuleActionLabels[ACTION_WORDS[word]]} a hostname` }));
+    } else if (tokens.length === 1) {
+        return [];    // Hostnames are free text
+    } else if (tokens[tokens.length - 1] === 'via') {
+        if (ACTION_WORDS[actionWord] !== RuleAction.REDIRECT) return [];    // Spoof targets are free text
+        const stored = await chrome.storage.local.get([Cache.PROXY_LIST_KEY]);
+        candidates = (stored[Cache.PROXY_LIST_KEY] || [])
+            .map(proxy => ({ value: getProxyId(proxy), label: formatProxyLabel(proxy) }))
+            .filter(candidate => candidate.value);
+    } else {
+        const needsVia = actionUsesVia(ACTION_WORDS[actionWord]) && !tokens.includes('via');
+        const viaLabel = ACTION_WORDS[actionWord] === RuleAction.SPOOF
+            ? `Spoof ${hostname} to an IP address or hostname`
+            : `Redirect ${hostname} via a proxy`;
+        candidates = needsVia
+            ? [{ value: 'via', label: viaLabel }]
+            : DurationOptions.map(({ minutes, label }) => ({ value: formatDuration(minutes), label }));
+    }
+
+    return candidates
+        .filter(candidate => candidate.value.toLowerCase().startsWith(partial))
+        .slice(0, UI.OMNIBOX_SUGGESTIONS)
+        .map((candidate) => {
+            const content = prefix ? `${prefix} ${candidate.value}` : candidate.value;
+            return {
+                content,
+                description: `<match>${escapeDescription(content)}</match> <dim>${escapeDescription(candidate.label)}</dim>`
+            };
+        });
+}
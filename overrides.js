@@ -0,0 +1,194 @@
+/**
+ * Control D Quick Switcher - Applying Rules and Temporary Overrides
+ *
+ * Shared by the popup and the service worker (context menus and other shortcuts), so a rule
+ * applied from anywhere records the same override stack and expiry alarm. The worker unwinds
+ * the stack when the expire alarm fires. Records are scoped to the client's profile (see
+ * recordScope), so each profile keeps its own stack for a domain.
+ */
+
+import {
+    AlarmPrefix,
+    Logger,
+    RuleActionLabels,
+    StorageKeys,
+    StoragePrefix
+} from './constants.js';
+import { ruleVia } from './api.js';
+import { recordScope } from './profiles.js';
+import { getRuleIndex, updateIndexEntries } from './ruleIndex.js';
+
+/**
+ * Snapshot the rule currently set on exactly this hostname.
+ * Rules found on a www/bare variation are not touched by an override, so they are not captured.
+ * @param {Object|null} rule - Rule found for the hostname ({ hostname, action, via })
+ * @param {string} hostname - Hostname the override will be applied to
+ * @returns {Object|null} Previous rule ({ action, proxyId, hostnames }) or null if none
+ */
+export function snapshotRule(rule, hostname) {
+    if (!rule || rule.hostname !== hostname || rule.action === null || rule.action === undefined) {
+        return null;
+    }
+
+    return {
+        action: rule.action,
+        proxyId: ruleVia(rule.action, rule.via),
+        hostnames: [hostname]
+    };
+}
+
+/**
+ * Look up the rule on exactly this hostname, from the API or (if it can't be reached) the rule index
+ * @param {ControlDClient} client - API client
+ * @param {string} hostname - Hostname to look up
+ * @returns {Promise<Object|null>} Rule ({ hostname, action, via }) or null if none
+ */
+export async function findExactRule(client, hostname) {
+    const result = await client.getRule(hostname);
+    if (result.success) {
+        return result.data;
+    }
+
+    Logger.warn('findExactRule', 'Rule lookup failed, using the rule index', { hostname, error: result.error });
+    const index = await getRuleIndex();
+    if (index?.profileId !== client.profileId) return null;
+    const entry = index.rules[hostname];
+    return entry ? { hostname, ...entry } : null;
+}
+
+/**
+ * Note that a tab has overrides or removals that end when it closes, so the worker only
+ * searches the pending records for tabs that have some
+ * @param {number} tabId - Tab ID
+ */
+export async function rememberTabBinding(tabId) {
+    const stored = await chrome.storage.local.get([StorageKeys.TAB_BOUND_TABS]);
+    const tabIds = stored[StorageKeys.TAB_BOUND_TABS] || [];
+    if (!tabIds.includes(tabId)) {
+        await chrome.storage.local.set({ [StorageKeys.TAB_BOUND_TABS]: [...tabIds, tabId] });
+    }
+}
+
+/**
+ * Record a temporary override on top of the domain's override stack and (re)schedule its expiry.
+ * @param {string} scope - Record scope of the profile and hostname the override was applied to
+ * @param {number} action - Rule action that was applied
+ * @param {string|null} proxyId - Proxy ID for redirect rules, or the target of spoof rules
+ * @param {number} duration - Override duration in minutes
+ * @param {Object|null} previous - Rule to restore on expiry (see snapshotRule)
+ * @param {Object} [binding]
+ * @param {Object|null} [binding.tab] - Tab ({ id, host }) whose closing or leaving the site ends the override early
+ * @param {Object|null} [binding.schedule] - Schedule window ({ id, window }) the override was applied for
+ * @param {string|null} [binding.focus] - ID of the focus session the override belongs to
+ */
+export async function pushOverride(scope, action, proxyId, duration, previous, { tab = null, schedule = null, focus = null } = {}) {
+    const key = `${StoragePrefix.OVERRIDE}${scope}`;
+    const stored = await chrome.storage.local.get([key]);
+    const stack = stored[key] || [];
+    const now = Date.now();
+
+    stack.push({
+        action,
+        proxyId,
+        appliedAt: now,
+        expiresAt: now + duration * 60 * 1000,
+        previous,
+        ...(tab ? { tab } : {}),
+        ...(schedule ? { schedule } : {}),
+        ...(focus ? { focus } : {})
+    });
+
+    await chrome.storage.local.set({ [key]: stack });
+    if (tab) {
+        await rememberTabBinding(tab.id);
+    }
+
+    // One alarm per domain, scheduled for whichever override expires first
+    const nextExpiry = Math.min(...stack.map(entry => entry.expiresAt));
+    await chrome.alarms.create(`${AlarmPrefix.EXPIRE_RULE}${scope}`, { when: nextExpiry });
+
+    Logger.info('pushOverride', 'Temporary override recorded', {
+        scope,
+        action,
+        depth: stack.length,
+        restores: previous ? RuleActionLabels[previous.action] : 'nothing'
+    });
+}
+
+/**
+ * Drop all pending temporary overrides for a domain and cancel their expiry
+ * @param {string} scope - Record scope of the profile and hostname whose overrides should be discarded
+ */
+export async function clearOverrides(scope) {
+    await chrome.storage.local.remove([`${StoragePrefix.OVERRIDE}${scope}`]);
+    await chrome.alarms.clear(`${AlarmPrefix.EXPIRE_RULE}${scope}`);
+}
+
+/**
+ * Drop a pending temporary removal for a domain, so its rule isn't re-applied over a newer one
+ * @param {string} scope - Record scope of the profile and hostname whose removal should be discarded
+ */
+export async function clearRemoval(scope) {
+    await chrome.storage.local.remove([`${StoragePrefix.RULE}${scope}`]);
+    await chrome.alarms.clear(`${AlarmPrefix.REAPPLY_RULE}${scope}`);
+}
+
+/**
+ * Remember a rule that was set to Bypass because deleting it failed, so the dashboard can put
+ * the rule it replaced back. Temporary fallbacks don't need this: their override restores it.
+ * @param {string} scope - Record scope of the profile and hostname that was bypassed
+ * @param {Object|null} previous - Rule the bypass replaced (see snapshotRule)
+ */
+export async function recordBypassFallback(scope, previous) {
+    const stored = await chrome.storage.local.get([StorageKeys.BYPASS_FALLBACKS]);
+    const fallbacks = stored[StorageKeys.BYPASS_FALLBACKS] || [];
+    // A hostname bypassed again still reverts to the rule the first bypass replaced
+    if (fallbacks.some(entry => entry.scope === scope)) return;
+    fallbacks.push({ scope, previous, bypassedAt: Date.now() });
+    await chrome.storage.local.set({ [StorageKeys.BYPASS_FALLBACKS]: fallbacks });
+    Logger.info('recordBypassFallback', 'Bypass fallback recorded', {
+        scope,
+        replaced: previous ? RuleActionLabels[previous.action] : 'nothing'
+    });
+}
+
+/**
+ * Set a rule on a hostname, permanently or for a number of minutes.
+ * A temporary rule is pushed onto the override stack so expiry restores `previous`;
+ * a permanent rule supersedes any pending temporary overrides. Either drops a pending temporary
+ * removal of the hostname. Only the client's profile is affected.
+ * @param {ControlDClient} client - API client for the profile to set the rule on
+ * @param {string} domain - Hostname to set the rule on
+ * @param {Object} options
+ * @param {number} options.action - Rule action
+ * @param {string|null} [options.via] - Proxy ID for redirect rules, or the target of spoof rules
+ * @param {number} [options.duration] - Minutes until the rule expires (0 for permanent)
+ * @param {Object|null} [options.previous] - Rule being replaced (see snapshotRule)
+ * @param {Object|null} [options.tab] - For a temporary rule, the tab ({ id, host }) it is tied to
+ * @param {Object|null} [options.schedule] - For a temporary rule, the schedule window ({ id, window }) it belongs to
+ * @param {string|null} [options.focus] - For a temporary rule, the ID of the focus session it belongs to
+ * @returns {Promise<Object>} The API result ({ success, status, error? })
+ */
+export async function applyRule(client, domain, { action, via = null, duration = 0, previous = null, tab = null, schedule = null, focus = null }) {
+    const proxyId = ruleVia(action, via);
+    const result = await client.upsertRule({ hostnames: [domain], action, via: proxyId });
+
+    if (!result.success) {
+        Logger.error('applyRule', 'Failed to apply rule', { domain, profileId: client.profileId, error: result.error });
+        return result;
+    }
+
+    Logger.info('applyRule', 'Rule applied successfully', { domain, profileId: client.profileId, action, duration });
+    await updateIndexEntries([domain], { action, via: proxyId }, client.profileId);
+
+    const scope = recordScope(client.profileId, domain);
+    // The new rule supersedes a pending removal, which would otherwise re-apply the old rule over it
+    await clearRemoval(scope);
+    if (duration > 0) {
+        await pushOverride(scope, action, proxyId, duration, previous, { tab, schedule, focus });
+    } else {
+        await clearOverrides(scope);
+    }
+
+    return result;
+}
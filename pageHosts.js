@@ -0,0 +1,156 @@
+/**
+ * Control D Quick Switcher - Page Hostname Inventory
+ *
+ * Records every hostname each tab contacts (page, CDN, API and tracker hosts alike), so the
+ * popup can act on the host that is actually breaking a site rather than only the page's own.
+ * Requests are observed in the service worker with webRequest; a tab's list starts over when
+ * it navigates to a new page. The lists are mirrored to session storage so they survive the
+ * worker being suspended, and are dropped when the browser closes.
+ *
+ * Requests that fail the way blocked ones do (the name doesn't resolve, or resolves to 0.0.0.0)
+ * are recorded too, so the badge can count them and the popup can offer to bypass them.
+ */
+
+import { BlockedRequest, Logger, StorageKeys, UI } from './constants.js';
+
+// Hosts seen per tab: tabId -> { pageHost, hosts: { hostname: requestCount }, failed: { hostname: error } }
+let tabHosts = null;
+let saveTimer = null;
+
+/**
+ * Load the recorded hosts from session storage the first time they are needed
+ * @returns {Promise<Object>} Hosts seen per tab
+ */
+async function loadTabHosts() {
+    if (!tabHosts) {
+        const stored = await chrome.storage.session.get([StorageKeys.PAGE_HOSTS]);
+        tabHosts = tabHosts || stored[StorageKeys.PAGE_HOSTS] || {};
+    }
+    return tabHosts;
+}
+
+/**
+ * Write the recorded hosts to session storage, batching the writes from a burst of requests
+ */
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(async () => {
+        saveTimer = null;
+        try {
+            await chrome.storage.session.set({ [StorageKeys.PAGE_HOSTS]: tabHosts });
+        } catch (error) {
+            Logger.error('pageHosts', 'Failed to save page hosts', { error: error.message });
+        }
+    }, UI.PAGE_HOSTS_SAVE_DELAY);
+}
+
+/**
+ * Hostname of a request URL
+ * @param {string} url - Request URL
+ * @returns {string|null} Hostname, or null if the URL can't be parsed
+ */
+function requestHostname(url) {
+    try {
+        return new URL(url).hostname || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Record a request made by a tab (a webRequest.onBeforeRequest listener)
+ * @param {Object} details - webRequest request details
+ */
+export async function recordRequest({ tabId, type, url }) {
+    if (tabId < 0) return;    // Not made by a tab (e.g. the extension's own API calls)
+
+    const hostname = requestHostname(url);
+    if (!hostname) return;
+
+    const hosts = await loadTabHosts();
+
+    // A new page starts a new list
+    if (type === 'main_frame' || !hosts[tabId]) {
+        hosts[tabId] = { pageHost: type === 'main_frame' ? hostname : null, hosts: {}, failed: {} };
+    }
+
+    const entry = hosts[tabId];
+    if (entry.hosts[hostname] === undefined && Object.keys(entry.hosts).length >= UI.PAGE_HOSTS_LIMIT) {
+        return;
+    }
+    entry.hosts[hostname] = (entry.hosts[hostname] || 0) + 1;
+    scheduleSave();
+}
+
+/**
+ * Record a request that may have been blocked (a webRequest.onErrorOccurred or onCompleted listener)
+ * @param {Object} details - webRequest request details
+ * @returns {Promise<boolean>} True if the hostname is newly recorded as failed for the tab
+ */
+export async function recordFailure({ tabId, url, error, ip }) {
+    if (tabId < 0) return false;
+    if (!BlockedRequest.ERRORS.includes(error) && !BlockedRequest.SINKHOLE_IPS.includes(ip)) return false;
+
+    const hostname = requestHostname(url);
+    const entry = (await loadTabHosts())[tabId];
+    if (!hostname || !entry || entry.failed[hostname]) return false;
+
+    Logger.info('pageHosts', 'Request failed, host may be blocked', { tabId, hostname, error, ip });
+    entry.failed[hostname] = error || `Resolved to ${ip}`;
+    scheduleSave();
+    return true;
+}
+
+/**
+ * Hostnames that failed to load in a tab since it last navigated
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Array<string>>}
+ */
+export async function getFailedHosts(tabId) {
+    const entry = (await loadTabHosts())[tabId];
+    return entry ? Object.keys(entry.failed) : [];
+}
+
+/**
+ * Stop counting hosts as failed (e.g. once they have been bypassed)
+ * @param {number} tabId - Tab ID
+ * @param {Array<string>} hostnames - Hostnames to clear
+ */
+export async function clearFailedHosts(tabId, hostnames) {
+    const entry = (await loadTabHosts())[tabId];
+    if (!entry) return;
+    hostnames.forEach(hostname => delete entry.failed[hostname]);
+    scheduleSave();
+}
+
+/**
+ * Forget a closed tab's hosts
+ * @param {number} tabId - Tab ID
+ */
+export async function forgetTab(tabId) {
+    const hosts = await loadTabHosts();
+    if (!hosts[tabId]) return;
+    delete hosts[tabId];
+    scheduleSave();
+}
+
+/**
+ * Hostnames a tab has contacted since it last navigated, the page's own host first,
+ * then the busiest hosts
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Array<{hostname: string, requests: number, isPage: boolean, failed: string|null}>>}
+ *   failed is the error of a request to the host that looked blocked
+ */
+export async function getPageHosts(tabId) {
+    const entry = (await loadTabHosts())[tabId];
+    if (!entry) return [];
+
+    return Object.entries(entry.hosts)
+        .map(([hostname, requests]) => ({
+            hostname,
+            requests,
+            isPage: hostname === entry.pageHost,
+            failed: entry.failed[hostname] || null
+        }))
+        .sort((a, b) => (b.isPage - a.isPage) || (b.requests - a.requests) || a.hostname.localeCompare(b.hostname));
+}
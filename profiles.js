@@ -0,0 +1,139 @@
+/**
+ * Control D Quick Switcher - Profiles
+ *
+ * Several named Control D profiles can be saved (e.g. "Work", "Kids", "Lab"). The default
+ * profile is the one kept in `profileId`, used wherever a single profile is needed (the rule
+ * index, badge and rules manager); new rules from the popup and shortcuts go to the profiles
+ * selected as targets, which may be "all".
+ *
+ * Temporary override records and their alarms are scoped to a profile, so expiring a rule on
+ * one profile never touches the others.
+ */
+
+import { StorageKeys } from './constants.js';
+
+/**
+ * Target selection meaning every saved profile
+ */
+export const ALL_PROFILES = 'all';
+
+// Separates the profile ID from the domain in a record scope (profile IDs never contain it)
+const SCOPE_SEPARATOR = '/';
+
+/**
+ * Load the saved profiles. Before named profiles existed only `profileId` was stored;
+ * it is presented as a profile called "Default".
+ * @returns {Promise<{profiles: Array<{id: string, name: string}>, defaultProfileId: string|null}>}
+ */
+export async function getProfiles() {
+    const stored = await chrome.storage.sync.get([StorageKeys.PROFILES, StorageKeys.PROFILE_ID]);
+    const profiles = stored[StorageKeys.PROFILES] || [];
+    const defaultProfileId = stored[StorageKeys.PROFILE_ID]?.trim() || null;
+
+    if (defaultProfileId && !profiles.some(profile => profile.id === defaultProfileId)) {
+        profiles.unshift({ id: defaultProfileId, name: 'Default' });
+    }
+    return { profiles, defaultProfileId };
+}
+
+/**
+ * Save the profile list and which profile is the default
+ * @param {Array<{id: string, name: string}>} profiles - Named profiles
+ * @param {string|null} defaultProfileId - Default profile (should be in the list)
+ */
+export async function saveProfiles(profiles, defaultProfileId) {
+    await chrome.storage.sync.set({ [StorageKeys.PROFILES]: profiles });
+    if (defaultProfileId) {
+        await chrome.storage.sync.set({ [StorageKeys.PROFILE_ID]: defaultProfileId });
+    } else {
+        await chrome.storage.sync.remove(StorageKeys.PROFILE_ID);
+    }
+}
+
+/**
+ * Load the saved target selection: profile IDs, or [ALL_PROFILES]
+ * @returns {Promise<Array<string>>}
+ */
+export async function getTargetSelection() {
+    const stored = await chrome.storage.sync.get([StorageKeys.TARGET_PROFILES]);
+    return stored[StorageKeys.TARGET_PROFILES] || [];
+}
+
+/**
+ * Save the target selection
+ * @param {Array<string>} selection - Profile IDs, or [ALL_PROFILES]
+ */
+export async function saveTargetSelection(selection) {
+    await chrome.storage.sync.set({ [StorageKeys.TARGET_PROFILES]: selection });
+}
+
+/**
+ * Resolve a target selection to profile IDs. Profiles that were deleted are dropped, and an
+ * empty selection falls back to the default profile.
+ * @param {Array<string>} selection - Profile IDs, or [ALL_PROFILES]
+ * @param {Array<{id: string, name: string}>} profiles - Saved profiles
+ * @param {string|null} defaultProfileId - Default profile
+ * @returns {Array<string>} Profile IDs to apply rules to
+ */
+export function resolveTargets(selection, profiles, defaultProfileId) {
+    if (selection.includes(ALL_PROFILES)) {
+        return profiles.map(profile => profile.id);
+    }
+    const ids = selection.filter(id => profiles.some(profile => profile.id === id));
+    if (ids.length > 0) return ids;
+    return defaultProfileId ? [defaultProfileId] : [];
+}
+
+/**
+ * Profile IDs that rules started outside the popup (menus, shortcuts, omnibox) apply to
+ * @returns {Promise<Array<string>>}
+ */
+export async function getTargetProfileIds() {
+    const [{ profiles, defaultProfileId }, selection] = await Promise.all([getProfiles(), getTargetSelection()]);
+    return resolveTargets(selection, profiles, defaultProfileId);
+}
+
+/**
+ * Name of a profile, falling back to its ID
+ * @param {Array<{id: string, name: string}>} profiles - Saved profiles
+ * @param {string} profileId - Profile ID
+ * @returns {string}
+ */
+export function getProfileName(profiles, profileId) {
+    return profiles.find(profile => profile.id === profileId)?.name || profileId;
+}
+
+/**
+ * Scope of a profile's override records for a domain (the suffix of their storage keys and alarm names)
+ * @param {string|null} profileId - Profile ID, or null for the default profile
+ * @param {string} domain - Hostname
+ * @returns {string} "<profileId>/<domain>", or the domain alone without a profile ID
+ */
+export function recordScope(profileId, domain) {
+    return profileId ? `${profileId}${SCOPE_SEPARATOR}${domain}` : domain;
+}
+
+/**
+ * Split a record scope back into its profile and domain
+ * @param {string} scope - Record scope (see recordScope)
+ * @returns {{profileId: string|null, domain: string}} profileId is null for unscoped (default profile) records
+ */
+export function parseRecordScope(scope) {
+    const separator = scope.indexOf(SCOPE_SEPARATOR);
+    if (separator === -1) {
+        return { profileId: null, domain: scope };
+    }
+    return { profileId: scope.substring(0, separator), domain: scope.substring(separator + 1) };
+}
+
+/**
+ * Describe a record scope for display, naming the profile when several are saved
+ * @param {string} scope - Record scope
+ * @param {Array<{id: string, name: string}>} profiles - Saved profiles
+ * @returns {string} e.g. "example.com" or "example.com (Work)"
+ */
+export function describeScope(scope, profiles) {
+    const { profileId, domain } = parseRecordScope(scope);
+    if (!profileId || profiles.length <= 1) return domain;
+    return `${domain} (${getProfileName(profiles, profileId)})`;
+}
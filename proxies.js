@@ -0,0 +1,245 @@
+/**
+ * Control D Quick Switcher - Proxy Helpers
+ *
+ * Reading, labelling, grouping and searching the proxy locations used by redirect rules, the
+ * cached proxy list shared by the popup and the extension pages, and the proxies the user has
+ * starred, used recently or last chose for each domain.
+ */
+
+import { Cache, Logger, StorageKeys, UI } from './constants.js';
+
+/**
+ * Get a proxy's ID from whichever field the API returned it in
+ * @param {Object} proxy - Proxy object as returned by the API
+ * @returns {string|undefined} Proxy ID
+ */
+export function getProxyId(proxy) {
+    return proxy.PK || proxy.uid || proxy.id || proxy.identifier ||
+        proxy._id || proxy.code || proxy.iata || proxy.proxy_id ||
+        proxy.proxyId || proxy.proxy;
+}
+
+/**
+ * Get a proxy's city name
+ * @param {Object} proxy - Proxy object as returned by the API
+ * @returns {string|undefined} City
+ */
+export function getProxyCity(proxy) {
+    return proxy.city || proxy.name || proxy.location || proxy.label || proxy.city_name;
+}
+
+/**
+ * Get a proxy's country name (or code, if that's all there is)
+ * @param {Object} proxy - Proxy object as returned by the API
+ * @returns {string|undefined} Country
+ */
+export function getProxyCountry(proxy) {
+    return proxy.country_name || proxy.country || proxy.countryName || proxy.country_code;
+}
+
+/**
+ * Build the display label for a proxy, e.g. "Los Angeles (US) - LAX"
+ * @param {Object} proxy - Proxy object as returned by the API
+ * @returns {string} Label
+ */
+export function formatProxyLabel(proxy) {
+    const proxyId = getProxyId(proxy);
+    if (!proxyId) return 'Unknown Proxy';
+
+    const city = getProxyCity(proxy);
+    const country = getProxyCountry(proxy);
+
+    if (city && country) {
+        return `${city} (${country}) - ${proxyId.toUpperCase()}`;
+    } else if (city) {
+        return `${city} - ${proxyId.toUpperCase()}`;
+    }
+    return proxyId.toUpperCase();
+}
+
+/**
+ * Read the cached proxy list, however old
+ * @returns {Promise<{proxies: Array<Object>|null, fresh: boolean}>} Cached proxies (null if none) and
+ *     whether they are younger than the cache TTL
+ */
+export async function getCachedProxies() {
+    const cached = await chrome.storage.local.get([Cache.PROXY_LIST_KEY, Cache.PROXY_LIST_TIMESTAMP_KEY]);
+    const proxies = cached[Cache.PROXY_LIST_KEY] || null;
+    const timestamp = cached[Cache.PROXY_LIST_TIMESTAMP_KEY];
+    return { proxies, fresh: !!proxies && !!timestamp && Date.now() - timestamp < Cache.PROXY_LIST_TTL };
+}
+
+/**
+ * Fetch the proxy list and cache it. Proxies that were cached before but are missing now are
+ * remembered as retired, with their location, so a replacement in the same country can be offered.
+ * An empty list is never cached.
+ * @param {ControlDClient} client - API client
+ * @returns {Promise<Object>} The API result ({ success, status, data?, error? })
+ */
+export async function refreshProxyList(client) {
+    const result = await client.listProxies();
+    if (!result.success || result.data.length === 0) {
+        Logger.warn('refreshProxyList', 'Could not fetch proxies', { status: result.status, error: result.error });
+        return result;
+    }
+
+    const stored = await chrome.storage.local.get([Cache.PROXY_LIST_KEY, Cache.RETIRED_PROXIES_KEY]);
+    const live = new Set(result.data.map(getProxyId));
+    const retired = { ...(stored[Cache.RETIRED_PROXIES_KEY] || {}) };
+    (stored[Cache.PROXY_LIST_KEY] || []).forEach((proxy) => {
+        const proxyId = getProxyId(proxy);
+        if (proxyId && !live.has(proxyId)) {
+            retired[proxyId] = { country: getProxyCountry(proxy) || null, label: formatProxyLabel(proxy) };
+        }
+    });
+    live.forEach(proxyId => delete retired[proxyId]);
+
+    await chrome.storage.local.set({
+        [Cache.PROXY_LIST_KEY]: result.data,
+        [Cache.PROXY_LIST_TIMESTAMP_KEY]: Date.now(),
+        [Cache.RETIRED_PROXIES_KEY]: retired
+    });
+    Logger.info('refreshProxyList', 'Proxy list refreshed', { count: result.data.length, retired: Object.keys(retired) });
+    return result;
+}
+
+/**
+ * Get the proxy list, stale-while-revalidate: a cached list is returned straight away (and
+ * refreshed in the background once it is past its TTL); only a cold cache waits for the API
+ * @param {ControlDClient} client - API client
+ * @returns {Promise<Array<Object>>} Proxy objects (empty if unavailable)
+ */
+export async function getProxyList(client) {
+    const { proxies, fresh } = await getCachedProxies();
+    if (proxies) {
+        if (!fresh) refreshProxyList(client);
+        return proxies;
+    }
+
+    const result = await refreshProxyList(client);
+    return result.success ? result.data : [];
+}
+
+/**
+ * Whether a proxy has dropped off the cached proxy list (unknown while there is no list)
+ * @param {string|null} proxyId - Proxy ID
+ * @returns {Promise<boolean>}
+ */
+export async function isProxyRetired(proxyId) {
+    const { proxies } = await getCachedProxies();
+    return !!proxyId && !!proxies?.length && !proxies.some(proxy => getProxyId(proxy) === proxyId);
+}
+
+/**
+ * Suggest a live proxy to use instead of one that no longer exists
+ * @param {string} proxyId - Retired proxy ID
+ * @param {Array<Object>} proxies - Current proxy list
+ * @param {Object} retired - Retired proxies ({ [proxyId]: { country, label } })
+ * @returns {Object|null} A proxy in the same country, or null if its country is unknown or has none left
+ */
+export function findReplacementProxy(proxyId, proxies, retired) {
+    const country = retired[proxyId]?.country;
+    if (!country) return null;
+    const candidates = groupProxiesByCountry(proxies).find(group => group.country === country);
+    return candidates ? candidates.proxies[0] : null;
+}
+
+/**
+ * Group proxies by country, countries and cities in alphabetical order
+ * @param {Array<Object>} proxies - Proxy objects as returned by the API
+ * @returns {Array<{country: string, proxies: Array<Object>}>} Groups (proxies without an ID are left out)
+ */
+export function groupProxiesByCountry(proxies) {
+    const groups = new Map();
+    proxies.filter(getProxyId).forEach((proxy) => {
+        const country = getProxyCountry(proxy) || 'Other';
+        if (!groups.has(country)) groups.set(country, []);
+        groups.get(country).push(proxy);
+    });
+
+    const byLabel = (a, b) => formatProxyLabel(a).localeCompare(formatProxyLabel(b));
+    return [...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([country, members]) => ({ country, proxies: members.sort(byLabel) }));
+}
+
+/**
+ * Whether a proxy matches a search: every word must appear in its city, country or ID
+ * @param {Object} proxy - Proxy object as returned by the API
+ * @param {string} query - Search text (e.g. "los angeles", "germany" or "lax")
+ * @returns {boolean}
+ */
+export function proxyMatches(proxy, query) {
+    const haystack = [getProxyCity(proxy), getProxyCountry(proxy), proxy.country_code, getProxyId(proxy)]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+/**
+ * Load the starred proxies
+ * @returns {Promise<Array<string>>} Proxy IDs, newest first (the favourite set before starring existed, if any)
+ */
+export async function getStarredProxies() {
+    const stored = await chrome.storage.sync.get([StorageKeys.STARRED_PROXIES, StorageKeys.FAVOURITE_PROXY]);
+    const favourite = stored[StorageKeys.FAVOURITE_PROXY];
+    return stored[StorageKeys.STARRED_PROXIES] || (favourite ? [favourite] : []);
+}
+
+/**
+ * Save the starred proxies; the newest becomes the favourite the context menu redirects via
+ * @param {Array<string>} proxyIds - Proxy IDs, newest first
+ */
+export async function saveStarredProxies(proxyIds) {
+    await chrome.storage.sync.set({ [StorageKeys.STARRED_PROXIES]: proxyIds });
+    if (proxyIds.length > 0) {
+        await chrome.storage.sync.set({ [StorageKeys.FAVOURITE_PROXY]: proxyIds[0] });
+    } else {
+        await chrome.storage.sync.remove(StorageKeys.FAVOURITE_PROXY);
+    }
+}
+
+/**
+ * Load the proxies used most recently for redirects
+ * @returns {Promise<Array<string>>} Proxy IDs, newest first
+ */
+export async function getRecentProxies() {
+    const stored = await chrome.storage.local.get([StorageKeys.RECENT_PROXIES]);
+    return stored[StorageKeys.RECENT_PROXIES] || [];
+}
+
+/**
+ * The proxy last chosen for a domain
+ * @param {string} domain - Hostname
+ * @returns {Promise<string|null>} Proxy ID, or null if none was chosen yet
+ */
+export async function getDomainProxy(domain) {
+    const stored = await chrome.storage.local.get([StorageKeys.DOMAIN_PROXIES]);
+    return (stored[StorageKeys.DOMAIN_PROXIES] || {})[domain] || null;
+}
+
+/**
+ * Note that a domain was redirected via a proxy, for the recents and the domain's preselection.
+ * Only the most recently used domains are kept.
+ * @param {string} domain - Hostname
+ * @param {string} proxyId - Proxy ID
+ */
+export async function rememberProxyUse(domain, proxyId) {
+    const stored = await chrome.storage.local.get([StorageKeys.RECENT_PROXIES, StorageKeys.DOMAIN_PROXIES]);
+    const recents = [proxyId, ...(stored[StorageKeys.RECENT_PROXIES] || []).filter(id => id !== proxyId)]
+        .slice(0, UI.RECENT_PROXIES_LIMIT);
+
+    // Re-inserted so the object's key order runs from least to most recently used
+    const domains = { ...(stored[StorageKeys.DOMAIN_PROXIES] || {}) };
+    delete domains[domain];
+    domains[domain] = proxyId;
+    Object.keys(domains)
+        .slice(0, Math.max(0, Object.keys(domains).length - UI.DOMAIN_PROXIES_LIMIT))
+        .forEach(key => delete domains[key]);
+
+    await chrome.storage.local.set({
+        [StorageKeys.RECENT_PROXIES]: recents,
+        [StorageKeys.DOMAIN_PROXIES]: domains
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * Control D Quick Switcher - Retry Queue
+ *
+ * Persisted queue of background operations (expire / re-apply) that failed when their alarm
+ * fired. Jobs are retried with exponential backoff on the retry alarm, and immediately when the
+ * browser comes back online. Jobs that keep failing are marked failed and kept for the user to
+ * see in the dashboard instead of being dropped.
+ */
+
+import {
+    AlarmName,
+    HttpStatus,
+    JobStatus,
+    Logger,
+    Retry,
+    StorageKeys
+} from './constants.js';
+
+// Serialises every read-modify-write of the queue
+let queueLock = Promise.resolve();
+
+/**
+ * Run a function with exclusive access to the queue
+ * @param {Function} fn - Receives the job list and returns the list to save
+ * @returns {Promise<Array<Object>>} Saved job list
+ */
+function withQueue(fn) {
+    const run = queueLock.then(async () => {
+        const stored = await chrome.storage.local.get([StorageKeys.RETRY_QUEUE]);
+        const jobs = await fn(stored[StorageKeys.RETRY_QUEUE] || []);
+        await chrome.storage.local.set({ [StorageKeys.RETRY_QUEUE]: jobs });
+        await scheduleNextAttempt(jobs);
+        return jobs;
+    });
+    queueLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Record scope a job acts on (jobs queued before profiles existed only carry the domain)
+ * @param {Object} job - Queued job
+ * @returns {string}
+ */
+function jobScope(job) {
+    return job.scope || job.domain;
+}
+
+/**
+ * Whether a failed API result is worth retrying (network error, rate limit or server error)
+ * @param {Object} result - Result from ControlDClient
+ * @returns {boolean}
+ */
+export function isRetryable(result) {
+    return result.status === 0 || result.status === 429 || result.status >= HttpStatus.INTERNAL_SERVER_ERROR;
+}
+
+/**
+ * Delay before the next attempt, doubling with every attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+    const minutes = Math.min(Retry.BASE_DELAY_MINUTES * 2 ** (attempts - 1), Retry.MAX_DELAY_MINUTES);
+    return minutes * 60 * 1000;
+}
+
+/**
+ * Point the retry alarm at the earliest pending job, or clear it if nothing is pending
+ * @param {Array<Object>} jobs - Current job list
+ */
+async function scheduleNextAttempt(jobs) {
+    const pending = jobs.filter(job => job.status === JobStatus.PENDING);
+    if (pending.length === 0) {
+        await chrome.alarms.clear(AlarmName.RETRY_QUEUE);
+        return;
+    }
+    const when = Math.max(Math.min(...pending.map(job => job.nextAttemptAt)), Date.now() + 1000);
+    await chrome.alarms.create(AlarmName.RETRY_QUEUE, { when });
+}
+
+/**
+ * Record the outcome of an attempt on a job
+ * @param {Object} job - Job that was attempted
+ * @param {Object} result - Result of the attempt
+ * @returns {Object} Updated job
+ */
+function recordFailure(job, result) {
+    const attempts = (job.attempts || 0) + 1;
+    const giveUp = !isRetryable(result) || attempts >= Retry.MAX_ATTEMPTS;
+
+    return {
+        ...job,
+        attempts,
+        status: giveUp ? JobStatus.FAILED : JobStatus.PENDING,
+        nextAttemptAt: giveUp ? null : Date.now() + backoffDelay(attempts),
+        lastError: result.error || `HTTP ${result.status}`,
+        lastAttemptAt: Date.now()
+    };
+}
+
+/**
+ * Queue a failed operation for retry. A newer job for the same domain on the same profile
+ * supersedes older ones, since only the latest intended state of a domain should be applied.
+ * @param {Object} job - { type: JobType, scope, domain, ...operation data }
+ * @param {Object} result - Failed result of the first attempt
+ */
+export async function enqueueJob(job, result) {
+    const queued = recordFailure({
+        ...job,
+        id: `${job.type}_${jobScope(job)}_${Date.now()}`,
+        createdAt: Date.now(),
+        attempts: 0
+    }, result);
+
+    Logger.warn('RetryQueue', queued.status === JobStatus.FAILED ? 'Operation failed, not retryable' : 'Operation queued for retry', {
+        type: job.type,
+        domain: job.domain,
+        error: queued.lastError,
+        nextAttemptAt: queued.nextAttemptAt
+    });
+
+    await withQueue(jobs => [...jobs.filter(existing => jobScope(existing) !== jobScope(job)), queued]);
+}
+
+/**
+ * Attempt queued jobs
+ * @param {Function} executeJob - Runs a job and resolves to a ControlDClient-style result
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Attempt every pending job, not only those that are due
+ * @param {string} [options.id] - Only attempt this job (pending or failed)
+ */
+export async function processQueue(executeJob, { force = false, id = null } = {}) {
+    await withQueue(async (jobs) => {
+        const now = Date.now();
+        const next = [];
+
+        for (const job of jobs) {
+            const selected = id
+                ? job.id === id
+                : job.status === JobStatus.PENDING && (force || job.nextAttemptAt <= now);
+
+            if (!selected) {
+                next.push(job);
+                continue;
+            }
+
+            const result = await executeJob(job);
+            if (result.success) {
+                Logger.info('RetryQueue', 'Queued operation succeeded', { type: job.type, domain: job.domain, attempts: job.attempts + 1 });
+                continue;
+            }
+
+            // A manual retry of a failed job gets a fresh set of attempts
+            const updated = recordFailure(id ? { ...job, attempts: 0 } : job, result);
+            Logger.warn('RetryQueue', 'Queued operation failed', {
+                type: job.type,
+                domain: job.domain,
+                attempts: updated.attempts,
+                status: updated.status,
+                error: updated.lastError
+            });
+            next.push(updated);
+        }
+
+        return next;
+    });
+}
+
+/**
+ * Rewrite queued jobs in place, e.g. to point a restore at a different proxy
+ * @param {Function} update - Receives a job and returns it, changed or not
+ */
+export async function updateJobs(update) {
+    await withQueue(jobs => jobs.map(update));
+}
+
+/**
+ * Drop a job from the queue without running it
+ * @param {string} id - Job ID
+ */
+export async function dismissJob(id) {
+    await withQueue(jobs => jobs.filter(job => job.id !== id));
+}
@@ -0,0 +1,111 @@
+/**
+ * Control D Quick Switcher - Quick Actions
+ *
+ * Rule changes started from the service worker without the popup: context menus, keyboard
+ * shortcuts and the omnibox. They apply rules through applyRule(), like the popup, to the profiles
+ * last selected as targets in the popup, and report failures on the toolbar badge since there is
+ * no page to show a message on.
+ */
+
+import {
+    ErrorMessages,
+    Logger,
+    Patterns,
+    RuleAction,
+    UI
+} from './constants.js';
+import { ControlDClient } from './api.js';
+import { isValidSpoofTarget } from './domains.js';
+import { applyRule, findExactRule, snapshotRule } from './overrides.js';
+import { getProfileName, getProfiles, getTargetProfileIds } from './profiles.js';
+import { isProxyRetired } from './proxies.js';
+
+/**
+ * Hostname of a web page URL
+ * @param {string} url - Page or link URL
+ * @returns {string|null} Hostname, or null for non-web URLs
+ */
+export function getWebHostname(url) {
+    try {
+        const parsed = new URL(url || '');
+        if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+            return parsed.hostname;
+        }
+    } catch (e) {
+        // Not a parsable URL
+    }
+    return null;
+}
+
+/**
+ * Flag a failed quick action on the tab's badge; the next badge update clears it
+ * @param {chrome.tabs.Tab} tab - Tab the action was started from
+ * @param {string} message - Error to show in the tooltip
+ */
+export async function reportFailure(tab, message) {
+    if (!tab || tab.id === undefined) return;
+    await chrome.action.setBadgeText({ tabId: tab.id, text: '!' });
+    await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: UI.STATUS_COLORS.ACTIVE });
+    await chrome.action.setTitle({ tabId: tab.id, title: `Control D: ${message}` });
+}
+
+/**
+ * Set a rule on a hostname on each target profile, snapshotting the rule it replaces on that
+ * profile so a temporary one restores it
+ * @param {string|null} hostname - Hostname to set the rule on
+ * @param {Object} rule
+ * @param {number} rule.action - Rule action
+ * @param {string|null} [rule.via] - Proxy ID for redirect rules, or the target of spoof rules
+ * @param {number} [rule.duration] - Minutes until the rule expires (0 for permanent)
+ * @returns {Promise<Object>} Result ({ success, status, error? }); when any profile failed, the error names
+ *     each profile that did
+ */
+export async function applyQuickRule(hostname, { action, via = null, duration = 0 }) {
+    if (!hostname || !Patterns.DOMAIN.test(hostname)) {
+        return { success: false, status: null, error: ErrorMessages.NO_DOMAIN };
+    }
+    if (action === RuleAction.REDIRECT && !via) {
+        return { success: false, status: null, error: ErrorMessages.MISSING_PROXY };
+    }
+    // A favourite or typed proxy may have dropped off the proxy list since it was picked
+    if (action === RuleAction.REDIRECT && await isProxyRetired(via)) {
+        return { success: false, status: null, error: `${ErrorMessages.RETIRED_PROXY} (${via.toUpperCase()})` };
+    }
+    if (action === RuleAction.SPOOF && !isValidSpoofTarget(via)) {
+        return { success: false, status: null, error: via ? ErrorMessages.INVALID_SPOOF_TARGET : ErrorMessages.MISSING_SPOOF_TARGET };
+    }
+
+    const profileIds = await getTargetProfileIds();
+    if (profileIds.length === 0) {
+        return { success: false, status: null, error: ErrorMessages.MISSING_CREDENTIALS };
+    }
+
+    // Every profile needs credentials before any is changed, so a rule is never left half applied
+    const clients = await Promise.all(profileIds.map(profileId => ControlDClient.fromStorage(profileId)));
+    if (clients.some(client => !client)) {
+        return { success: false, status: null, error: ErrorMessages.MISSING_CREDENTIALS };
+    }
+
+    Logger.info('applyQuickRule', 'Applying rule', { hostname, action, via, duration, profileIds });
+
+    const failures = [];
+    let applied = null;
+    for (const client of clients) {
+        const previous = duration > 0 ? snapshotRule(await findExactRule(client, hostname), hostname) : null;
+        const result = await applyRule(client, hostname, { action, via, duration, previous });
+        if (result.success) {
+            applied ||= result;
+        } else {
+            failures.push({ profileId: client.profileId, result });
+        }
+    }
+
+    if (failures.length === 0) return applied;
+    if (clients.length === 1) return failures[0].result;
+
+    // Name each profile that failed, like the popup does
+    const { profiles } = await getProfiles();
+    const details = failures.map(({ profileId, result }) => `${getProfileName(profiles, profileId)} (${result.error || ErrorMessages.API_ERROR})`);
+    Logger.warn('applyQuickRule', 'Rule not applied on every profile', { hostname, failures: failures.length, applied: !!applied });
+    return { success: false, status: failures[0].result.status, error: `Failed on ${details.join(', ')}` };
+}
@@ -0,0 +1,111 @@
+/**
+ * Control D Quick Switcher - Rule Index
+ *
+ * Cached copy of the profile's custom rules, keyed by hostname, so rule status can be looked up
+ * without an API request per hostname. The service worker syncs the full rule list periodically;
+ * it is also refreshed on demand when older than Cache.RULE_INDEX_TTL or belonging to a different
+ * profile, and patched entry by entry after every apply or remove.
+ */
+
+import { Cache, Logger } from './constants.js';
+import { ControlDClient } from './api.js';
+import { getDomainVariations } from './domains.js';
+
+// Refresh in flight, shared so concurrent callers don't fetch the rule list twice
+let pendingRefresh = null;
+
+/**
+ * Fetch the full rule list for the profile and store it as the index
+ * @returns {Promise<Object|null>} The new index, or null if it could not be fetched
+ */
+export function refreshRuleIndex() {
+    if (pendingRefresh) return pendingRefresh;
+
+    pendingRefresh = (async () => {
+        const client = await ControlDClient.fromStorage();
+        if (!client) return null;
+
+        const result = await client.listRules();
+        if (!result.success) {
+            Logger.warn('refreshRuleIndex', 'Could not fetch rules', { status: result.status, error: result.error });
+            return null;
+        }
+
+        const rules = {};
+        for (const rule of result.data) {
+            rules[rule.hostname] = { action: rule.action, via: rule.via };
+        }
+
+        const index = { profileId: client.profileId, rules, syncedAt: Date.now() };
+        await chrome.storage.local.set({ [Cache.RULE_INDEX_KEY]: index });
+        Logger.info('refreshRuleIndex', 'Rule index refreshed', { count: result.data.length });
+        return index;
+    })().finally(() => {
+        pendingRefresh = null;
+    });
+
+    return pendingRefresh;
+}
+
+/**
+ * Get the rule index, refreshing it in the background when it is stale.
+ * A stale index is still returned so callers can answer immediately.
+ * @returns {Promise<Object|null>} Index ({ profileId, rules, syncedAt }), or null if none is available yet
+ */
+export async function getRuleIndex() {
+    const [stored, credentials] = await Promise.all([
+        chrome.storage.local.get([Cache.RULE_INDEX_KEY]),
+        chrome.storage.sync.get(['profileId'])
+    ]);
+    const index = stored[Cache.RULE_INDEX_KEY];
+
+    if (!index || index.profileId !== credentials.profileId?.trim()) {
+        return refreshRuleIndex();
+    }
+
+    if (Date.now() - index.syncedAt > Cache.RULE_INDEX_TTL) {
+        refreshRuleIndex();
+    }
+    return index;
+}
+
+/**
+ * Patch index entries after a rule change, without waiting for the next full sync
+ * @param {Array<string>} hostnames - Hostnames whose rule changed
+ * @param {{action: number, via: string|null}|null} rule - New rule, or null if it was removed
+ * @param {string|null} [profileId] - Profile the rule changed on; changes on other profiles leave the index alone
+ */
+export async function updateIndexEntries(hostnames, rule, profileId = null) {
+    const stored = await chrome.storage.local.get([Cache.RULE_INDEX_KEY]);
+    const index = stored[Cache.RULE_INDEX_KEY];
+    if (!index || (profileId && index.profileId !== profileId)) return;
+
+    for (const hostname of hostnames) {
+        if (rule) {
+            index.rules[hostname] = { action: rule.action, via: rule.via || null };
+        } else {
+            delete index.rules[hostname];
+        }
+    }
+
+    await chrome.storage.local.set({ [Cache.RULE_INDEX_KEY]: index });
+}
+
+/**
+ * Find the rule for a hostname, checking its www variant, registrable domain and wildcard too
+ * (most specific first)
+ * @param {Object|null} index - Rule index
+ * @param {string} hostname - Hostname to look up
+ * @returns {{hostname: string, action: number|null, via: string|null}|null} Matched rule, or null
+ */
+export function lookupRule(index, hostname) {
+    if (!index || !hostname) return null;
+
+    for (const variation of getDomainVariations(hostname)) {
+        const rule = index.rules[variation];
+        if (rule) {
+            return { hostname: variation, ...rule };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,371 @@
+/**
+ * Control D Quick Switcher - Schedule Editor
+ *
+ * Lists the recurring schedules with whether each is active now or when it next starts, and
+ * edits them: hostnames, the rule to set, days of the week, the time window and the profiles it
+ * applies to. Schedules are only saved here; the service worker notices the change and turns
+ * their rules on or off to match.
+ */
+
+import {
+    ErrorMessages,
+    Logger,
+    RuleAction,
+    RuleActionLabels,
+    StorageKeys,
+    UI,
+    WeekdayLabels
+} from './constants.js';
+import { ControlDClient, describeRule, ruleVia } from './api.js';
+import {
+    ALL_PROFILES,
+    getProfiles,
+    getTargetSelection,
+    resolveTargets
+} from './profiles.js';
+import { formatProxyLabel, getProxyId, getProxyList } from './proxies.js';
+import {
+    createScheduleId,
+    describeDays,
+    getActiveWindow,
+    getNextWindowStart,
+    getSchedules,
+    parseHostnames,
+    saveSchedules,
+    validateSchedule
+} from './schedules.js';
+
+// Days listed Monday first
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    Logger.info('Schedules', 'Schedule editor opened');
+
+    const views = {
+        newBtn: document.getElementById('newScheduleBtn'),
+        rows: document.getElementById('scheduleRows'),
+        empty: document.getElementById('emptyState'),
+        editor: document.getElementById('editorSection'),
+        editorTitle: document.getElementById('editorTitle'),
+        name: document.getElementById('nameInput'),
+        hostnames: document.getElementById('hostnamesInput'),
+        action: document.getElementById('actionSelect'),
+        proxy: document.getElementById('proxySelect'),
+        target: document.getElementById('targetInput'),
+        days: document.getElementById('dayList'),
+        start: document.getElementById('startInput'),
+        end: document.getElementById('endInput'),
+        windowHint: document.getElementById('windowHint'),
+        profilesSection: document.getElementById('profilesSection'),
+        profileList: document.getElementById('profileList'),
+        saveBtn: document.getElementById('saveScheduleBtn'),
+        cancelBtn: document.getElementById('cancelEditBtn'),
+        message: document.getElementById('message')
+    };
+
+    let schedules = [];
+    let profiles = [];
+    let defaultProfileId = null;
+    let proxies = [];
+    let editingId = null;   // Schedule being edited, or null for a new one
+
+    Object.entries(RuleActionLabels).forEach(([value, label]) => {
+        views.action.appendChild(new Option(label, value));
+    });
+
+    DAY_ORDER.forEach((day) => {
+        const label = document.createElement('label');
+        label.className = 'profile-target';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'checkbox';
+        checkbox.value = day;
+        label.append(checkbox, WeekdayLabels[day]);
+        views.days.appendChild(label);
+    });
+
+    /**
+     * Fill the proxy select with the proxy list
+     * @param {string|null} selectedId - Proxy ID to preselect
+     */
+    function fillProxySelect(selectedId) {
+        views.proxy.innerHTML = '';
+        views.proxy.appendChild(new Option('Select Proxy Location', ''));
+        proxies.forEach((proxy) => {
+            const proxyId = getProxyId(proxy);
+            if (proxyId) views.proxy.appendChild(new Option(formatProxyLabel(proxy), proxyId));
+        });
+        // Keep an unknown proxy visible rather than silently dropping it
+        if (selectedId && ![...views.proxy.options].some(option => option.value === selectedId)) {
+            views.proxy.appendChild(new Option(selectedId.toUpperCase(), selectedId));
+        }
+        views.proxy.value = selectedId || '';
+    }
+
+    /**
+     * Show the profile checkboxes for a selection ("All" disables the others)
+     * @param {Array<string>} selection - Profile IDs, or [ALL_PROFILES]
+     */
+    function renderProfiles(selection) {
+        views.profileList.innerHTML = '';
+        views.profilesSection.classList.toggle('hidden', profiles.length <= 1);
+
+        const allSelected = selection.includes(ALL_PROFILES);
+        const targets = resolveTargets(selection, profiles, defaultProfileId);
+
+        [{ id: ALL_PROFILES, name: 'All' }, ...profiles].forEach((option) => {
+            const label = document.createElement('label');
+            label.className = 'profile-target';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'checkbox';
+            checkbox.value = option.id;
+            if (option.id === ALL_PROFILES) {
+                checkbox.checked = allSelected;
+            } else {
+                checkbox.checked = allSelected || targets.includes(option.id);
+                checkbox.disabled = allSelected;
+            }
+            checkbox.addEventListener('change', () => renderProfiles(readProfiles()));
+
+            label.append(checkbox, option.name);
+            views.profileList.appendChild(label);
+        });
+    }
+
+    /**
+     * Profile selection ticked in the editor
+     * @returns {Array<string>} Profile IDs, or [ALL_PROFILES]
+     */
+    function readProfiles() {
+        const checked = [...views.profileList.querySelectorAll('input:checked')].map(input => input.value);
+        return checked.includes(ALL_PROFILES) ? [ALL_PROFILES] : checked;
+    }
+
+    function updateViaInputs() {
+        const action = parseInt(views.action.value);
+        views.proxy.classList.toggle('hidden', action !== RuleAction.REDIRECT);
+        views.target.classList.toggle('hidden', action !== RuleAction.SPOOF);
+    }
+
+    function updateWindowHint() {
+        const overnight = views.start.value && views.end.value && views.end.value <= views.start.value;
+        views.windowHint.textContent = overnight ? 'Runs overnight, ending the next day' : '';
+    }
+
+    /**
+     * Format a time as day and clock time
+     * @param {Date} date - Time
+     * @returns {string} e.g. "Mon 09:00"
+     */
+    function formatWhen(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${WeekdayLabels[date.getDay()]} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Describe whether a schedule is running
+     * @param {Object} schedule - Schedule
+     * @returns {string} e.g. "Active until Fri 17:00", "Next: Mon 09:00" or "Disabled"
+     */
+    function describeStatus(schedule) {
+        if (!schedule.enabled) return 'Disabled';
+        const active = getActiveWindow(schedule);
+        if (active) return `Active until ${formatWhen(active.end)}`;
+        const next = getNextWindowStart(schedule);
+        return next ? `Next: ${formatWhen(next)}` : '-';
+    }
+
+    function createButton(text, className, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await onClick();
+            } finally {
+                button.disabled = false;
+            }
+        });
+        return button;
+    }
+
+    function render() {
+        views.rows.innerHTML = '';
+        views.empty.classList.toggle('hidden', schedules.length > 0);
+
+        schedules.forEach((schedule) => {
+            const row = document.createElement('tr');
+
+            const cells = [
+                schedule.name || '-',
+                schedule.hostnames.join(', '),
+                describeRule(schedule.action, schedule.via),
+                `${describeDays(schedule.days)}, ${schedule.start}-${schedule.end}`,
+                describeStatus(schedule)
+            ];
+            cells.forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'row-actions';
+            actions.appendChild(createButton('Edit', 'btn-small', () => openEditor(schedule)));
+            actions.appendChild(createButton(schedule.enabled ? 'Disable' : 'Enable', 'btn-small', () =>
+                updateSchedules(schedules.map(existing => existing.id === schedule.id
+                    ? { ...existing, enabled: !existing.enabled }
+                    : existing))
+            ));
+            actions.appendChild(createButton('Delete', 'btn-small btn-small-danger', async () => {
+                if (!confirm(`Delete the schedule for ${schedule.hostnames.join(', ')}? Rules it has set now are reverted.`)) return;
+                await updateSchedules(schedules.filter(existing => existing.id !== schedule.id));
+            }));
+            row.appendChild(actions);
+
+            views.rows.appendChild(row);
+        });
+    }
+
+    /**
+     * Open the editor on a schedule, or on a new one
+     * @param {Object|null} schedule - Schedule to edit, or null
+     */
+    async function openEditor(schedule) {
+        editingId = schedule ? schedule.id : null;
+        views.editorTitle.textContent = schedule ? 'Edit Schedule' : 'New Schedule';
+        views.name.value = schedule ? schedule.name : '';
+        views.hostnames.value = schedule ? schedule.hostnames.join('\n') : '';
+        views.action.value = schedule ? schedule.action : RuleAction.BLOCK;
+        fillProxySelect(schedule?.action === RuleAction.REDIRECT ? schedule.via : null);
+        views.target.value = schedule?.action === RuleAction.SPOOF ? schedule.via : '';
+
+        const days = schedule ? schedule.days : [1, 2, 3, 4, 5];
+        views.days.querySelectorAll('input').forEach((checkbox) => {
+            checkbox.checked = days.includes(parseInt(checkbox.value));
+        });
+        views.start.value = schedule ? schedule.start : '09:00';
+        views.end.value = schedule ? schedule.end : '17:00';
+        renderProfiles(schedule ? schedule.profiles : await getTargetSelection());
+
+        updateViaInputs();
+        updateWindowHint();
+        views.editor.classList.remove('hidden');
+        views.hostnames.focus();
+    }
+
+    function closeEditor() {
+        editingId = null;
+        views.editor.classList.add('hidden');
+    }
+
+    /**
+     * Read the schedule in the editor
+     * @returns {Object} Schedule (not yet validated)
+     */
+    function readSchedule() {
+        const action = parseInt(views.action.value);
+        let via = null;
+        if (action === RuleAction.REDIRECT) via = views.proxy.value || null;
+        else if (action === RuleAction.SPOOF) via = views.target.value.trim() || null;
+
+        const existing = schedules.find(schedule => schedule.id === editingId);
+        return {
+            id: editingId || createScheduleId(),
+            name: views.name.value.trim(),
+            hostnames: parseHostnames(views.hostnames.value),
+            action,
+            via: ruleVia(action, via),
+            days: [...views.days.querySelectorAll('input:checked')].map(input => parseInt(input.value)),
+            start: views.start.value,
+            end: views.end.value,
+            profiles: profiles.length > 1 ? readProfiles() : [],
+            enabled: existing ? existing.enabled : true
+        };
+    }
+
+    /**
+     * Save the schedule list and show it
+     * @param {Array<Object>} updated - Schedules to keep
+     */
+    async function updateSchedules(updated) {
+        try {
+            await saveSchedules(updated);
+        } catch (error) {
+            Logger.error('Schedules', 'Failed to save schedules', { error: error.message });
+            showMessage(error.message, 'text-red-300');
+            return false;
+        }
+        schedules = updated;
+        render();
+        return true;
+    }
+
+    async function saveEditor() {
+        const schedule = readSchedule();
+        const error = validateSchedule(schedule);
+        if (error) {
+            showMessage(error, 'text-red-300');
+            return;
+        }
+
+        const updated = editingId
+            ? schedules.map(existing => existing.id === editingId ? schedule : existing)
+            : [...schedules, schedule];
+
+        Logger.info('Schedules', 'Saving schedule', { id: schedule.id, hostnames: schedule.hostnames });
+        if (await updateSchedules(updated)) {
+            closeEditor();
+            showMessage('Schedule saved', 'text-emerald-300');
+        }
+    }
+
+    function showMessage(text, colorClass) {
+        views.message.textContent = text;
+        views.message.className = `text-center text-xs font-bold ${colorClass}`;
+        setTimeout(() => {
+            views.message.textContent = '';
+            views.message.className = 'text-center text-xs font-bold';
+        }, UI.MESSAGE_TIMEOUT);
+    }
+
+    // Event Listeners
+    views.newBtn.addEventListener('click', () => openEditor(null));
+    views.cancelBtn.addEventListener('click', closeEditor);
+    views.saveBtn.addEventListener('click', async () => {
+        views.saveBtn.disabled = true;
+        try {
+            await saveEditor();
+        } finally {
+            views.saveBtn.disabled = false;
+        }
+    });
+    views.action.addEventListener('change', updateViaInputs);
+    views.start.addEventListener('input', updateWindowHint);
+    views.end.addEventListener('input', updateWindowHint);
+
+    // Schedules edited on another device arrive through sync storage
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'sync' || !changes[StorageKeys.SCHEDULES]) return;
+        schedules = changes[StorageKeys.SCHEDULES].newValue || [];
+        render();
+    });
+
+    // Statuses move on as windows open and close
+    setInterval(render, 60 * 1000);
+
+    // Initial load
+    ({ profiles, defaultProfileId } = await getProfiles());
+    schedules = await getSchedules();
+    render();
+
+    const client = await ControlDClient.fromStorage();
+    if (client) {
+        proxies = await getProxyList(client);
+    } else {
+        showMessage(ErrorMessages.MISSING_CREDENTIALS, 'text-red-300');
+    }
+});
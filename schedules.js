@@ -0,0 +1,178 @@
+/**
+ * Control D Quick Switcher - Recurring Schedules
+ *
+ * A schedule sets a rule on some hostnames during a daily time window on chosen days of the
+ * week (e.g. block social media 09:00-17:00 on weekdays); a window whose end is not after its
+ * start runs overnight into the next day. Schedules are kept in sync storage and carried out by
+ * the service worker, which applies each window's rules as temporary overrides ending with the
+ * window, so the usual expiry restores whatever was set before.
+ *
+ * Windows are worked out on local dates from the clock times, so they follow daylight saving
+ * changes and whatever timezone the browser is in when they are checked.
+ */
+
+import {
+    ErrorMessages,
+    Patterns,
+    RuleAction,
+    StorageKeys,
+    WeekdayLabels
+} from './constants.js';
+import { isValidSpoofTarget } from './domains.js';
+import { parseTimeOfDay } from './durations.js';
+
+// Days ahead searched for the next window (a full week, plus today)
+const WEEK_DAYS = 7;
+
+/**
+ * Load the saved schedules
+ * @returns {Promise<Array<Object>>} Schedules ({ id, name, hostnames, action, via, days, start, end, profiles, enabled })
+ */
+export async function getSchedules() {
+    const stored = await chrome.storage.sync.get([StorageKeys.SCHEDULES]);
+    return stored[StorageKeys.SCHEDULES] || [];
+}
+
+/**
+ * Save the schedules; the service worker picks up the change and reconciles them
+ * @param {Array<Object>} schedules - Schedules to keep
+ */
+export async function saveSchedules(schedules) {
+    await chrome.storage.sync.set({ [StorageKeys.SCHEDULES]: schedules });
+}
+
+/**
+ * Make an ID for a new schedule
+ * @returns {string}
+ */
+export function createScheduleId() {
+    return `s${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+}
+
+/**
+ * Split typed hostnames (one per line, or separated by commas or spaces)
+ * @param {string} text - Typed hostnames
+ * @returns {Array<string>} Lower-case hostnames, without duplicates
+ */
+export function parseHostnames(text) {
+    const hostnames = (text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+    return [...new Set(hostnames)];
+}
+
+/**
+ * Find a typed hostname that can't take a rule
+ * @param {Array<string>} hostnames - Hostnames (see parseHostnames)
+ * @returns {string|undefined} The first invalid hostname, if any
+ */
+export function findInvalidHostname(hostnames) {
+    // "*.example.com" covers all subdomains, like the popup's rule scopes
+    return hostnames.find(hostname => !Patterns.DOMAIN.test(hostname.replace(/^\*\./, '')));
+}
+
+/**
+ * Check a schedule before saving it
+ * @param {Object} schedule - Schedule to check
+ * @returns {string|null} Error message, or null if the schedule is valid
+ */
+export function validateSchedule(schedule) {
+    if (schedule.hostnames.length === 0) return ErrorMessages.MISSING_HOSTNAMES;
+
+    const invalid = findInvalidHostname(schedule.hostnames);
+    if (invalid) return `Invalid hostname "${invalid}"`;
+
+    if (schedule.action === RuleAction.REDIRECT && !schedule.via) return ErrorMessages.MISSING_PROXY;
+    if (schedule.action === RuleAction.SPOOF && !isValidSpoofTarget(schedule.via)) {
+        return schedule.via ? ErrorMessages.INVALID_SPOOF_TARGET : ErrorMessages.MISSING_SPOOF_TARGET;
+    }
+
+    if (schedule.days.length === 0) return ErrorMessages.MISSING_DAYS;
+
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+    if (!start || !end || (start.hours === end.hours && start.minutes === end.minutes)) {
+        return ErrorMessages.INVALID_WINDOW;
+    }
+    return null;
+}
+
+/**
+ * A local date a number of days after another (midnight, whatever the daylight saving offset)
+ * @param {Date} date - Any time on the first day
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * The moment a local day's clock shows a time of day. A time skipped by daylight saving
+ * comes out as the same clock time after the jump.
+ * @param {Date} day - Any time on the day
+ * @param {string} time - 24-hour "HH:MM"
+ * @returns {Date}
+ */
+function atTimeOfDay(day, time) {
+    const { hours, minutes } = parseTimeOfDay(time);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+}
+
+/**
+ * The window a schedule opens on a day, if it is one of the schedule's days
+ * @param {Object} schedule - Schedule
+ * @param {Date} day - Any time on the day
+ * @returns {{start: Date, end: Date, key: string}|null} key identifies the window (the local date it opens)
+ */
+function windowOn(schedule, day) {
+    if (!schedule.days.includes(day.getDay())) return null;
+
+    const start = atTimeOfDay(day, schedule.start);
+    let end = atTimeOfDay(day, schedule.end);
+    if (end <= start) {
+        end = atTimeOfDay(addDays(day, 1), schedule.end);
+    }
+    const key = `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
+    return { start, end, key };
+}
+
+/**
+ * The window a schedule is in right now (an overnight window may have opened yesterday)
+ * @param {Object} schedule - Schedule
+ * @param {Date} [now] - Current time
+ * @returns {{start: Date, end: Date, key: string}|null} Null outside the schedule's windows
+ */
+export function getActiveWindow(schedule, now = new Date()) {
+    for (const offset of [0, -1]) {
+        const window = windowOn(schedule, addDays(now, offset));
+        if (window && window.start <= now && now < window.end) return window;
+    }
+    return null;
+}
+
+/**
+ * When a schedule's next window opens
+ * @param {Object} schedule - Schedule
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Null if the schedule has no days
+ */
+export function getNextWindowStart(schedule, now = new Date()) {
+    for (let offset = 0; offset <= WEEK_DAYS; offset++) {
+        const window = windowOn(schedule, addDays(now, offset));
+        if (window && window.start > now) return window.start;
+    }
+    return null;
+}
+
+/**
+ * Describe a schedule's days
+ * @param {Array<number>} days - Days of the week (0 is Sunday)
+ * @returns {string} e.g. "Every day", "Weekdays", "Weekends" or "Mon, Wed, Fri"
+ */
+export function describeDays(days) {
+    const sorted = [...days].sort();
+    const list = sorted.join(',');
+    if (list === '0,1,2,3,4,5,6') return 'Every day';
+    if (list === '1,2,3,4,5') return 'Weekdays';
+    if (list === '0,6') return 'Weekends';
+    return sorted.map(day => WeekdayLabels[day]).join(', ');
+}
@@ -0,0 +1,265 @@
+/**
+ * Control D Quick Switcher - API Client Tests
+ *
+ * Drives ControlDClient against a local HTTP mock of api.controld.com. Each test queues the
+ * responses the mock should give and checks both the requests the client sent and the
+ * normalised result it resolved to.
+ */
+
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { ControlDClient, normaliseRule } from '../api.js';
+import { ErrorMessages, RuleAction } from '../constants.js';
+
+const API_KEY = 'test-key';
+const PROFILE_ID = 'p12345';
+
+let server;
+let baseUrl;
+let requests = []; // Requests the mock received ({ method, url, headers, body })
+let responses = []; // Responses still to give ({ status, body }), in order
+
+before(async () => {
+    server = createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+
+            const next = responses.shift() || { status: 500, body: { error: 'No response queued' } };
+            res.writeHead(next.status, { 'Content-Type': 'application/json' });
+            res.end(typeof next.body === 'string' ? next.body : JSON.stringify(next.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+    responses = [];
+});
+
+function createClient() {
+    return new ControlDClient({ apiKey: API_KEY, profileId: PROFILE_ID, baseUrl });
+}
+
+describe('ControlDClient.request', () => {
+    it('sends the API key as a bearer token', async () => {
+        responses.push({ status: 200, body: { success: true, body: { profiles: [] } } });
+
+        await createClient().listProfiles();
+
+        assert.equal(requests[0].headers.authorization, `Bearer ${API_KEY}`);
+    });
+
+    it('resolves a successful response to { success, status, data }', async () => {
+        const body = { success: true, body: { proxies: [{ PK: 'lax', city: 'Los Angeles' }] } };
+        responses.push({ status: 200, body });
+
+        const result = await createClient().request('GET', '/proxies');
+
+        assert.deepEqual(result, { success: true, status: 200, data: body });
+    });
+
+    it('reports a 401 as an invalid API key', async () => {
+        responses.push({ status: 401, body: { success: false, error: { message: 'Unauthorized', code: 40100 } } });
+
+        const result = await createClient().listRules();
+
+        assert.equal(result.success, false);
+        assert.equal(result.status, 401);
+        assert.equal(result.error, ErrorMessages.INVALID_API_KEY);
+    });
+
+    it('reads the message and code of other API errors', async () => {
+        responses.push({ status: 400, body: { success: false, error: { message: 'Invalid hostname', code: 40001 } } });
+
+        const result = await createClient().deleteRule(['bad_host']);
+
+        assert.deepEqual(
+            { success: result.success, status: result.status, error: result.error },
+            { success: false, status: 400, error: 'Invalid hostname (Code: 40001)' }
+        );
+    });
+
+    it('treats a 200 with success: false as a failure', async () => {
+        responses.push({ status: 200, body: { success: false, message: 'Profile not found' } });
+
+        const result = await createClient().listRules();
+
+        assert.equal(result.success, false);
+        assert.equal(result.status, 200);
+        assert.equal(result.error, 'Profile not found');
+    });
+
+    it('reports a body that is not JSON', async () => {
+        responses.push({ status: 200, body: '<html>maintenance</html>' });
+
+        const result = await createClient().listProxies();
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /^Invalid response format/);
+    });
+
+    it('resolves a network error to status 0 instead of throwing', async () => {
+        const client = new ControlDClient({
+            apiKey: API_KEY,
+            profileId: PROFILE_ID,
+            baseUrl,
+            fetchImpl: async () => { throw new TypeError('Failed to fetch'); }
+        });
+
+        const result = await client.listRules();
+
+        assert.deepEqual(result, { success: false, status: 0, error: 'Failed to fetch' });
+    });
+
+    it('resolves to status 0 when nothing is listening', async () => {
+        const closed = createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${closed.address().port}`;
+        await new Promise(resolve => closed.close(resolve));
+
+        const result = await new ControlDClient({ apiKey: API_KEY, profileId: PROFILE_ID, baseUrl: url }).listRules();
+
+        assert.equal(result.success, false);
+        assert.equal(result.status, 0);
+        assert.ok(result.error);
+    });
+});
+
+describe('ControlDClient.upsertRule', () => {
+    it('creates the rule with a POST', async () => {
+        responses.push({ status: 200, body: { success: true } });
+
+        const result = await createClient().upsertRule({ hostnames: ['example.com'], action: RuleAction.BLOCK });
+
+        assert.equal(result.success, true);
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].method, 'POST');
+        assert.equal(requests[0].url, `/profiles/${PROFILE_ID}/rules`);
+        assert.deepEqual(requests[0].body, { hostnames: ['example.com'], do: RuleAction.BLOCK });
+    });
+
+    it('falls back to a PUT when the rule already exists', async () => {
+        responses.push({ status: 400, body: { success: false, error: { message: 'Rule already exists' } } });
+        responses.push({ status: 200, body: { success: true } });
+
+        const result = await createClient().upsertRule({ hostnames: ['example.com'], action: RuleAction.REDIRECT, via: 'lax' });
+
+        assert.deepEqual(result, { success: true, status: 200, data: { success: true } });
+        assert.deepEqual(requests.map(request => request.method), ['POST', 'PUT']);
+        assert.deepEqual(requests[1].body, { hostnames: ['example.com'], do: RuleAction.REDIRECT, via: 'lax' });
+    });
+
+    it('reports the PUT error when both requests fail', async () => {
+        responses.push({ status: 400, body: { success: false, error: 'Rule already exists' } });
+        responses.push({ status: 500, body: { success: false, error: 'Internal error' } });
+
+        const result = await createClient().upsertRule({ hostnames: ['example.com'], action: RuleAction.BYPASS });
+
+        assert.equal(result.success, false);
+        assert.equal(result.status, 500);
+        assert.equal(result.error, 'Internal error');
+    });
+
+    it('does not retry with a PUT after a network error', async () => {
+        let calls = 0;
+        const client = new ControlDClient({
+            apiKey: API_KEY,
+            profileId: PROFILE_ID,
+            baseUrl,
+            fetchImpl: async () => {
+                calls++;
+                throw new TypeError('Failed to fetch');
+            }
+        });
+
+        const result = await client.upsertRule({ hostnames: ['example.com'], action: RuleAction.BLOCK });
+
+        assert.equal(result.status, 0);
+        assert.equal(calls, 1);
+    });
+
+    it('sends IPv6 spoof targets as via_v6', async () => {
+        responses.push({ status: 200, body: { success: true } });
+
+        await createClient().upsertRule({ hostnames: ['staging.example.com'], action: RuleAction.SPOOF, via: '2001:db8::5' });
+
+        assert.deepEqual(requests[0].body, { hostnames: ['staging.example.com'], do: RuleAction.SPOOF, via_v6: '2001:db8::5' });
+    });
+
+    it('sends IPv4 spoof targets as via', async () => {
+        responses.push({ status: 200, body: { success: true } });
+
+        await createClient().upsertRule({ hostnames: ['staging.example.com'], action: RuleAction.SPOOF, via: '10.0.0.5' });
+
+        assert.deepEqual(requests[0].body, { hostnames: ['staging.example.com'], do: RuleAction.SPOOF, via: '10.0.0.5' });
+    });
+});
+
+describe('rule normalisation', () => {
+    it('normalises the rules of a profile', async () => {
+        responses.push({
+            status: 200,
+            body: {
+                success: true,
+                body: {
+                    rules: [
+                        { PK: 'example.com', action: { do: RuleAction.BLOCK, status: 1 } },
+                        { PK: 'netflix.com', action: { do: RuleAction.REDIRECT, via: 'lax', status: 1 } },
+                        { action: { do: RuleAction.BYPASS } }
+                    ]
+                }
+            }
+        });
+
+        const result = await createClient().listRules();
+
+        assert.equal(result.success, true);
+        assert.deepEqual(
+            result.data.map(({ hostname, action, via, status }) => ({ hostname, action, via, status })),
+            [
+                { hostname: 'example.com', action: RuleAction.BLOCK, via: null, status: 1 },
+                { hostname: 'netflix.com', action: RuleAction.REDIRECT, via: 'lax', status: 1 }
+            ]
+        );
+    });
+
+    it('finds the rule for an exact hostname', async () => {
+        responses.push({
+            status: 200,
+            body: { success: true, body: { rules: [{ PK: 'www.example.com', action: { do: RuleAction.BYPASS } }] } }
+        });
+
+        const client = createClient();
+        const found = await client.getRule('www.example.com');
+        responses.push({ status: 200, body: { success: true, body: { rules: [] } } });
+        const missing = await client.getRule('example.com');
+
+        assert.equal(requests[0].url, `/profiles/${PROFILE_ID}/rules?hostname=www.example.com`);
+        assert.equal(found.data.hostname, 'www.example.com');
+        assert.equal(found.data.action, RuleAction.BYPASS);
+        assert.deepEqual({ success: missing.success, data: missing.data }, { success: true, data: null });
+    });
+
+    it('reads IPv6 spoof targets from via_v6', () => {
+        const rule = normaliseRule({ PK: 'staging.example.com', action: { do: RuleAction.SPOOF, via_v6: '2001:db8::5' } });
+
+        assert.equal(rule.via, '2001:db8::5');
+    });
+
+    it('reads the older flat rule shape', () => {
+        const rule = normaliseRule({ hostname: 'example.com', do: RuleAction.SPOOF, via: '10.0.0.5', status: 0 });
+
+        assert.deepEqual(
+            { hostname: rule.hostname, action: rule.action, via: rule.via, status: rule.status },
+            { hostname: 'example.com', action: RuleAction.SPOOF, via: '10.0.0.5', status: 0 }
+        );
+    });
+});
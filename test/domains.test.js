@@ -0,0 +1,117 @@
+/**
+ * Control D Quick Switcher - Domain Helper Tests
+ *
+ * Registrable domains from the bundled Public Suffix List, and how IP addresses, public suffixes
+ * and internationalised (punycode) names are handled.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    explainUnmanageableHost,
+    getDomainVariations,
+    getPublicSuffix,
+    getRegistrableDomain,
+    getRelatedHosts,
+    getScopedHostname,
+    getWwwVariations,
+    isIPv6,
+    normalizeHostname
+} from '../domains.js';
+import { DomainScope } from '../constants.js';
+
+describe('registrable domains', () => {
+    it('keeps one label in front of a multi-label suffix', () => {
+        assert.equal(getPublicSuffix('static.cdn.example.co.uk'), 'co.uk');
+        assert.equal(getRegistrableDomain('static.cdn.example.co.uk'), 'example.co.uk');
+    });
+
+    it('uses the private section of the list', () => {
+        assert.equal(getRegistrableDomain('blog.user.github.io'), 'user.github.io');
+    });
+
+    it('applies wildcard rules and their exceptions', () => {
+        // "*.kawasaki.jp" makes every label under kawasaki.jp a suffix, except "city"
+        assert.equal(getRegistrableDomain('www.example.b.kawasaki.jp'), 'example.b.kawasaki.jp');
+        assert.equal(getRegistrableDomain('www.city.kawasaki.jp'), 'city.kawasaki.jp');
+    });
+
+    it('falls back to the last label for an unlisted TLD', () => {
+        assert.equal(getRegistrableDomain('host.example.internal-tld'), 'example.internal-tld');
+    });
+
+    it('ignores case and a trailing dot', () => {
+        assert.equal(getRegistrableDomain('WWW.Example.CO.UK.'), 'example.co.uk');
+    });
+
+    it('scopes rules to the registrable domain or a wildcard over it', () => {
+        assert.equal(getScopedHostname('static.cdn.example.co.uk', DomainScope.EXACT), 'static.cdn.example.co.uk');
+        assert.equal(getScopedHostname('static.cdn.example.co.uk', DomainScope.REGISTRABLE), 'example.co.uk');
+        assert.equal(getScopedHostname('static.cdn.example.co.uk', DomainScope.WILDCARD), '*.example.co.uk');
+    });
+});
+
+describe('hosts that are a public suffix', () => {
+    it('have no registrable domain', () => {
+        ['co.uk', 'github.io', 'com', 'b.kawasaki.jp'].forEach((host) => {
+            assert.equal(getPublicSuffix(host), host);
+            assert.equal(getRegistrableDomain(host), null, host);
+        });
+    });
+
+    it('are only looked up as themselves and their www variant', () => {
+        assert.deepEqual(getDomainVariations('github.io'), ['github.io', 'www.github.io']);
+    });
+});
+
+describe('IP addresses', () => {
+    it('have no public suffix or registrable domain', () => {
+        ['192.168.1.10', '2001:db8::1', '::ffff:10.0.0.1'].forEach((address) => {
+            assert.equal(getPublicSuffix(address), null, address);
+            assert.equal(getRegistrableDomain(address), null, address);
+        });
+    });
+
+    it('have no www variant or related hosts', () => {
+        assert.deepEqual(getWwwVariations('192.168.1.10'), ['192.168.1.10']);
+        assert.deepEqual(getDomainVariations('2001:db8::1'), ['2001:db8::1']);
+        assert.deepEqual(getRelatedHosts('192.168.1.10', ['example.com']), []);
+    });
+
+    it('are only scoped to themselves', () => {
+        assert.equal(getScopedHostname('192.168.1.10', DomainScope.REGISTRABLE), '192.168.1.10');
+    });
+
+    it('are recognised in every IPv6 form', () => {
+        ['2001:db8::1', '::1', '::', 'fe80:0:0:0:0:0:0:1', '::ffff:10.0.0.1'].forEach(address => assert.equal(isIPv6(address), true, address));
+        ['example.com', '10.0.0.1', '2001:db8:::1', '1:2:3:4:5:6:7:8:9', 'cafe'].forEach(value => assert.equal(isIPv6(value), false, value));
+    });
+
+    it('explain why they cannot take a rule', () => {
+        assert.match(explainUnmanageableHost('192.168.1.10'), /is an IP address/);
+        assert.match(explainUnmanageableHost(normalizeHostname('http://[2001:db8::1]:8080/')), /^2001:db8::1 is an IP address/);
+    });
+});
+
+describe('punycode names', () => {
+    it('are converted from Unicode when typed or pasted', () => {
+        assert.equal(normalizeHostname('Bücher.example'), 'xn--bcher-kva.example');
+        assert.equal(normalizeHostname('https://Bücher.example/shop'), 'xn--bcher-kva.example');
+    });
+
+    it('find their registrable domain', () => {
+        assert.equal(getRegistrableDomain('shop.xn--bcher-kva.example'), 'xn--bcher-kva.example');
+    });
+
+    it('match punycode suffixes on the list', () => {
+        // xn--55qx5d is the internationalised TLD 公司 ("company")
+        assert.equal(getPublicSuffix('www.example.xn--55qx5d'), 'xn--55qx5d');
+        assert.equal(getRegistrableDomain('www.example.xn--55qx5d'), 'example.xn--55qx5d');
+    });
+
+    it('can take a rule', () => {
+        assert.equal(explainUnmanageableHost('xn--bcher-kva.example'), null);
+        assert.equal(explainUnmanageableHost('example.xn--55qx5d'), null);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Control D Quick Switcher - Duration Tests
+ *
+ * Reading and writing duration tokens, the 365-day cap, and counting the minutes until a time of day.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    describeDurationError,
+    formatDuration,
+    isDurationTooLong,
+    minutesUntil,
+    parseDuration
+} from '../durations.js';
+import { ErrorMessages, UI } from '../constants.js';
+
+describe('parseDuration', () => {
+    it('reads minutes, hours and days', () => {
+        assert.equal(parseDuration('30m'), 30);
+        assert.equal(parseDuration('1h'), 60);
+        assert.equal(parseDuration('2d'), 2880);
+    });
+
+    it('reads combined units', () => {
+        assert.equal(parseDuration('2h30m'), 150);
+        assert.equal(parseDuration('1d2h'), 1560);
+        assert.equal(parseDuration('1d1h1m'), 1501);
+    });
+
+    it('reads "permanent" as 0', () => {
+        assert.equal(parseDuration('permanent'), 0);
+    });
+
+    it('rejects tokens that are not durations', () => {
+        ['', 'soon', '30', '1h1d', '30s', '-5m', '1.5h'].forEach(token => assert.equal(parseDuration(token), null, token));
+    });
+
+    it('rejects a missing token', () => {
+        assert.equal(parseDuration(undefined), null);
+        assert.equal(parseDuration(null), null);
+    });
+
+    it('rejects zero-length durations', () => {
+        assert.equal(parseDuration('0m'), null);
+        assert.equal(parseDuration('0d0h0m'), null);
+    });
+
+    it('accepts up to 365 days and rejects anything longer', () => {
+        assert.equal(parseDuration('365d'), UI.MAX_DURATION_MINUTES);
+        assert.equal(parseDuration('365d1m'), null);
+        assert.equal(parseDuration('8761h'), null);
+    });
+});
+
+describe('duration errors', () => {
+    it('tells a duration over the cap from one that cannot be read', () => {
+        assert.equal(isDurationTooLong('400d'), true);
+        assert.equal(isDurationTooLong('365d'), false);
+        assert.equal(isDurationTooLong('forever'), false);
+        assert.equal(isDurationTooLong(undefined), false);
+    });
+
+    it('explains why a token was rejected', () => {
+        assert.equal(describeDurationError('400d'), ErrorMessages.DURATION_TOO_LONG);
+        assert.equal(describeDurationError('forever'), ErrorMessages.INVALID_DURATION);
+        assert.equal(describeDurationError(''), ErrorMessages.INVALID_DURATION);
+    });
+});
+
+describe('formatDuration', () => {
+    it('writes the largest units first and leaves out empty ones', () => {
+        assert.equal(formatDuration(30), '30m');
+        assert.equal(formatDuration(60), '1h');
+        assert.equal(formatDuration(150), '2h30m');
+        assert.equal(formatDuration(1440), '1d');
+        assert.equal(formatDuration(1501), '1d1h1m');
+    });
+
+    it('writes 0 as "permanent"', () => {
+        assert.equal(formatDuration(0), 'permanent');
+    });
+
+    it('round-trips through parseDuration', () => {
+        [1, 45, 90, 1439, 2880, UI.MAX_DURATION_MINUTES].forEach(minutes => assert.equal(parseDuration(formatDuration(minutes)), minutes));
+    });
+});
+
+describe('minutesUntil', () => {
+    const now = new Date(2026, 0, 5, 16, 30);
+
+    it('counts to a time later today', () => {
+        assert.equal(minutesUntil('17:00', now), 30);
+        assert.equal(minutesUntil('23:59', now), 449);
+    });
+
+    it('counts to tomorrow once the time has passed', () => {
+        assert.equal(minutesUntil('09:00', now), 990);
+    });
+
+    it('counts a full day to the current minute', () => {
+        assert.equal(minutesUntil('16:30', now), 1440);
+    });
+
+    it('rounds part of a minute up, to at least 1', () => {
+        assert.equal(minutesUntil('16:31', new Date(2026, 0, 5, 16, 30, 45)), 1);
+    });
+
+    it('returns null for a time that cannot be read', () => {
+        ['24:00', '12:60', '9am', '', undefined].forEach(time => assert.equal(minutesUntil(time, now), null, String(time)));
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Control D Quick Switcher - Import / Export Format Tests
+ *
+ * Exports rules in each format and reads them back, checks the quirks of each format's parser,
+ * and compares imports against the current rules.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RuleFormat, detectFormat, diffRules, exportRules, parseRules } from '../formats.js';
+import { RuleAction } from '../constants.js';
+
+const RULES = [
+    { hostname: 'ads.example.com', action: RuleAction.BLOCK, via: null },
+    { hostname: 'example.org', action: RuleAction.BYPASS, via: null },
+    { hostname: 'netflix.com', action: RuleAction.REDIRECT, via: 'lax' },
+    { hostname: 'staging.example.com', action: RuleAction.SPOOF, via: '10.0.0.5' },
+    { hostname: 'v6.example.com', action: RuleAction.SPOOF, via: '2001:db8::5' },
+    { hostname: 'alias.example.com', action: RuleAction.SPOOF, via: 'origin.example.net' }
+];
+
+// The rules of a parse result, comparable with RULES
+function rulesOf({ entries }) {
+    return entries
+        .map(({ hostname, action, via }) => ({ hostname, action, via }))
+        .sort((a, b) => a.hostname.localeCompare(b.hostname));
+}
+
+function sortedRules(rules) {
+    return [...rules].sort((a, b) => a.hostname.localeCompare(b.hostname));
+}
+
+describe('export and import round trip', () => {
+    it('keeps every rule in JSON', () => {
+        const parsed = parseRules(exportRules(RULES, RuleFormat.JSON));
+
+        assert.equal(parsed.format, RuleFormat.JSON);
+        assert.deepEqual(parsed.errors, []);
+        assert.deepEqual(rulesOf(parsed), sortedRules(RULES));
+    });
+
+    it('keeps every rule in CSV', () => {
+        const parsed = parseRules(exportRules(RULES, RuleFormat.CSV));
+
+        assert.equal(parsed.format, RuleFormat.CSV);
+        assert.deepEqual(parsed.errors, []);
+        assert.deepEqual(rulesOf(parsed), sortedRules(RULES));
+    });
+
+    it('keeps Block and Spoof to an address in a hosts file', () => {
+        const exported = exportRules(RULES, RuleFormat.HOSTS);
+        const parsed = parseRules(exported);
+
+        assert.match(exported, /# 3 other rule\(s\) omitted/);
+        assert.equal(parsed.format, RuleFormat.HOSTS);
+        assert.deepEqual(parsed.errors, []);
+        assert.deepEqual(rulesOf(parsed), sortedRules(RULES.filter(rule =>
+            rule.action === RuleAction.BLOCK || ['10.0.0.5', '2001:db8::5'].includes(rule.via))));
+    });
+
+    it('keeps Block and Bypass in a filter list', () => {
+        const exported = exportRules(RULES, RuleFormat.ADGUARD);
+        const parsed = parseRules(exported);
+
+        assert.match(exported, /! 4 Redirect\/Spoof rule\(s\) omitted/);
+        assert.equal(parsed.format, RuleFormat.ADGUARD);
+        assert.deepEqual(parsed.errors, []);
+        assert.deepEqual(rulesOf(parsed), sortedRules(RULES.filter(rule =>
+            rule.action === RuleAction.BLOCK || rule.action === RuleAction.BYPASS)));
+    });
+});
+
+describe('detectFormat', () => {
+    it('tells the formats apart by their first rule', () => {
+        assert.equal(detectFormat('[{"hostname": "example.com", "do": 0}]'), RuleFormat.JSON);
+        assert.equal(detectFormat('! list\n@@||example.com^'), RuleFormat.ADGUARD);
+        assert.equal(detectFormat('Hostname,Action,Via\nexample.com,Block,'), RuleFormat.CSV);
+        assert.equal(detectFormat('# hosts\n0.0.0.0 example.com'), RuleFormat.HOSTS);
+    });
+});
+
+describe('CSV import', () => {
+    it('reads quoted fields and trims around them', () => {
+        const parsed = parseRules('hostname,action,via\n "Example.com" , "Redirect" , "LAX"\n', RuleFormat.CSV);
+
+        assert.deepEqual(rulesOf(parsed), [{ hostname: 'example.com', action: RuleAction.REDIRECT, via: 'lax' }]);
+    });
+
+    it('keeps commas and doubled quotes inside a quoted field', () => {
+        const parsed = parseRules('"bad,host.com",Block,\n"say ""hi""",Block,\n', RuleFormat.CSV);
+
+        assert.deepEqual(parsed.entries, []);
+        assert.deepEqual(parsed.errors.map(error => error.error), [
+            'Invalid hostname "bad,host.com"',
+            'Invalid hostname "say "hi""'
+        ]);
+    });
+
+    it('reads actions written as labels or numbers', () => {
+        const parsed = parseRules(`example.com,${RuleAction.BYPASS},\nexample.net,BLOCK,\n`, RuleFormat.CSV);
+
+        assert.deepEqual(rulesOf(parsed), [
+            { hostname: 'example.com', action: RuleAction.BYPASS, via: null },
+            { hostname: 'example.net', action: RuleAction.BLOCK, via: null }
+        ]);
+    });
+
+    it('reports an unknown action and a redirect without a proxy by line', () => {
+        const parsed = parseRules('hostname,action,via\nexample.com,Allow,\nnetflix.com,Redirect,\n', RuleFormat.CSV);
+
+        assert.deepEqual(parsed.errors.map(({ line, error }) => ({ line, error })), [
+            { line: 2, error: 'Unknown action' },
+            { line: 3, error: 'Redirect rule is missing a proxy (via)' }
+        ]);
+    });
+});
+
+describe('hosts file import', () => {
+    it('reads every name on a line', () => {
+        const parsed = parseRules('0.0.0.0 ads.example.com tracker.example.com # trackers\n', RuleFormat.HOSTS);
+
+        assert.deepEqual(parsed.entries.map(({ line, hostname, action }) => ({ line, hostname, action })), [
+            { line: 1, hostname: 'ads.example.com', action: RuleAction.BLOCK },
+            { line: 1, hostname: 'tracker.example.com', action: RuleAction.BLOCK }
+        ]);
+    });
+
+    it('reads other addresses as spoof targets', () => {
+        const parsed = parseRules('10.0.0.5 staging.example.com api.staging.example.com\n', RuleFormat.HOSTS);
+
+        assert.deepEqual(rulesOf(parsed), [
+            { hostname: 'api.staging.example.com', action: RuleAction.SPOOF, via: '10.0.0.5' },
+            { hostname: 'staging.example.com', action: RuleAction.SPOOF, via: '10.0.0.5' }
+        ]);
+    });
+
+    it('skips the stock entries and comments', () => {
+        const parsed = parseRules('# default\n127.0.0.1 localhost\n::1 ip6-localhost ip6-loopback\n', RuleFormat.HOSTS);
+
+        assert.deepEqual(parsed, { format: RuleFormat.HOSTS, entries: [], errors: [] });
+    });
+
+    it('reports a line with only an address', () => {
+        const parsed = parseRules('0.0.0.0\n', RuleFormat.HOSTS);
+
+        assert.deepEqual(parsed.errors.map(({ line, error }) => ({ line, error })), [
+            { line: 1, error: 'Expected "<address> <hostname>"' }
+        ]);
+    });
+});
+
+describe('filter list import', () => {
+    it('reads blocks and exceptions', () => {
+        const parsed = parseRules('||ads.example.com^\n@@||example.org^\n', RuleFormat.ADGUARD);
+
+        assert.deepEqual(rulesOf(parsed), [
+            { hostname: 'ads.example.com', action: RuleAction.BLOCK, via: null },
+            { hostname: 'example.org', action: RuleAction.BYPASS, via: null }
+        ]);
+    });
+
+    it('rejects rules with $modifiers', () => {
+        const parsed = parseRules('||ads.example.com^$third-party\n@@||example.org^$important\n', RuleFormat.ADGUARD);
+
+        assert.deepEqual(parsed.entries, []);
+        assert.deepEqual(parsed.errors.map(({ line, error }) => ({ line, error })), [
+            { line: 1, error: 'Unsupported modifier "$third-party"' },
+            { line: 2, error: 'Unsupported modifier "$important"' }
+        ]);
+    });
+
+    it('rejects cosmetic and path rules', () => {
+        const parsed = parseRules('example.com##.banner\n||example.com/ads^\n', RuleFormat.ADGUARD);
+
+        assert.equal(parsed.entries.length, 0);
+        assert.equal(parsed.errors.length, 2);
+    });
+});
+
+describe('diffRules', () => {
+    const current = {
+        'ads.example.com': { action: RuleAction.BLOCK, via: null },
+        'netflix.com': { action: RuleAction.REDIRECT, via: 'lax' }
+    };
+
+    it('sorts imports into additions, changes and unchanged rules', () => {
+        const { entries } = parseRules('||ads.example.com^\n@@||netflix.com^\n||tracker.example.com^\n', RuleFormat.ADGUARD);
+        const diff = diffRules(current, entries);
+
+        assert.deepEqual(diff.additions.map(entry => entry.hostname), ['tracker.example.com']);
+        assert.deepEqual(diff.changes.map(entry => [entry.hostname, entry.current]), [['netflix.com', current['netflix.com']]]);
+        assert.deepEqual(diff.unchanged.map(entry => entry.hostname), ['ads.example.com']);
+        assert.deepEqual(diff.conflicts, []);
+    });
+
+    it('flags a hostname listed with different rules as a conflict', () => {
+        const { entries } = parseRules('||example.com^\n||example.net^\n@@||example.com^\n', RuleFormat.ADGUARD);
+        const diff = diffRules({}, entries);
+
+        assert.deepEqual(diff.conflicts.map(({ hostname, reason }) => ({ hostname, reason })), [
+            { hostname: 'example.com', reason: 'Listed with different rules on lines 1, 3' }
+        ]);
+        assert.deepEqual(diff.additions.map(entry => entry.hostname), ['example.net']);
+    });
+
+    it('adds a hostname listed twice with the same rule once', () => {
+        const { entries } = parseRules('0.0.0.0 example.com\n0.0.0.0 www.example.com example.com\n', RuleFormat.HOSTS);
+        const diff = diffRules({}, entries);
+
+        assert.deepEqual(diff.additions.map(entry => entry.hostname), ['example.com', 'www.example.com']);
+        assert.deepEqual(diff.conflicts, []);
+    });
+
+    it('flags a hostname with a pending temporary override as a conflict', () => {
+        const { entries } = parseRules('||netflix.com^\n', RuleFormat.ADGUARD);
+        const diff = diffRules(current, entries, new Set(['netflix.com']));
+
+        assert.deepEqual(diff.conflicts.map(({ hostname, reason }) => ({ hostname, reason })), [
+            { hostname: 'netflix.com', reason: 'Has a pending temporary override' }
+        ]);
+        assert.deepEqual(diff.changes, []);
+    });
+});
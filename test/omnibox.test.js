@@ -0,0 +1,97 @@
+/**
+ * Control D Quick Switcher - Omnibox Command Tests
+ *
+ * Parsing the rule commands typed after the "cd" keyword, and the errors shown for ones that
+ * can't be carried out.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeOmniboxCommand, parseOmniboxCommand } from '../omnibox.js';
+import { ErrorMessages, RuleAction, UI } from '../constants.js';
+
+const PROXIES = [{ PK: 'lax', city: 'Los Angeles' }, { PK: 'fra', city: 'Frankfurt' }];
+
+describe('parseOmniboxCommand', () => {
+    it('reads an action, hostname and duration', () => {
+        assert.deepEqual(parseOmniboxCommand('bypass example.com 30m'), {
+            action: RuleAction.BYPASS,
+            hostname: 'example.com',
+            via: null,
+            duration: 30
+        });
+    });
+
+    it('reads a redirect via a proxy with a duration', () => {
+        assert.deepEqual(parseOmniboxCommand('redirect netflix.com via lax 1h', PROXIES), {
+            action: RuleAction.REDIRECT,
+            hostname: 'netflix.com',
+            via: 'lax',
+            duration: 60
+        });
+    });
+
+    it('ignores case and extra spaces, and is permanent without a duration', () => {
+        assert.deepEqual(parseOmniboxCommand('  Block   Ads.Example.com  '), {
+            action: RuleAction.BLOCK,
+            hostname: 'ads.example.com',
+            via: null,
+            duration: 0
+        });
+    });
+
+    it('reads a spoof target', () => {
+        const command = parseOmniboxCommand('spoof staging.example.com via 10.0.0.5 permanent');
+
+        assert.equal(command.action, RuleAction.SPOOF);
+        assert.equal(command.via, '10.0.0.5');
+        assert.equal(command.duration, 0);
+    });
+
+    it('explains what is missing', () => {
+        assert.match(parseOmniboxCommand('').error, /^Usage: /);
+        assert.equal(parseOmniboxCommand('block').error, 'Missing hostname');
+        assert.equal(parseOmniboxCommand('redirect netflix.com via').error, 'Missing proxy or target after "via"');
+        assert.equal(parseOmniboxCommand('redirect netflix.com 1h').error, 'Redirect needs "via <proxy>"');
+    });
+
+    it('rejects "via" on actions that take none', () => {
+        assert.equal(parseOmniboxCommand('block example.com via lax').error, '"via" only applies to redirect and spoof');
+        assert.equal(parseOmniboxCommand('bypass example.com via lax 30m').error, '"via" only applies to redirect and spoof');
+    });
+
+    it('rejects durations over 365 days', () => {
+        assert.equal(parseOmniboxCommand('bypass example.com 400d').error, ErrorMessages.DURATION_TOO_LONG);
+        assert.equal(parseOmniboxCommand('bypass example.com 365d').duration, UI.MAX_DURATION_MINUTES);
+    });
+
+    it('rejects words it does not know', () => {
+        assert.equal(parseOmniboxCommand('allow example.com').error, 'Unknown action "allow"');
+        assert.equal(parseOmniboxCommand('block example.com soon').error, 'Unexpected "soon"');
+        assert.equal(parseOmniboxCommand('block not_a_host').error, 'Invalid hostname "not_a_host"');
+        assert.equal(parseOmniboxCommand('spoof example.com via not_a_target').error, 'Invalid spoof target "not_a_target"');
+    });
+
+    it('rejects a proxy missing from the cached list', () => {
+        assert.equal(parseOmniboxCommand('redirect netflix.com via xyz', PROXIES).error, 'Unknown proxy "xyz"');
+    });
+
+    it('accepts any proxy while there is no cached list', () => {
+        assert.equal(parseOmniboxCommand('redirect netflix.com via xyz').via, 'xyz');
+        assert.equal(parseOmniboxCommand('redirect netflix.com via xyz', []).via, 'xyz');
+    });
+});
+
+describe('describeOmniboxCommand', () => {
+    it('describes the rule that will be set', () => {
+        assert.equal(describeOmniboxCommand(parseOmniboxCommand('redirect netflix.com via lax 1h30m', PROXIES)),
+            'Redirect netflix.com via LAX for 1h30m');
+        assert.equal(describeOmniboxCommand(parseOmniboxCommand('spoof staging.example.com via 10.0.0.5')),
+            'Spoof staging.example.com to 10.0.0.5 permanently');
+    });
+
+    it('follows an error with the usage', () => {
+        assert.match(describeOmniboxCommand(parseOmniboxCommand('block')), /^Missing hostname\. Usage: block\|bypass/);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Control D Quick Switcher - Schedule Window Tests
+ *
+ * Working out which window a schedule is in and when its next one opens. Runs in New York time,
+ * so the daylight saving changes of 2026 (8 March and 1 November) fall on known Sundays.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getActiveWindow, getNextWindowStart } from '../schedules.js';
+
+process.env.TZ = 'America/New_York';
+
+const HOUR = 60 * 60 * 1000;
+
+function schedule(days, start, end) {
+    return { id: 's1', days, start, end };
+}
+
+describe('starting inside a window', () => {
+    // Wednesday 7 January 2026, 10:30
+    const now = new Date(2026, 0, 7, 10, 30);
+    const workday = schedule([1, 2, 3, 4, 5], '09:00', '17:00');
+
+    it('finds the window that is already open', () => {
+        const window = getActiveWindow(workday, now);
+
+        assert.deepEqual(window, {
+            start: new Date(2026, 0, 7, 9, 0),
+            end: new Date(2026, 0, 7, 17, 0),
+            key: '2026-1-7'
+        });
+    });
+
+    it('counts the opening minute in and the closing minute out', () => {
+        assert.ok(getActiveWindow(workday, new Date(2026, 0, 7, 9, 0)));
+        assert.equal(getActiveWindow(workday, new Date(2026, 0, 7, 17, 0)), null);
+    });
+
+    it('schedules the next window for the following day', () => {
+        assert.deepEqual(getNextWindowStart(workday, now), new Date(2026, 0, 8, 9, 0));
+    });
+
+    it('skips days the schedule is off', () => {
+        // Friday evening: the next window is Monday's
+        assert.deepEqual(getNextWindowStart(workday, new Date(2026, 0, 9, 18, 0)), new Date(2026, 0, 12, 9, 0));
+    });
+});
+
+describe('overnight windows', () => {
+    // Friday nights, 22:00 to 06:00 on Saturday
+    const overnight = schedule([5], '22:00', '06:00');
+
+    it('runs into the next day', () => {
+        const window = getActiveWindow(overnight, new Date(2026, 0, 9, 23, 0));
+
+        assert.deepEqual(window.end, new Date(2026, 0, 10, 6, 0));
+    });
+
+    it('is still open after midnight, keyed by the day it opened', () => {
+        const window = getActiveWindow(overnight, new Date(2026, 0, 10, 2, 0));
+
+        assert.deepEqual(window, {
+            start: new Date(2026, 0, 9, 22, 0),
+            end: new Date(2026, 0, 10, 6, 0),
+            key: '2026-1-9'
+        });
+    });
+
+    it('is closed before it opens and after it ends', () => {
+        assert.equal(getActiveWindow(overnight, new Date(2026, 0, 9, 21, 59)), null);
+        assert.equal(getActiveWindow(overnight, new Date(2026, 0, 10, 6, 0)), null);
+    });
+
+    it('only carries over from a day the schedule is on', () => {
+        // Saturday nights only: early Saturday morning belongs to no window
+        const saturdays = schedule([6], '22:00', '06:00');
+        const now = new Date(2026, 0, 10, 2, 0);
+
+        assert.equal(getActiveWindow(saturdays, now), null);
+        assert.deepEqual(getNextWindowStart(saturdays, now), new Date(2026, 0, 10, 22, 0));
+    });
+});
+
+describe('daylight saving changes', () => {
+    it('keeps clock times when the clocks go forward', () => {
+        // Sunday 8 March 2026: 02:00 jumps to 03:00, so 01:00-04:00 lasts two hours
+        const window = getActiveWindow(schedule([0], '01:00', '04:00'), new Date(2026, 2, 8, 3, 30));
+
+        assert.equal(window.start.getHours(), 1);
+        assert.equal(window.end.getHours(), 4);
+        assert.equal(window.end - window.start, 2 * HOUR);
+    });
+
+    it('opens a window set in the skipped hour just after the jump', () => {
+        const start = getNextWindowStart(schedule([0], '02:30', '05:00'), new Date(2026, 2, 8, 0, 0));
+
+        assert.equal(start.getDate(), 8);
+        assert.equal(start.getHours(), 3);
+        assert.equal(start.getMinutes(), 30);
+    });
+
+    it('keeps clock times when the clocks go back', () => {
+        // Sunday 1 November 2026: 02:00 falls back to 01:00, so 00:00-03:00 lasts four hours
+        const window = getActiveWindow(schedule([0], '00:00', '03:00'), new Date(2026, 10, 1, 0, 30));
+
+        assert.equal(window.end - window.start, 4 * HOUR);
+    });
+
+    it('opens the next window at the same clock time across the change', () => {
+        // Saturday noon to Sunday 09:00 is 21 hours on the clock, one of them skipped
+        const now = new Date(2026, 2, 7, 12, 0);
+        const start = getNextWindowStart(schedule([0, 1, 2, 3, 4, 5, 6], '09:00', '17:00'), now);
+
+        assert.equal(start.getDate(), 8);
+        assert.equal(start.getHours(), 9);
+        assert.equal(start - now, 20 * HOUR);
+    });
+
+    it('runs an overnight window across the change', () => {
+        // Saturday 22:00 to Sunday 06:00, an hour shorter than usual
+        const window = getActiveWindow(schedule([6], '22:00', '06:00'), new Date(2026, 2, 8, 4, 0));
+
+        assert.equal(window.key, '2026-3-7');
+        assert.equal(window.end - window.start, 7 * HOUR);
+    });
+});